@@ -47,13 +47,14 @@ class GraphAnalysis {
             this.metrics.entityTypes[entity.type]++;
         });
         
-        // Relationship type distribution
+        // Relationship type distribution, keyed by relationship type ID
         this.metrics.relationshipTypes = {};
         relationships.forEach(rel => {
-            if (!this.metrics.relationshipTypes[rel.type]) {
-                this.metrics.relationshipTypes[rel.type] = 0;
+            const typeId = rel.type || 'default';
+            if (!this.metrics.relationshipTypes[typeId]) {
+                this.metrics.relationshipTypes[typeId] = 0;
             }
-            this.metrics.relationshipTypes[rel.type]++;
+            this.metrics.relationshipTypes[typeId]++;
         });
         
         // Calculate density (ratio of actual connections to possible connections)
@@ -145,11 +146,12 @@ class GraphAnalysis {
         });
         
         // Add neighbor relationships
-        this.data.relationships.forEach(rel => {
-            if (entityMap.has(rel.sourceId) && entityMap.has(rel.targetId)) {
-                entityMap.get(rel.sourceId).neighbors.add(rel.targetId);
-                entityMap.get(rel.targetId).neighbors.add(rel.sourceId);
-            }
+        entityMap.forEach((info, id) => {
+            this.data.getNeighborIds(id).forEach(neighborId => {
+                if (entityMap.has(neighborId)) {
+                    info.neighbors.add(neighborId);
+                }
+            });
         });
         
         // Simple clustering algorithm
@@ -180,6 +182,7 @@ class GraphAnalysis {
         };
         
         const stack = [startId];
+        const clusterRelationshipIds = new Set();
         
         while (stack.length > 0) {
             const currentId = stack.pop();
@@ -194,12 +197,11 @@ class GraphAnalysis {
                 }
                 
                 // Add relationships within cluster
-                this.data.relationships.forEach(rel => {
-                    if ((rel.sourceId === currentId && visited.has(rel.targetId)) ||
-                        (rel.targetId === currentId && visited.has(rel.sourceId))) {
-                        if (!cluster.relationships.some(r => r.id === rel.id)) {
-                            cluster.relationships.push(rel);
-                        }
+                this.data.getRelationshipsForEntity(currentId).forEach(rel => {
+                    const otherId = rel.sourceId === currentId ? rel.targetId : rel.sourceId;
+                    if (visited.has(otherId) && !clusterRelationshipIds.has(rel.id)) {
+                        clusterRelationshipIds.add(rel.id);
+                        cluster.relationships.push(rel);
                     }
                 });
                 
@@ -254,10 +256,11 @@ class GraphAnalysis {
         });
         
         // Find root nodes (parents without parents)
+        const childIds = new Set(hierarchicalRels.map(rel => rel.sourceId));
         const rootCandidates = Array.from(parentMap.keys());
         const roots = rootCandidates.filter(id => {
             // Check if this node is not a child in another relationship
-            return !hierarchicalRels.some(rel => rel.sourceId === id);
+            return !childIds.has(id);
         });
         
         if (roots.length > 0) {
@@ -372,8 +375,7 @@ class GraphAnalysis {
             path.push(entityId);
             
             // Get all connected entities
-            const connections = this.data.relationships
-                .filter(rel => rel.sourceId === entityId || rel.targetId === entityId)
+            const connections = this.data.getRelationshipsForEntity(entityId)
                 .map(rel => rel.sourceId === entityId ? rel.targetId : rel.sourceId)
                 .filter(id => id !== parentId); // Don't go back to parent
                 
@@ -437,6 +439,7 @@ class GraphAnalysis {
         // Position each cluster in a grid layout
         const cols = Math.ceil(Math.sqrt(clusterCount));
         const rows = Math.ceil(clusterCount / cols);
+        const pinnedNodes = [];
         
         this.clusters.forEach((cluster, index) => {
             const row = Math.floor(index / cols);
@@ -453,7 +456,7 @@ class GraphAnalysis {
                 const angle = (i / entityCount) * 2 * Math.PI;
                 const nodeId = entity.id;
                 
-                const node = chart.nodes.find(n => n.id === nodeId);
+                const node = chart.getNodeById(nodeId);
                 if (node) {
                     node.x = centerX + radius * Math.cos(angle);
                     node.y = centerY + radius * Math.sin(angle);
@@ -461,16 +464,16 @@ class GraphAnalysis {
                     // Pin position temporarily
                     node.fx = node.x;
                     node.fy = node.y;
-                    
-                    // Release after some time
-                    setTimeout(() => {
-                        node.fx = null;
-                        node.fy = null;
-                    }, 2000);
+                    pinnedNodes.push(node);
                 }
             });
         });
         
+        // Release after some time
+        setTimeout(() => {
+            pinnedNodes.forEach(node => chart.releaseNode(node));
+        }, 2000);
+        
         // Restart the simulation with weaker forces
         chart.simulation.alpha(0.5).restart();
     }
@@ -480,23 +483,23 @@ class GraphAnalysis {
      */
     _applyForceLayout(chart) {
         // Get hub entities
-        const hubs = this.patterns
+        const hubs = new Set(this.patterns
             .filter(p => p.type === 'hub')
-            .map(p => p.entity.id);
+            .map(p => p.entity.id));
         
         // Adjust forces based on detected patterns
         chart.simulation
             .force('charge', d3.forceManyBody()
                 .strength(d => {
                     // Stronger repulsion for hubs
-                    return hubs.includes(d.id) ? -700 : -300;
+                    return hubs.has(d.id) ? -700 : -300;
                 })
             )
             .force('link', d3.forceLink().id(d => d.id)
                 .distance(d => {
                     // Different distances for different relationship types
                     if (d.type === 'hierarchical') return 120;
-                    if (hubs.includes(d.source.id) || hubs.includes(d.target.id)) return 180;
+                    if (hubs.has(d.source.id) || hubs.has(d.target.id)) return 180;
                     return 150;
                 })
                 .strength(d => d.strength || 0.3)
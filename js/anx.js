@@ -0,0 +1,456 @@
+/**
+ * i2 Analyst's Notebook module for LinkChart JS
+ *
+ * Reads and writes ANX, the XML interchange format of i2 Analyst's Notebook.
+ * Chart items with an <End> are entities and those with a <Link> are
+ * relationships; the icon type of an entity is its entity type and the link
+ * type of a link its relationship type. ANX attributes become properties.
+ * i2 has a single date per chart item, so end dates and relationship
+ * strengths travel as the attributes "End Date" and "Strength".
+ */
+
+class ANXFormat {
+    /**
+     * Write a chart as an ANX document
+     * @param {ChartData} chartData - Chart to export
+     * @returns {string} - ANX text
+     */
+    static serialize(chartData) {
+        const escape = GraphInterchange.escapeXML;
+        const attribute = (name, value) => (value === undefined || value === null || value === '')
+            ? ''
+            : ` ${name}="${escape(value)}"`;
+
+        const entityTypeName = id => (chartData.getEntityTypeById(id) || { name: id || 'Entity' }).name;
+        const relationshipTypeName = id => (chartData.getRelationshipTypeById(id) || { name: id || 'Link' }).name;
+
+        const entityTypes = chartData.entityTypes.filter(type => chartData.entities.some(entity => entity.type === type.id));
+        const relationshipTypes = chartData.relationshipTypes.filter(type => chartData.relationships.some(rel => rel.type === type.id));
+
+        // One attribute class per property name, shared by entities and links like in i2
+        const classes = GraphInterchange.propertyColumns([...chartData.entities, ...chartData.relationships])
+            .map(column => ({ name: column.name, type: ANXFormat.ATTRIBUTE_TYPES[column.dataType] }));
+        if (chartData.entities.some(entity => entity.endDate) || chartData.relationships.some(rel => rel.endDate)) {
+            classes.push({ name: ANXFormat.END_DATE_ATTRIBUTE, type: 'AttTime' });
+        }
+        if (chartData.relationships.some(rel => rel.strength !== 1)) {
+            classes.push({ name: ANXFormat.STRENGTH_ATTRIBUTE, type: 'AttNumber' });
+        }
+
+        const attributes = (item, extra) => {
+            const values = [
+                ...Object.entries(item.properties || {})
+                    .filter(([, value]) => value !== undefined && value !== null && value !== ''),
+                ...extra.filter(([, value]) => value !== undefined && value !== null)
+            ];
+            if (values.length === 0) return [];
+
+            return [
+                '      <AttributeCollection>',
+                ...values.map(([name, value]) =>
+                    `        <Attribute AttributeClass="${escape(name)}" Value="${escape(value)}"/>`),
+                '      </AttributeCollection>'
+            ];
+        };
+        const dateAttributes = date => date
+            ? ` DateSet="true" TimeSet="${/T/.test(date)}" DateTime="${escape(ANXFormat._dateTime(date))}"`
+            : ' DateSet="false"';
+
+        const entityItems = chartData.entities.map(entity => {
+            const x = Number.isFinite(entity.x) ? Math.round(entity.x) : 0;
+            const y = Number.isFinite(entity.y) ? Math.round(entity.y) : 0;
+            return [
+                `    <ChartItem${attribute('Label', entity.name)}${attribute('Description', entity.description)}` +
+                    `${dateAttributes(entity.startDate)} XPosition="${x}">`,
+                `      <End X="${x}" Y="${y}">`,
+                `        <Entity EntityId="${escape(entity.id)}" Identity="${escape(entity.id)}" LabelIsIdentity="false">`,
+                '          <Icon>',
+                `            <IconStyle Type="${escape(entityTypeName(entity.type))}"/>`,
+                '          </Icon>',
+                '        </Entity>',
+                '      </End>',
+                ...attributes(entity, [[ANXFormat.END_DATE_ATTRIBUTE, entity.endDate ? ANXFormat._dateTime(entity.endDate) : null]]),
+                '    </ChartItem>'
+            ].join('\n');
+        });
+
+        const linkItems = chartData.relationships.map(rel => {
+            const relationshipType = chartData.getRelationshipTypeById(rel.type);
+            const arrowStyle = !relationshipType || relationshipType.hasArrow() ? 'ArrowOnHead' : 'ArrowNone';
+            return [
+                `    <ChartItem${attribute('Label', rel.label)}${dateAttributes(rel.startDate)}>`,
+                `      <Link End1Id="${escape(rel.sourceId)}" End2Id="${escape(rel.targetId)}">`,
+                `        <LinkStyle Type="${escape(relationshipTypeName(rel.type))}" ArrowStyle="${arrowStyle}"` +
+                    (relationshipType ? ` LineColour="${ANXFormat._colour(relationshipType.color)}" LineWidth="${Math.max(1, Math.round(relationshipType.width))}"` : '') +
+                    '/>',
+                '      </Link>',
+                ...attributes(rel, [
+                    [ANXFormat.END_DATE_ATTRIBUTE, rel.endDate ? ANXFormat._dateTime(rel.endDate) : null],
+                    [ANXFormat.STRENGTH_ATTRIBUTE, rel.strength !== 1 ? rel.strength : null]
+                ]),
+                '    </ChartItem>'
+            ].join('\n');
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<Chart IdReferenceLinking="false" Rigorous="false">',
+            '  <LinkTypeCollection>',
+            ...relationshipTypes.map(type =>
+                `    <LinkType Name="${escape(type.name)}" Colour="${ANXFormat._colour(type.color)}"/>`),
+            '  </LinkTypeCollection>',
+            '  <EntityTypeCollection>',
+            ...entityTypes.map(type =>
+                `    <EntityType Name="${escape(type.name)}" IconFile="${escape(ANXFormat._iconFile(type.icon, type.name))}" ` +
+                `Colour="${ANXFormat._colour(type.color)}" PreferredRepresentation="RepresentAsIcon"/>`),
+            '  </EntityTypeCollection>',
+            '  <AttributeClassCollection>',
+            ...classes.map(attributeClass =>
+                `    <AttributeClass Name="${escape(attributeClass.name)}" Type="${attributeClass.type}" ` +
+                'UserCanAdd="true" UserCanRemove="true" ShowValue="true"/>'),
+            '  </AttributeClassCollection>',
+            '  <ChartItemCollection>',
+            ...entityItems,
+            ...linkItems,
+            '  </ChartItemCollection>',
+            '</Chart>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Summarize an ANX file so the user can choose the type sources
+     * @param {string} text - ANX text
+     * @returns {Object} - { nodeCount, edgeCount, nodeAttributes, edgeAttributes,
+     *                     entityTypeAttribute, relationshipTypeAttribute }
+     */
+    static inspect(text) {
+        const { items, attributeClasses } = ANXFormat._read(text);
+        const classNames = Array.from(new Set(Array.from(attributeClasses.values()).map(attributeClass => attributeClass.name)));
+
+        return {
+            nodeCount: items.filter(item => item.kind === 'entity').length,
+            edgeCount: items.filter(item => item.kind === 'link').length,
+            nodeAttributes: [ANXFormat.TYPE_ATTRIBUTE, ...classNames],
+            edgeAttributes: [ANXFormat.TYPE_ATTRIBUTE, ...classNames],
+            entityTypeAttribute: ANXFormat.TYPE_ATTRIBUTE,
+            relationshipTypeAttribute: ANXFormat.TYPE_ATTRIBUTE
+        };
+    }
+
+    /**
+     * Read an ANX file into chart data
+     * @param {string} text - ANX text
+     * @param {Object} options - entityTypeAttribute / relationshipTypeAttribute: attribute class
+     *                           holding the type, or TYPE_ATTRIBUTE for the i2 entity and link
+     *                           types (default); null for no types
+     * @returns {ChartData}
+     * @throws {ChartFormatError} - If the file is not ANX
+     */
+    static parse(text, options = {}) {
+        const {
+            entityTypeAttribute = ANXFormat.TYPE_ATTRIBUTE,
+            relationshipTypeAttribute = ANXFormat.TYPE_ATTRIBUTE
+        } = options;
+        const { items, entityTypes, linkTypes } = ANXFormat._read(text);
+        const fields = [ANXFormat.END_DATE_ATTRIBUTE, ANXFormat.STRENGTH_ATTRIBUTE];
+        const typeOf = (item, typeAttribute) => typeAttribute === ANXFormat.TYPE_ATTRIBUTE
+            ? item.type
+            : typeAttribute ? item.attributes[typeAttribute] : null;
+        const properties = (item, typeAttribute) => {
+            const result = { ...item.attributes };
+            [...fields, typeAttribute].forEach(name => delete result[name]);
+            return result;
+        };
+
+        // Links refer to entities by EntityId, or by Id with IdReferenceLinking
+        const entities = items.filter(item => item.kind === 'entity');
+        const entityIds = new Map();
+        entities.forEach(item => {
+            item.references.forEach(reference => entityIds.set(reference, item.id));
+        });
+
+        const graph = {
+            nodes: entities.map(item => {
+                const entityProperties = properties(item, entityTypeAttribute);
+                if (item.identity && item.identity !== item.id && item.identity !== item.label) {
+                    entityProperties.Identity = item.identity;
+                }
+                return {
+                    id: item.id,
+                    label: item.label || item.identity,
+                    type: typeOf(item, entityTypeAttribute),
+                    description: item.description,
+                    startDate: item.dateTime,
+                    endDate: ANXFormat._date(item.attributes[ANXFormat.END_DATE_ATTRIBUTE]),
+                    x: item.x,
+                    y: item.y,
+                    properties: entityProperties
+                };
+            }),
+            edges: items.filter(item => item.kind === 'link').map(item => {
+                // Arrows on the tail point from End2 to End1
+                const [end1, end2] = item.arrowStyle === 'ArrowOnTail' ? [item.end2, item.end1] : [item.end1, item.end2];
+                return {
+                    id: item.id,
+                    source: entityIds.has(end1) ? entityIds.get(end1) : end1,
+                    target: entityIds.has(end2) ? entityIds.get(end2) : end2,
+                    label: item.label,
+                    type: typeOf(item, relationshipTypeAttribute),
+                    strength: Number(item.attributes[ANXFormat.STRENGTH_ATTRIBUTE]),
+                    startDate: item.dateTime,
+                    endDate: ANXFormat._date(item.attributes[ANXFormat.END_DATE_ATTRIBUTE]),
+                    properties: properties(item, relationshipTypeAttribute)
+                };
+            })
+        };
+
+        // Types created by the import take the icon and colour of the i2 types
+        const chartData = GraphInterchange.buildChart(graph);
+        const builtInRelationshipTypes = RelationshipType.createDefaults().map(type => type.id);
+        chartData.entityTypes.forEach(type => {
+            const i2Type = entityTypes.get(type.name.toLowerCase());
+            if (i2Type && i2Type.colour) type.color = i2Type.colour;
+            type.icon = ANXFormat._icon(i2Type ? i2Type.iconFile || i2Type.name : type.name) || type.icon;
+        });
+        chartData.relationshipTypes
+            .filter(type => !builtInRelationshipTypes.includes(type.id))
+            .forEach(type => {
+                const i2Type = linkTypes.get(type.name.toLowerCase());
+                if (i2Type && i2Type.colour) type.color = i2Type.colour;
+
+                const links = items.filter(item => item.kind === 'link' &&
+                    GraphInterchange._typeKey(typeOf(item, relationshipTypeAttribute)) === type.name.toLowerCase());
+                if (links.length > 0 && links.every(item => item.arrowStyle === 'ArrowNone')) {
+                    type.directed = false;
+                }
+                const styled = links.find(item => item.lineWidth > 0);
+                if (styled) type.width = styled.lineWidth;
+            });
+
+        return chartData;
+    }
+
+    /**
+     * Collect the types, attribute classes and chart items of an ANX document
+     */
+    static _read(text) {
+        const doc = GraphInterchange.parseXML(text, 'ANX');
+        const root = doc.documentElement;
+        if (root.localName !== 'Chart') {
+            throw new ChartFormatError('The file is not an ANX document.', [`Expected a <Chart> root element, found <${root.localName}>`]);
+        }
+
+        const elements = (parent, name) => Array.from(parent.getElementsByTagName(name));
+        const child = (parent, name) => Array.from(parent.children).find(element => element.localName === name);
+
+        // Types and attribute classes by name (lower case) and by ID for IdReferenceLinking
+        const entityTypes = new Map();
+        const entityTypeNames = new Map();
+        elements(root, 'EntityType').forEach(element => {
+            const name = element.getAttribute('Name');
+            if (!name) return;
+            entityTypes.set(name.toLowerCase(), {
+                name,
+                iconFile: element.getAttribute('IconFile'),
+                colour: ANXFormat._parseColour(element.getAttribute('Colour'))
+            });
+            if (element.getAttribute('Id')) entityTypeNames.set(element.getAttribute('Id'), name);
+        });
+
+        const linkTypes = new Map();
+        const linkTypeNames = new Map();
+        elements(root, 'LinkType').forEach(element => {
+            const name = element.getAttribute('Name');
+            if (!name) return;
+            linkTypes.set(name.toLowerCase(), { name, colour: ANXFormat._parseColour(element.getAttribute('Colour')) });
+            if (element.getAttribute('Id')) linkTypeNames.set(element.getAttribute('Id'), name);
+        });
+
+        const attributeClasses = new Map();
+        elements(root, 'AttributeClass').forEach(element => {
+            const attributeClass = { name: element.getAttribute('Name'), type: element.getAttribute('Type') || 'AttText' };
+            if (!attributeClass.name) return;
+            attributeClasses.set(attributeClass.name, attributeClass);
+            if (element.getAttribute('Id')) attributeClasses.set(element.getAttribute('Id'), attributeClass);
+        });
+
+        const collection = elements(root, 'ChartItemCollection')[0];
+        if (!collection) {
+            throw new ChartFormatError('The ANX file contains no chart items.');
+        }
+
+        let linkIndex = 0;
+        const items = [];
+        Array.from(collection.children).filter(element => element.localName === 'ChartItem').forEach(element => {
+            const item = {
+                label: element.getAttribute('Label') || '',
+                description: element.getAttribute('Description') || '',
+                dateTime: element.getAttribute('DateSet') === 'true'
+                    ? ANXFormat._date(element.getAttribute('DateTime'), element.getAttribute('TimeSet') !== 'false')
+                    : null,
+                attributes: ANXFormat._attributes(element, attributeClasses)
+            };
+
+            const end = child(element, 'End');
+            const link = child(element, 'Link');
+            if (end && child(end, 'Entity')) {
+                const entity = child(end, 'Entity');
+                const style = Array.from(entity.getElementsByTagName('*')).find(descendant =>
+                    /Style$/.test(descendant.localName) &&
+                    (descendant.hasAttribute('Type') || descendant.hasAttribute('EntityTypeReference')));
+
+                item.kind = 'entity';
+                item.identity = entity.getAttribute('Identity') || '';
+                item.id = entity.getAttribute('EntityId') || item.identity || element.getAttribute('Id') || `anx_entity_${items.length}`;
+                item.references = [item.id, entity.getAttribute('Id'), element.getAttribute('Id')].filter(Boolean);
+                item.type = style
+                    ? style.getAttribute('Type') || entityTypeNames.get(style.getAttribute('EntityTypeReference'))
+                    : null;
+                item.x = Number(end.getAttribute('X') || element.getAttribute('XPosition'));
+                item.y = end.hasAttribute('Y') ? Number(end.getAttribute('Y')) : NaN;
+            } else if (link) {
+                const style = child(link, 'LinkStyle');
+                item.kind = 'link';
+                item.id = element.getAttribute('Id') || link.getAttribute('Id') || `anx_link_${linkIndex++}`;
+                item.end1 = link.getAttribute('End1Id') || link.getAttribute('End1Reference');
+                item.end2 = link.getAttribute('End2Id') || link.getAttribute('End2Reference');
+                item.type = style
+                    ? style.getAttribute('Type') || linkTypeNames.get(style.getAttribute('LinkTypeReference'))
+                    : null;
+                item.arrowStyle = style ? style.getAttribute('ArrowStyle') || 'ArrowOnHead' : 'ArrowOnHead';
+                item.lineWidth = style ? Number(style.getAttribute('LineWidth')) : NaN;
+            } else {
+                // Labels, text blocks and other decorations have no place in a chart
+                return;
+            }
+            items.push(item);
+        });
+
+        return { items, entityTypes, linkTypes, attributeClasses };
+    }
+
+    /**
+     * Get the typed attribute values of a chart item, by attribute class name
+     */
+    static _attributes(element, attributeClasses) {
+        const attributes = {};
+        const collection = Array.from(element.children).find(child => child.localName === 'AttributeCollection');
+        if (!collection) return attributes;
+
+        Array.from(collection.children).filter(child => child.localName === 'Attribute').forEach(child => {
+            const reference = child.getAttribute('AttributeClass') || child.getAttribute('AttributeClassReference');
+            const attributeClass = attributeClasses.get(reference) || { name: reference, type: 'AttText' };
+            if (!attributeClass.name) return;
+
+            const value = child.getAttribute('Value') || '';
+            switch (attributeClass.type) {
+                case 'AttNumber': {
+                    const number = Number(value);
+                    attributes[attributeClass.name] = value === '' || Number.isNaN(number) ? value : number;
+                    break;
+                }
+                case 'AttFlag':
+                    attributes[attributeClass.name] = value.toLowerCase() === 'true';
+                    break;
+                default:
+                    attributes[attributeClass.name] = value;
+            }
+        });
+
+        return attributes;
+    }
+
+    /**
+     * Write an ISO 8601 date as an xsd:dateTime
+     */
+    static _dateTime(date) {
+        return /T/.test(date) ? date.replace(/(\.\d+)?Z$/, '') : `${date}T00:00:00`;
+    }
+
+    /**
+     * Read an xsd:dateTime, dropping the time of dates without one
+     */
+    static _date(dateTime, timeSet = true) {
+        if (!dateTime) return null;
+        return !timeSet || /T00:00:00(\.0+)?$/.test(dateTime) ? dateTime.slice(0, 10) : dateTime;
+    }
+
+    /**
+     * Convert "#rrggbb" to an i2 colour (a Windows COLORREF: red + green * 256 + blue * 65536)
+     */
+    static _colour(color) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+        if (!match) return 0;
+        const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16));
+        return r + g * 256 + b * 65536;
+    }
+
+    static _parseColour(value) {
+        if (value === null || value === '' || !/^\d+$/.test(value)) return null;
+        const colour = Number(value);
+        const hex = [colour & 0xff, (colour >> 8) & 0xff, (colour >> 16) & 0xff]
+            .map(channel => channel.toString(16).padStart(2, '0'))
+            .join('');
+        return `#${hex}`;
+    }
+
+    /**
+     * Pick the i2 icon for an entity type icon; other types use their name,
+     * which i2 resolves against its icon library
+     */
+    static _iconFile(icon, typeName) {
+        const match = Object.entries(ANXFormat.ICONS).find(([, bootstrapIcon]) => bootstrapIcon === icon);
+        return match ? match[0] : typeName;
+    }
+
+    static _icon(iconFile) {
+        const name = String(iconFile).toLowerCase();
+        const match = Object.keys(ANXFormat.ICONS).find(i2Icon => i2Icon.toLowerCase() === name);
+        return match ? ANXFormat.ICONS[match] : null;
+    }
+}
+
+ANXFormat.id = 'anx';
+ANXFormat.label = "i2 Analyst's Notebook (ANX)";
+ANXFormat.extensions = ['.anx'];
+ANXFormat.mimeType = 'application/xml';
+
+// Pseudo attribute offered as type source on import: the i2 entity or link type
+ANXFormat.TYPE_ATTRIBUTE = ':i2 type';
+
+// Attributes that carry fields i2 has no place for
+ANXFormat.END_DATE_ATTRIBUTE = 'End Date';
+ANXFormat.STRENGTH_ATTRIBUTE = 'Strength';
+
+ANXFormat.ATTRIBUTE_TYPES = {
+    boolean: 'AttFlag',
+    integer: 'AttNumber',
+    number: 'AttNumber',
+    string: 'AttText'
+};
+
+// i2 standard icons and the entity type icons they correspond to (first match wins on export)
+ANXFormat.ICONS = {
+    Person: 'bi-person',
+    Male: 'bi-person',
+    Female: 'bi-person',
+    Group: 'bi-people',
+    Organisation: 'bi-building',
+    Organization: 'bi-building',
+    Building: 'bi-building',
+    Location: 'bi-geo-alt',
+    Address: 'bi-geo-alt',
+    Event: 'bi-calendar-event',
+    Meeting: 'bi-calendar-event',
+    Phone: 'bi-telephone',
+    Telephone: 'bi-telephone',
+    Email: 'bi-envelope',
+    Vehicle: 'bi-car-front',
+    Car: 'bi-car-front',
+    Document: 'bi-file-earmark-text',
+    'Bank Account': 'bi-bank',
+    Account: 'bi-bank',
+    Computer: 'bi-pc-display',
+    Database: 'bi-hdd'
+};
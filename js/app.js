@@ -19,6 +19,12 @@ function initApplication() {
     const uiManager = new UiManager(chart);
     uiManager.init();
 
+    // Ask before repairing charts with integrity problems
+    dataManager.onIntegrityProblems = (problems) => uiManager.showIntegrityReport(problems);
+    
+    // Initialize the chart workspace controls
+    uiManager.initWorkspaceControls();
+    
     // Initialize CSV importer after UI manager is ready
     const csvImporter = new CsvImporter(chart, uiManager);
     csvImporter.init();
@@ -26,48 +32,28 @@ function initApplication() {
     // Initialize the entity type modal
     uiManager.initEntityTypeModal();
     
-    // Initialize analyzer
-    const analyzer = new GraphAnalysis(chartData);
+    // Initialize undo/redo history
+    const historyManager = new HistoryManager(chart);
+    historyManager.init();
+    uiManager.initHistoryControls(historyManager);
     
-    // Add auto-analysis tracking
-    let lastEntityCount = 0;
-    let lastRelationshipCount = 0;
-    let analysisNeeded = false;
+    // Autosave unsaved changes for crash recovery
+    const autosave = new AutosaveManager(chart, dataManager);
+    autosave.init();
+    uiManager.initAutosaveControls(autosave);
     
-    // Set up observer to track changes and suggest analysis
-    const dataObserver = new MutationObserver(() => {
-        // Check if significant changes have been made
-        const currentEntityCount = chart.data.entities.length;
-        const currentRelationshipCount = chart.data.relationships.length;
-        
-        // Suggest analysis if the graph has grown by more than 20%
-        if (currentEntityCount > 5 && 
-            (currentEntityCount > lastEntityCount * 1.2 || 
-             currentRelationshipCount > lastRelationshipCount * 1.2)) {
-            
-            // Mark that analysis would be helpful
-            analysisNeeded = true;
-            
-            // Add visual indicator
-            document.getElementById('analyze-chart').closest('.app-container')
-                .classList.add('has-new-data');
-        }
-        
-        lastEntityCount = currentEntityCount;
-        lastRelationshipCount = currentRelationshipCount;
-    });
+    // Initialize the timeline filter
+    const timeline = new TimelineControl(chart);
+    timeline.init();
     
-    // Register data manager events
-    chart.data.onChanged = () => {
-        // Trigger the observer
-        dataObserver.observe(document.body, { childList: true, subtree: true });
-        
-        // Disconnect immediately to avoid unnecessary observations
-        setTimeout(() => dataObserver.disconnect(), 100);
-    };
+    // Initialize analyzer
+    const analyzer = new GraphAnalysis(chartData);
+    
+    // Suggest analysis when the graph grows significantly
+    trackAnalysisSuggestions(chart);
     
     // Check if there's saved data to load
-    checkForSavedData(chart);
+    checkForSavedData(chart, autosave);
     
     // Add to global for debugging purposes
     window.linkChartApp = {
@@ -75,18 +61,24 @@ function initApplication() {
         uiManager,
         dataManager,
         csvImporter,
+        historyManager,
+        autosave,
+        timeline,
         analyzer
     };
 }
 
-async function checkForSavedData(chart) {
+async function checkForSavedData(chart, autosave) {
+    // Unsaved changes from the last session take precedence over the saved chart
+    if (await restoreRecoverySession(chart, autosave)) return;
+    
     try {
         // Try to load saved data from local storage
         const savedData = await dataManager.loadChart();
         
         if (savedData && savedData.entities.length > 0) {
-            chart.updateData(savedData);
-            chart.fitView();
+            // Charts saved with their layout are shown as they were left
+            if (chart.openData(savedData)) return;
             
             // Check if we should apply analysis-based layout
             if (savedData.lastLayoutType === 'analysis') {
@@ -100,23 +92,71 @@ async function checkForSavedData(chart) {
                 setTimeout(() => chart.optimizeHierarchicalLayout(), 300);
             }
         } else {
-            // Load sample data if no saved data
+            // Load sample data if no saved data; it is not part of the empty chart
+            dataManager.detachCurrentChart();
             loadSampleData(chart);
         }
     } catch (error) {
         console.error('Error loading saved data:', error);
+        alert(`Your saved chart could not be opened, showing sample data instead.\n\n${ChartFormat.describeError(error)}`);
         loadSampleData(chart);
     }
 }
 
+/**
+ * Offer to restore changes that were autosaved after the last explicit save
+ * @returns {Promise<boolean>} - True if a session was restored
+ */
+async function restoreRecoverySession(chart, autosave) {
+    let session = null;
+    try {
+        session = await dataManager.getRecoverySession();
+        if (!session) return false;
+        
+        const chartLabel = session.chartName ? `"${session.chartName}"` : 'an unsaved chart';
+        const restore = confirm(
+            `Unsaved changes to ${chartLabel} from ${new Date(session.savedAt).toLocaleString()} were found ` +
+            `(${session.entityCount} entities, ${session.relationshipCount} relationships).\n\n` +
+            'Restore them? Cancel discards them.'
+        );
+        if (!restore) {
+            await dataManager.discardRecoverySession();
+            return false;
+        }
+        
+        const data = await dataManager.restoreRecoverySession(session);
+        if (!data) {
+            // Repair was cancelled: keep the changes for the next start
+            autosave.keepRecoverySession();
+            alert(
+                `The unsaved changes to ${chartLabel} were not restored but are still kept. ` +
+                'They will be offered again the next time LinkChart starts, ' +
+                'unless you change or save the chart that opens now.'
+            );
+            return false;
+        }
+        
+        chart.openData(data);
+        
+        // Still unsaved: keep the recovered changes backed up
+        autosave.markDirty();
+        autosave.saveNow();
+        return true;
+    } catch (error) {
+        console.error('Error restoring autosaved session:', error);
+        if (session) {
+            alert(`The autosaved changes could not be restored.\n\n${ChartFormat.describeError(error)}`);
+            await dataManager.discardRecoverySession().catch(() => {});
+        }
+        return false;
+    }
+}
+
 function loadSampleData(chart) {
     // Check if we want to load issue tracking sample data or regular sample data
     const urlParams = new URLSearchParams(window.location.search);
     const dataType = urlParams.get('data') || 'default';
     
-    // First ensure we have entity types before loading sample data
-    const uiManager = new UiManager(chart);
-    
     if (dataType === 'issues') {
         const sampleData = dataManager.createIssueSampleData();
         chart.updateData(sampleData);
@@ -142,42 +182,35 @@ function loadSampleData(chart) {
         chart.updateData(sampleData);
         chart.fitView();
     }
-    
-    // Update the UI to show the entity types
-    uiManager.updateEntityPalette();
 }
 
-// Add change tracking to ChartData
-function enhanceChartData() {
-    // Add change event support to ChartData
-    const originalAddEntity = ChartData.prototype.addEntity;
-    ChartData.prototype.addEntity = function(entity) {
-        const result = originalAddEntity.call(this, entity);
-        if (this.onChanged) this.onChanged();
-        return result;
-    };
-    
-    const originalAddRelationship = ChartData.prototype.addRelationship;
-    ChartData.prototype.addRelationship = function(relationship) {
-        const result = originalAddRelationship.call(this, relationship);
-        if (this.onChanged) this.onChanged();
-        return result;
-    };
+/**
+ * Flag the Analyze button when the graph has grown by more than 20%
+ * @param {ChartVisualization} chart - Chart whose data is tracked
+ */
+function trackAnalysisSuggestions(chart) {
+    let lastEntityCount = 0;
+    let lastRelationshipCount = 0;
     
-    const originalRemoveEntityById = ChartData.prototype.removeEntityById;
-    ChartData.prototype.removeEntityById = function(id) {
-        const result = originalRemoveEntityById.call(this, id);
-        if (this.onChanged) this.onChanged();
-        return result;
-    };
+    chart.onDataEvent('changed', () => {
+        const currentEntityCount = chart.data.entities.length;
+        const currentRelationshipCount = chart.data.relationships.length;
+        
+        if (currentEntityCount > 5 && 
+            (currentEntityCount > lastEntityCount * 1.2 || 
+             currentRelationshipCount > lastRelationshipCount * 1.2)) {
+            
+            // Add visual indicator
+            document.getElementById('analyze-chart').closest('.app-container')
+                .classList.add('has-new-data');
+        }
+        
+        lastEntityCount = currentEntityCount;
+        lastRelationshipCount = currentRelationshipCount;
+    });
     
-    const originalRemoveRelationshipById = ChartData.prototype.removeRelationshipById;
-    ChartData.prototype.removeRelationshipById = function(id) {
-        const result = originalRemoveRelationshipById.call(this, id);
-        if (this.onChanged) this.onChanged();
-        return result;
-    };
+    chart.on('data:replaced', ({ data }) => {
+        lastEntityCount = data.entities.length;
+        lastRelationshipCount = data.relationships.length;
+    });
 }
-
-// Enhance ChartData with change tracking
-enhanceChartData();
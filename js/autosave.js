@@ -0,0 +1,113 @@
+/**
+ * Autosave module for LinkChart JS
+ *
+ * AutosaveManager tracks whether the chart has changes that were not saved
+ * explicitly. Every change schedules a debounced write of the working copy to
+ * the workspace's recovery session (see DataManager.saveRecoverySession), so
+ * the changes can be restored after a crash or a closed tab. Leaving the page
+ * with unsaved changes asks for confirmation.
+ */
+
+class AutosaveManager {
+    constructor(chart, dataManager) {
+        this.chart = chart;
+        this.dataManager = dataManager;
+        this.delay = 2000; // ms after the last change
+        this.timer = null;
+        this.dirty = false;
+        this.lastAutosaveAt = null;
+        this.keepSessionOnReplace = false; // Set by keepRecoverySession()
+        this.onChange = null;
+    }
+
+    init() {
+        this.chart.onDataEvent('changed', () => this.markDirty());
+
+        // Dragging and pinning nodes change the saved layout
+        this.chart.on('layout:changed', () => this.markDirty());
+
+        // New, opened and sample data starts out without unsaved changes
+        this.chart.on('data:replaced', () => {
+            this.cancel();
+            this.setDirty(false);
+            if (this.keepSessionOnReplace) {
+                this.keepSessionOnReplace = false;
+                return;
+            }
+            this.dataManager.discardRecoverySession().catch(error => {
+                console.error('Error discarding the autosaved session:', error);
+            });
+        });
+
+        this.dataManager.onChartSaved = () => {
+            this.cancel();
+            this.setDirty(false);
+        };
+
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.dirty) return;
+
+            // Best effort; the last scheduled autosave has usually run already
+            this.saveNow();
+            e.preventDefault();
+            e.returnValue = '';
+        });
+    }
+
+    /**
+     * Keep the recovery session when the next chart is loaded, so it is
+     * offered again on the next start. Changing or saving that chart still
+     * replaces the session.
+     */
+    keepRecoverySession() {
+        this.keepSessionOnReplace = true;
+    }
+
+    /**
+     * Flag unsaved changes and schedule an autosave
+     */
+    markDirty() {
+        this.setDirty(true);
+        this.cancel();
+        this.timer = setTimeout(() => this.saveNow(), this.delay);
+    }
+
+    setDirty(dirty) {
+        if (!dirty) {
+            this.lastAutosaveAt = null;
+        }
+        this.dirty = dirty;
+        this._notify();
+    }
+
+    hasUnsavedChanges() {
+        return this.dirty;
+    }
+
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Write the working copy to the recovery session right away
+     */
+    async saveNow() {
+        this.cancel();
+        if (!this.dirty) return;
+
+        try {
+            await this.dataManager.saveRecoverySession(this.chart.data);
+            this.lastAutosaveAt = Date.now();
+            this._notify();
+        } catch (error) {
+            console.error('Error autosaving chart:', error);
+        }
+    }
+
+    _notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
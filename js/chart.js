@@ -2,8 +2,9 @@
  * Chart visualization module for LinkChart JS using D3.js
  */
 
-class ChartVisualization {
+class ChartVisualization extends EventEmitter {
     constructor(containerId, chartData) {
+        super();
         this.containerId = containerId;
         this.data = chartData || new ChartData();
         this.svg = null;
@@ -11,10 +12,14 @@ class ChartVisualization {
         this.width = 0;
         this.height = 0;
         this.nodes = [];
+        this.nodeIndex = new Map();
         this.links = [];
         this.zoom = null;
         this.selectedEntity = null;
         this.onEntitySelected = null;
+        this.onRelationshipSelected = null;
+        this.dataListeners = [];
+        this.timeFilter = null; // { from, to } in ms since epoch, null shows everything
     }
 
     init() {
@@ -45,51 +50,16 @@ class ChartVisualization {
             .scaleExtent([0.1, 4])
             .on('zoom', (event) => {
                 this.chartGroup.attr('transform', event.transform);
+                
+                // Keep the view with the data so reopening the chart restores it
+                const { x, y, k } = event.transform;
+                this.data.viewTransform = { x, y, k };
             });
         
         this.svg.call(this.zoom);
 
-        // Add arrow markers for different relationship types
-        const defs = this.svg.append('defs');
-        
-        // Default marker
-        defs.append('marker')
-            .attr('id', 'arrow-default')
-            .attr('viewBox', '0 -5 10 10')
-            .attr('refX', 27)
-            .attr('refY', 0)
-            .attr('markerWidth', 6)
-            .attr('markerHeight', 6)
-            .attr('orient', 'auto')
-            .append('path')
-            .attr('d', 'M0,-5L10,0L0,5')
-            .attr('fill', '#999');
-
-        // Hierarchical relationship marker
-        defs.append('marker')
-            .attr('id', 'arrow-hierarchical')
-            .attr('viewBox', '0 -5 10 10')
-            .attr('refX', 27)
-            .attr('refY', 0)
-            .attr('markerWidth', 6)
-            .attr('markerHeight', 6)
-            .attr('orient', 'auto')
-            .append('path')
-            .attr('d', 'M0,-5L10,0L0,5')
-            .attr('fill', '#ff9900');
-            
-        // Related relationship marker
-        defs.append('marker')
-            .attr('id', 'arrow-related')
-            .attr('viewBox', '0 -5 10 10')
-            .attr('refX', 27)
-            .attr('refY', 0)
-            .attr('markerWidth', 6)
-            .attr('markerHeight', 6)
-            .attr('orient', 'auto')
-            .append('path')
-            .attr('d', 'M0,-5L10,0L0,5')
-            .attr('fill', '#00aaff');
+        // Arrow markers are created per relationship type in render()
+        this.defs = this.svg.append('defs');
 
         // Initialize the simulation with forces specifically tuned for hierarchical data
         this.simulation = d3.forceSimulation()
@@ -109,6 +79,27 @@ class ChartVisualization {
 
         // Set up event listeners for window resize
         window.addEventListener('resize', this.handleResize.bind(this));
+        
+        // Re-render whenever the data changes (once per batch)
+        this.onDataEvent('changed', () => this.render());
+    }
+
+    /**
+     * Subscribe to an event of the chart data. The subscription follows the
+     * chart when its data is replaced through updateData().
+     * @param {string} event - ChartData event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} - Call to unsubscribe
+     */
+    onDataEvent(event, handler) {
+        const listener = { event, handler };
+        this.dataListeners.push(listener);
+        this.data.on(event, handler);
+        
+        return () => {
+            this.dataListeners = this.dataListeners.filter(l => l !== listener);
+            this.data.off(event, handler);
+        };
     }
 
     handleResize() {
@@ -128,14 +119,66 @@ class ChartVisualization {
     }
 
     updateData(chartData) {
+        // Move data subscriptions over to the new data
+        this.dataListeners.forEach(({ event, handler }) => this.data.off(event, handler));
         this.data = chartData;
-        this.render();
+        this.dataListeners.forEach(({ event, handler }) => this.data.on(event, handler));
+        
+        this.selectedEntity = null;
+        this.timeFilter = null;
+        this.emit('data:replaced', { data: chartData });
+        
+        // Charts that were shown before come back as they were left
+        const viewTransform = chartData.viewTransform;
+        this.render({ restoreLayout: !!viewTransform });
+        if (viewTransform) {
+            this.svg.call(
+                this.zoom.transform,
+                d3.zoomIdentity.translate(viewTransform.x, viewTransform.y).scale(viewTransform.k)
+            );
+        }
     }
 
-    render() {
-        // Convert data to D3 format
-        this.nodes = this.data.entities.map(entity => ({...entity}));
-        this.links = this.data.relationships.map(rel => ({
+    /**
+     * Show chart data after opening it. Charts with a saved layout reappear
+     * exactly as saved; others are laid out and fitted to the view.
+     * @param {ChartData} chartData - Data to show
+     * @returns {boolean} - True if the saved layout was restored
+     */
+    openData(chartData) {
+        const hasLayout = !!chartData.viewTransform;
+        this.updateData(chartData);
+        if (!hasLayout) {
+            this.fitView();
+        }
+        return hasLayout;
+    }
+
+    /**
+     * Render the chart
+     * @param {Object} options - keepPositions reuses the current node positions
+     *                           instead of restarting the layout (used by the timeline);
+     *                           restoreLayout shows the entity positions without simulating
+     */
+    render(options = {}) {
+        const { keepPositions = false, restoreLayout = false } = options;
+        const previousNodes = this.nodeIndex;
+        
+        // Convert data to D3 format, skipping items outside the time filter
+        this.nodes = this.getVisibleEntities().map(entity => {
+            const previous = keepPositions ? previousNodes.get(entity.id) : null;
+            const node = previous
+                ? { ...entity, x: previous.x, y: previous.y, vx: previous.vx, vy: previous.vy }
+                : { ...entity };
+            
+            if (entity.pinned) {
+                node.fx = node.x;
+                node.fy = node.y;
+            }
+            return node;
+        });
+        this.nodeIndex = new Map(this.nodes.map(node => [node.id, node]));
+        this.links = this.getVisibleRelationships().map(rel => ({
             id: rel.id,
             source: rel.sourceId,
             target: rel.targetId,
@@ -157,15 +200,23 @@ class ChartVisualization {
 
         const linkEnter = link.enter()
             .append('line')
+            .on('click', (event, d) => this.onLinkClick(event, d));
+
+        // Style new and existing links from their relationship type
+        this.updateMarkers();
+
+        linkEnter.merge(link)
             .attr('class', d => `link ${d.type}`)
-            .attr('stroke-width', d => d.strength ? Math.sqrt(d.strength) * 1.5 : 1.5)
-            .attr('stroke', d => {
-                // Use different colors for different relationship types
-                if (d.type === 'hierarchical') return '#ff9900';
-                if (d.type === 'related') return '#00aaff';
-                return '#999';
+            .attr('stroke', d => this.getRelationshipType(d.type).color)
+            .attr('stroke-width', d => {
+                const width = this.getRelationshipType(d.type).width;
+                return d.strength ? Math.sqrt(d.strength) * width : width;
             })
-            .attr('marker-end', d => `url(#arrow-${d.type || 'default'})`);
+            .attr('stroke-dasharray', d => this.getRelationshipType(d.type).dash || null)
+            .attr('marker-end', d => {
+                const relationshipType = this.getRelationshipType(d.type);
+                return relationshipType.hasArrow() ? `url(#${this.getMarkerId(relationshipType)})` : null;
+            });
 
         // Create nodes
         const node = this.nodesGroup.selectAll('.node')
@@ -178,23 +229,39 @@ class ChartVisualization {
             .attr('class', d => `node ${d.type}`)
             .call(this.drag())
             .on('click', (event, d) => this.onNodeClick(event, d))
+            .on('dblclick', (event, d) => {
+                // Double-click pins or releases a node instead of zooming
+                event.stopPropagation();
+                this.setPinned(d.id, !d.pinned);
+            })
             .on('mouseover', (event, d) => this.onNodeMouseOver(event, d))
             .on('mouseout', (event, d) => this.onNodeMouseOut(event, d));
 
         nodeEnter.append('circle')
-            .attr('r', 20)
+            .attr('r', 20);
+
+        nodeEnter.append('text')
+            .attr('dy', 30)
+            .attr('text-anchor', 'middle');
+
+        nodeEnter.append('title');
+
+        // Refresh new and existing nodes so entity edits show up
+        const nodeMerge = nodeEnter.merge(node);
+
+        nodeMerge.classed('pinned', d => d.pinned);
+
+        nodeMerge.select('circle')
             .attr('fill', d => {
                 const entityType = this.data.getEntityTypeById(d.type);
                 return entityType ? entityType.color : '#a29bfe'; // Default color if type not found
             });
 
-        nodeEnter.append('text')
-            .attr('dy', 30)
-            .attr('text-anchor', 'middle')
+        nodeMerge.select('text')
             .text(d => d.name);
 
         // Add hover tooltip with additional info
-        nodeEnter.append('title')
+        nodeMerge.select('title')
             .text(d => {
                 let tooltip = `${d.name}\nType: ${d.type}`;
                 
@@ -207,6 +274,10 @@ class ChartVisualization {
                     }
                 });
                 
+                if (d.pinned) {
+                    tooltip += '\nPinned (double-click to release)';
+                }
+                
                 return tooltip;
             });
 
@@ -214,8 +285,113 @@ class ChartVisualization {
         this.simulation
             .on('tick', () => this.onTick());
 
-        // Restart the simulation
-        this.simulation.alpha(1).restart();
+        if (restoreLayout) {
+            // Show the saved positions as they are
+            this.simulation.stop();
+            this.onTick();
+        } else {
+            // Restart the simulation (gently when positions were kept)
+            this.simulation.alpha(keepPositions ? 0.3 : 1).restart();
+        }
+    }
+
+    /**
+     * Pin an entity at its current position or release it
+     * @param {string} entityId - Entity ID
+     * @param {boolean} pinned - True to pin
+     */
+    setPinned(entityId, pinned) {
+        const entity = this.data.getEntityById(entityId);
+        if (!entity) return;
+        
+        entity.pinned = pinned;
+        const node = this.getNodeById(entityId);
+        if (node) {
+            node.pinned = pinned;
+            this.releaseNode(node);
+        }
+        
+        this.nodesGroup.selectAll('.node').classed('pinned', d => d.pinned);
+        if (!pinned) {
+            this.simulation.alpha(0.1).restart();
+        }
+        this.emit('layout:changed', { entityId });
+    }
+
+    unpinAll() {
+        this.data.entities.forEach(entity => {
+            entity.pinned = false;
+        });
+        this.nodes.forEach(node => {
+            node.pinned = false;
+            node.fx = null;
+            node.fy = null;
+        });
+        this.nodesGroup.selectAll('.node').classed('pinned', false);
+        this.emit('layout:changed', {});
+    }
+
+    /**
+     * End a temporary fixed position set by a layout; pinned nodes stay where they are
+     * @param {Object} node - Rendered node
+     */
+    releaseNode(node) {
+        node.fx = node.pinned ? node.x : null;
+        node.fy = node.pinned ? node.y : null;
+    }
+
+    /**
+     * Write the rendered node positions back to their entities so that
+     * saving and exporting keep the layout
+     */
+    syncPositionsToData() {
+        this.nodes.forEach(node => {
+            const entity = this.data.getEntityById(node.id);
+            if (entity) {
+                entity.x = node.x;
+                entity.y = node.y;
+            }
+        });
+    }
+
+    /**
+     * Limit the rendered graph to items valid during a time window
+     * @param {number} from - Window start (ms since epoch)
+     * @param {number} to - Window end (ms since epoch)
+     */
+    setTimeFilter(from, to) {
+        this.timeFilter = { from, to };
+        this.render({ keepPositions: true });
+    }
+
+    clearTimeFilter() {
+        if (!this.timeFilter) return;
+        
+        this.timeFilter = null;
+        this.render({ keepPositions: true });
+    }
+
+    getVisibleEntities() {
+        if (!this.timeFilter) return this.data.entities;
+        
+        const { from, to } = this.timeFilter;
+        return this.data.entities.filter(entity => entity.isActiveDuring(from, to));
+    }
+
+    getVisibleRelationships() {
+        // Links need both endpoints on screen
+        return this.data.relationships.filter(rel => 
+            this.nodeIndex.has(rel.sourceId) &&
+            this.nodeIndex.has(rel.targetId) &&
+            (!this.timeFilter || rel.isActiveDuring(this.timeFilter.from, this.timeFilter.to))
+        );
+    }
+
+    /**
+     * Get the rendered node for an entity ID
+     */
+    getNodeById(id) {
+        return this.nodeIndex.get(id);
     }
 
     onTick() {
@@ -229,9 +405,12 @@ class ChartVisualization {
         // Update node positions
         this.nodesGroup.selectAll('.node')
             .attr('transform', d => `translate(${d.x}, ${d.y})`);
+
+        this.syncPositionsToData();
     }
 
     drag() {
+        const chart = this;
         const simulation = this.simulation;
 
         function dragstarted(event, d) {
@@ -250,9 +429,10 @@ class ChartVisualization {
             // Store the position in the entity data
             d.x = event.x;
             d.y = event.y;
-            // Allow nodes to move again after dragging
-            d.fx = null;
-            d.fy = null;
+            chart.syncPositionsToData();
+            // Allow nodes to move again after dragging, unless pinned
+            chart.releaseNode(d);
+            chart.emit('layout:changed', { entityId: d.id });
         }
 
         return d3.drag()
@@ -267,6 +447,7 @@ class ChartVisualization {
             this.nodesGroup.selectAll('.node.selected')
                 .classed('selected', false);
         }
+        this.linksGroup.selectAll('.link.selected').classed('selected', false);
 
         // Toggle selection of clicked node
         const isSelected = !d3.select(event.currentTarget).classed('selected');
@@ -280,6 +461,22 @@ class ChartVisualization {
         }
    }
 
+    /**
+     * Select a relationship, or unselect it when clicked again; selecting a
+     * relationship unselects the selected entity
+     */
+    onLinkClick(event, d) {
+        const isSelected = !d3.select(event.currentTarget).classed('selected');
+        this.linksGroup.selectAll('.link.selected').classed('selected', false);
+        this.nodesGroup.selectAll('.node.selected').classed('selected', false);
+        d3.select(event.currentTarget).classed('selected', isSelected);
+        this.selectedEntity = null;
+        
+        if (this.onRelationshipSelected) {
+            this.onRelationshipSelected(isSelected ? this.data.getRelationshipById(d.id) : null);
+        }
+    }
+
     /**
      * Handle mouse over event for nodes
      */
@@ -433,13 +630,64 @@ class ChartVisualization {
         entity.x = point[0];
         entity.y = point[1];
         
-        // Add to data and re-render
+        // Add to data (the chart re-renders on the change event)
         this.data.addEntity(entity);
-        this.render();
         
         return entity;
     }
 
+    /**
+     * Get the relationship type used to style a link, falling back to 'default'
+     * @param {string} typeId - Relationship type ID
+     * @returns {RelationshipType} - Type to style with
+     */
+    getRelationshipType(typeId) {
+        return this.data.getRelationshipTypeById(typeId)
+            || this.data.getRelationshipTypeById('default')
+            || RelationshipType.createDefaults()[0];
+    }
+
+    getMarkerId(relationshipType) {
+        return 'arrow-' + String(relationshipType.id).replace(/[^\w-]/g, '_');
+    }
+
+    /**
+     * Create one arrow marker per relationship type that draws arrowheads
+     */
+    updateMarkers() {
+        const types = this.data.relationshipTypes.filter(type => type.hasArrow());
+        if (!this.data.getRelationshipTypeById('default')) {
+            types.push(this.getRelationshipType('default'));
+        }
+
+        const marker = this.defs.selectAll('marker')
+            .data(types, d => d.id);
+
+        marker.exit().remove();
+
+        const markerEnter = marker.enter()
+            .append('marker')
+            .attr('viewBox', '0 -5 10 10')
+            .attr('refX', 27)
+            .attr('refY', 0)
+            .attr('markerWidth', 6)
+            .attr('markerHeight', 6)
+            .attr('orient', 'auto');
+
+        markerEnter.append('path');
+
+        const markerMerge = markerEnter.merge(marker)
+            .attr('id', d => this.getMarkerId(d));
+
+        markerMerge.select('path')
+            .attr('d', d => d.arrow === 'circle'
+                ? 'M1,0A4,4 0 1,0 9,0A4,4 0 1,0 1,0'
+                : 'M0,-5L10,0L0,5')
+            .attr('fill', d => d.arrow === 'open' ? 'none' : d.color)
+            .attr('stroke', d => d.arrow === 'open' ? d.color : null)
+            .attr('stroke-width', d => d.arrow === 'open' ? 1.5 : null);
+    }
+
     createRelationship(sourceId, targetId, type = 'default', label = '') {
         // Create a new relationship
         const relationship = new Relationship(
@@ -450,9 +698,8 @@ class ChartVisualization {
             label
         );
         
-        // Add to data and re-render
+        // Add to data (the chart re-renders on the change event)
         this.data.addRelationship(relationship);
-        this.render();
         
         return relationship;
     }
@@ -477,8 +724,9 @@ class ChartVisualization {
         });
         
         // For each parent, position children in a semi-circle below
+        const pinnedNodes = [];
         parentChildMap.forEach((children, parentId) => {
-            const parent = this.nodes.find(node => node.id === parentId);
+            const parent = this.getNodeById(parentId);
             if (!parent) return;
             
             // Calculate radius based on number of children
@@ -487,7 +735,7 @@ class ChartVisualization {
             
             // Position children in a semi-circle below the parent
             children.forEach((childId, i) => {
-                const child = this.nodes.find(node => node.id === childId);
+                const child = this.getNodeById(childId);
                 if (!child) return;
                 
                 const angle = Math.PI / 2 + angleStep * i - (children.length - 1) * angleStep / 2;
@@ -497,15 +745,15 @@ class ChartVisualization {
                 // Pin the node position temporarily
                 child.fx = child.x;
                 child.fy = child.y;
-                
-                // Schedule unpinning after layout stabilizes
-                setTimeout(() => {
-                    child.fx = null;
-                    child.fy = null;
-                }, 1500);
+                pinnedNodes.push(child);
             });
         });
         
+        // Schedule unpinning after layout stabilizes
+        setTimeout(() => {
+            pinnedNodes.forEach(node => this.releaseNode(node));
+        }, 1500);
+        
         // Restart the simulation
         this.simulation.alpha(1).restart();
     }
@@ -0,0 +1,271 @@
+/**
+ * CSV export module for LinkChart JS
+ *
+ * Writes entities and relationships as two spreadsheet-friendly CSV files,
+ * bundled in a zip. Entity and relationship fields come first, followed by
+ * one column per property key. The entities file uses the column names the
+ * CSV import wizard recognizes, and given the relationships file as its edges
+ * file, the wizard reads the relationships back too.
+ *
+ * The zip also holds a schema file with the entity and relationship types and
+ * the type of each column. Importing the zip itself restores the chart as it
+ * was exported: types keep their colors, icons, property definitions and
+ * styling, and values keep their types ("007" stays text, objects come back
+ * as objects). Imported without the schema, the CSV files keep their IDs and
+ * text fields as text, but the wizard guesses the types of property values.
+ */
+
+class CsvExport {
+    /**
+     * List the columns that can be exported
+     * @param {ChartData} chartData - Chart to export
+     * @returns {Object} - { entities: [column], relationships: [column] }; field columns first
+     */
+    static availableColumns(chartData) {
+        return {
+            entities: CsvExport._columns(chartData.entities, CsvExport.ENTITY_FIELDS),
+            relationships: CsvExport._columns(chartData.relationships, CsvExport.RELATIONSHIP_FIELDS)
+        };
+    }
+
+    /**
+     * Write entities and relationships as CSV text
+     * @param {ChartData} chartData - Chart to export
+     * @param {Object} options - entityTypes: IDs of the entity types to export (default all);
+     *                           entityColumns / relationshipColumns: columns to write (default all).
+     *                           Relationships are exported when both ends are.
+     * @returns {Object} - { entities: CSV text, relationships: CSV text, schema, entityCount, relationshipCount }
+     */
+    static serialize(chartData, options = {}) {
+        const available = CsvExport.availableColumns(chartData);
+        const { entityTypes = null, entityColumns = null, relationshipColumns = null } = options;
+
+        // ID columns are always written, so the files can be imported again
+        const chosen = (columns, selected, required) => columns.filter(column =>
+            required.includes(column) || !selected || selected.includes(column));
+        const entityHeaders = chosen(available.entities, entityColumns, ['id']);
+        const relationshipHeaders = chosen(available.relationships, relationshipColumns, ['id', 'source', 'target']);
+
+        const entities = chartData.entities.filter(entity => !entityTypes || entityTypes.includes(entity.type));
+        const exportedIds = new Set(entities.map(entity => entity.id));
+        const relationships = chartData.relationships.filter(rel =>
+            exportedIds.has(rel.sourceId) && exportedIds.has(rel.targetId));
+
+        const typeName = (types, id) => {
+            const type = types.find(t => t.id === id);
+            return type ? type.name : id;
+        };
+        const entityFields = {
+            id: entity => entity.id,
+            name: entity => entity.name,
+            type: entity => typeName(chartData.entityTypes, entity.type),
+            description: entity => entity.description,
+            startDate: entity => entity.startDate,
+            endDate: entity => entity.endDate,
+            x: entity => entity.x,
+            y: entity => entity.y,
+            pinned: entity => !!entity.pinned
+        };
+        const relationshipFields = {
+            id: rel => rel.id,
+            source: rel => rel.sourceId,
+            target: rel => rel.targetId,
+            type: rel => typeName(chartData.relationshipTypes, rel.type),
+            label: rel => rel.label,
+            strength: rel => rel.strength,
+            startDate: rel => rel.startDate,
+            endDate: rel => rel.endDate
+        };
+
+        const entityColumnTypes = CsvExport._columnTypes(entities, entityHeaders, entityFields);
+        const relationshipColumnTypes = CsvExport._columnTypes(relationships, relationshipHeaders, relationshipFields);
+
+        return {
+            entities: CsvExport._unparse(entities, entityHeaders, entityFields, entityColumnTypes),
+            relationships: CsvExport._unparse(relationships, relationshipHeaders, relationshipFields, relationshipColumnTypes),
+            schema: {
+                entityTypes: chartData.entityTypes
+                    .filter(type => !entityTypes || entityTypes.includes(type.id))
+                    .map(type => type.toJSON()),
+                relationshipTypes: chartData.relationshipTypes.map(type => type.toJSON()),
+                columns: { entities: entityColumnTypes, relationships: relationshipColumnTypes }
+            },
+            entityCount: entities.length,
+            relationshipCount: relationships.length
+        };
+    }
+
+    /**
+     * Bundle the entities and relationships files and their schema in a zip
+     * @param {ChartData} chartData - Chart to export
+     * @param {Object} options - Options of serialize()
+     * @returns {Promise<Object>} - { blob, entityCount, relationshipCount }
+     */
+    static async createZip(chartData, options = {}) {
+        const files = CsvExport.serialize(chartData, options);
+        const zip = new JSZip();
+        zip.file(CsvExport.ENTITIES_FILE, files.entities);
+        zip.file(CsvExport.RELATIONSHIPS_FILE, files.relationships);
+        zip.file(CsvExport.SCHEMA_FILE, JSON.stringify(files.schema, null, 2));
+
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        return { blob, entityCount: files.entityCount, relationshipCount: files.relationshipCount };
+    }
+
+    /**
+     * Read the files of a zip written by createZip()
+     * @param {Blob} file - Zip file
+     * @returns {Promise<Object>} - { entities: CSV text, relationships: CSV text or null, schema: Object or null }
+     * @throws {Error} - If the zip has no entities file
+     */
+    static async readZip(file) {
+        const zip = await JSZip.loadAsync(file);
+        const read = name => zip.file(name) ? zip.file(name).async('string') : Promise.resolve(null);
+        const [entities, relationships, schema] = await Promise.all([
+            read(CsvExport.ENTITIES_FILE),
+            read(CsvExport.RELATIONSHIPS_FILE),
+            read(CsvExport.SCHEMA_FILE)
+        ]);
+
+        if (entities === null) {
+            throw new Error(`The zip has no ${CsvExport.ENTITIES_FILE} file.`);
+        }
+        return { entities, relationships, schema: schema ? JSON.parse(schema) : null };
+    }
+
+    /**
+     * Check whether CSV headers look like an entities file written by this export
+     * @param {Array} headers - Column names
+     * @returns {boolean}
+     */
+    static isEntitiesFile(headers) {
+        return ['id', 'name', 'type'].every(field => headers.includes(field));
+    }
+
+    /**
+     * Whether an exported column holds text, for files read without their schema
+     * @param {string} column - Column name
+     * @returns {boolean}
+     */
+    static isTextColumn(column) {
+        return [...CsvExport.ENTITY_FIELDS, ...CsvExport.RELATIONSHIP_FIELDS].includes(column) &&
+            !CsvExport.FIELD_TYPES[column];
+    }
+
+    /**
+     * Convert rows read as text to the column types of the schema
+     * @param {Array} rows - CSV rows with text values
+     * @param {Object} columnTypes - Type by column ('string', 'number', 'boolean' or 'json')
+     * @returns {Array} - Typed rows, without the empty cells (empty text and null are written as JSON)
+     */
+    static typeRows(rows, columnTypes) {
+        return rows.map(row => {
+            const typed = {};
+            Object.entries(row).forEach(([column, text]) => {
+                if (text === undefined || text === null || text === '') return;
+                typed[column] = CsvExport._readValue(text, columnTypes[column]);
+            });
+            return typed;
+        });
+    }
+
+    /**
+     * Add the entity and relationship types of a schema the chart does not
+     * have yet (by ID or name), so imported items keep their styling
+     * @param {ChartData} chartData - Chart to add to
+     * @param {Object} schema - Schema from readZip()
+     */
+    static restoreTypes(chartData, schema) {
+        const types = new ChartData();
+        types.fromJSON({
+            entities: [],
+            relationships: [],
+            entityTypes: schema.entityTypes || [],
+            relationshipTypes: schema.relationshipTypes || []
+        });
+
+        const isKnown = (existing, type) => existing.some(t =>
+            t.id === type.id || t.name.toLowerCase() === type.name.toLowerCase());
+        types.entityTypes
+            .filter(type => !isKnown(chartData.entityTypes, type))
+            .forEach(type => chartData.addEntityType(type));
+        types.relationshipTypes
+            .filter(type => !isKnown(chartData.relationshipTypes, type))
+            .forEach(type => chartData.addRelationshipType(type));
+    }
+
+    // Fields first, then properties; properties named like a field get a prefix
+    static _columns(items, fields) {
+        const reserved = fields.map(field => field.toLowerCase());
+        const properties = GraphInterchange.propertyColumns(items).map(column =>
+            GraphInterchange.prefixProperty(column.name, reserved));
+        return [...fields, ...properties];
+    }
+
+    // Property columns whose values are not all text, numbers or booleans are written as JSON
+    static _columnTypes(items, headers, fields) {
+        const columnTypes = {};
+        headers.forEach(header => {
+            if (Object.prototype.hasOwnProperty.call(fields, header)) {
+                columnTypes[header] = CsvExport.FIELD_TYPES[header] || 'string';
+                return;
+            }
+
+            const name = GraphInterchange.unprefixProperty(header);
+            let columnType = null;
+            items.forEach(item => {
+                if (!Object.prototype.hasOwnProperty.call(item.properties, name)) return;
+
+                const value = item.properties[name];
+                const valueType = typeof value === 'string' && value !== '' ? 'string'
+                    : typeof value === 'boolean' ? 'boolean'
+                    : typeof value === 'number' && Number.isFinite(value) ? 'number'
+                    : 'json';
+                columnType = !columnType || columnType === valueType ? valueType : 'json';
+            });
+            columnTypes[header] = columnType || 'string';
+        });
+        return columnTypes;
+    }
+
+    static _unparse(items, headers, fields, columnTypes) {
+        const rows = items.map(item => headers.map(header => {
+            const value = Object.prototype.hasOwnProperty.call(fields, header)
+                ? fields[header](item)
+                : item.properties[GraphInterchange.unprefixProperty(header)];
+            return columnTypes[header] === 'json' && value !== undefined
+                ? JSON.stringify(value)
+                : GraphInterchange.formatValue(value);
+        }));
+        return Papa.unparse({ fields: headers, data: rows });
+    }
+
+    static _readValue(text, columnType) {
+        switch (columnType) {
+            case 'number': {
+                const number = Number(text);
+                return Number.isFinite(number) ? number : text;
+            }
+            case 'boolean':
+                return text === 'true';
+            case 'json':
+                try {
+                    return JSON.parse(text);
+                } catch (error) {
+                    return text;
+                }
+            default:
+                return text;
+        }
+    }
+}
+
+CsvExport.ENTITY_FIELDS = ['id', 'name', 'type', 'description', 'startDate', 'endDate', 'x', 'y', 'pinned'];
+CsvExport.RELATIONSHIP_FIELDS = ['id', 'source', 'target', 'type', 'label', 'strength', 'startDate', 'endDate'];
+
+// Fields that are not text
+CsvExport.FIELD_TYPES = { x: 'number', y: 'number', pinned: 'boolean', strength: 'number' };
+
+CsvExport.ENTITIES_FILE = 'entities.csv';
+CsvExport.RELATIONSHIPS_FILE = 'relationships.csv';
+CsvExport.SCHEMA_FILE = 'schema.json';
@@ -0,0 +1,114 @@
+/**
+ * Cytoscape.js JSON module for LinkChart JS
+ *
+ * Writes the elements JSON read by Cytoscape.js (cy.json() / cy.add()) and
+ * Cytoscape desktop (.cyjs). Entity and relationship type styling is
+ * included as a Cytoscape.js stylesheet.
+ */
+
+class CytoscapeJSONFormat {
+    /**
+     * Write a chart as Cytoscape.js JSON
+     * @param {ChartData} chartData - Chart to export
+     * @param {Object} options - name: network name
+     * @returns {string} - JSON text
+     */
+    static serialize(chartData, options = {}) {
+        const entityTypeName = id => (chartData.getEntityTypeById(id) || { name: id }).name;
+        const relationshipTypeName = id => (chartData.getRelationshipTypeById(id) || { name: id }).name;
+
+        const nodes = chartData.entities.map(entity => ({
+            data: CytoscapeJSONFormat._data({
+                id: entity.id,
+                label: entity.name,
+                type: entityTypeName(entity.type),
+                description: entity.description,
+                startDate: entity.startDate,
+                endDate: entity.endDate
+            }, entity.properties),
+            position: {
+                x: Number.isFinite(entity.x) ? entity.x : 0,
+                y: Number.isFinite(entity.y) ? entity.y : 0
+            },
+            locked: !!entity.pinned,
+            classes: CytoscapeJSONFormat._className(entity.type)
+        }));
+
+        const edges = chartData.relationships.map(rel => ({
+            data: CytoscapeJSONFormat._data({
+                id: rel.id,
+                source: rel.sourceId,
+                target: rel.targetId,
+                label: rel.label,
+                type: relationshipTypeName(rel.type),
+                strength: rel.strength,
+                startDate: rel.startDate,
+                endDate: rel.endDate
+            }, rel.properties),
+            classes: CytoscapeJSONFormat._className(rel.type)
+        }));
+
+        return JSON.stringify({
+            format_version: '1.0',
+            generated_by: 'LinkChart JS',
+            data: { name: options.name || 'LinkChart' },
+            elements: { nodes, edges },
+            style: CytoscapeJSONFormat._style(chartData)
+        }, null, 2);
+    }
+
+    /**
+     * Build element data: fields first, then properties. Properties named like
+     * a field are prefixed with "property:" so they cannot replace it.
+     */
+    static _data(fields, properties) {
+        const data = {};
+        Object.entries(fields).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                data[key] = value;
+            }
+        });
+        Object.entries(properties || {}).forEach(([key, value]) => {
+            data[key in fields ? GraphInterchange.PROPERTY_PREFIX + key : key] = value;
+        });
+        return data;
+    }
+
+    static _style(chartData) {
+        const arrowShapes = { triangle: 'triangle', open: 'vee', circle: 'circle', none: 'none' };
+
+        return [
+            {
+                selector: 'node',
+                style: { label: 'data(label)', 'font-size': 10, 'text-valign': 'bottom', 'text-margin-y': 5 }
+            },
+            {
+                selector: 'edge',
+                style: { label: 'data(label)', 'font-size': 8, 'curve-style': 'bezier' }
+            },
+            ...chartData.entityTypes.map(type => ({
+                selector: `node.${CytoscapeJSONFormat._className(type.id)}`,
+                style: { 'background-color': type.color }
+            })),
+            ...chartData.relationshipTypes.map(type => ({
+                selector: `edge.${CytoscapeJSONFormat._className(type.id)}`,
+                style: {
+                    'line-color': type.color,
+                    'target-arrow-color': type.color,
+                    'target-arrow-shape': type.hasArrow() ? arrowShapes[type.arrow] : 'none',
+                    width: type.width,
+                    'line-style': type.dash ? 'dashed' : 'solid'
+                }
+            }))
+        ];
+    }
+
+    static _className(typeId) {
+        return 'type-' + String(typeId).replace(/[^A-Za-z0-9_-]/g, '_');
+    }
+}
+
+CytoscapeJSONFormat.id = 'cytoscape';
+CytoscapeJSONFormat.label = 'Cytoscape.js JSON';
+CytoscapeJSONFormat.extensions = ['.cyjs'];
+CytoscapeJSONFormat.mimeType = 'application/json';
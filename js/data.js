@@ -4,58 +4,492 @@
 
 class DataManager {
     constructor() {
-        this.localStorageKey = 'linkchartjs_data';
+        // Charts are kept in IndexedDB; this key only holds data from before the workspace
+        this.legacyStorageKey = 'linkchartjs_data';
+        this.currentChartKey = 'linkchartjs_current_chart';
+        this.store = new ChartStore();
+        this.currentChart = null; // Metadata of the open chart, null if it was never saved
+        this.onCurrentChartChange = null;
+        this.onChartSaved = null;
+        this.recoverySessionId = 'current';
+        // Snapshots kept per chart; older ones are deleted first
+        this.snapshotRetention = {
+            maxNamed: 50,
+            maxAutomatic: 20,
+            maxAutomaticAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+        };
+        this.autoSnapshotInterval = 10 * 60 * 1000; // Minimum time between checkpoints on save
+        // File formats of other graph tools, by ID (see GraphMLFormat for the interface)
+        this.graphFormats = {
+            graphml: GraphMLFormat,
+            gexf: GEXFFormat,
+            cytoscape: CytoscapeJSONFormat,
+            cypher: Neo4jCypherFormat,
+            neo4j: Neo4jJSONFormat,
+            anx: ANXFormat,
+            stix: STIXFormat,
+            turtle: TurtleFormat,
+            jsonld: JSONLDFormat,
+            dot: DotFormat,
+            mermaid: MermaidFormat
+        };
+        this.initialized = null;
+        // Called with the integrity problems of a chart being opened; resolve
+        // true to open it with the repairs applied, false to cancel
+        this.onIntegrityProblems = null;
+        // Called with the version a chart being opened was upgraded from and
+        // the descriptions of the migrations applied to it
+        this.onChartUpgraded = null;
+    }
+
+    /**
+     * Open the workspace and move a chart saved by older versions into it.
+     * Safe to call more than once.
+     */
+    async init() {
+        if (!this.initialized) {
+            this.initialized = this.store.open().then(() => this.migrateLegacyStorage());
+        }
+        return this.initialized;
     }
 
-    saveChart(chartData) {
+    async migrateLegacyStorage() {
+        const jsonData = localStorage.getItem(this.legacyStorageKey);
+        if (!jsonData) return;
+        
+        const meta = this._createMeta('My Chart');
         try {
-            const jsonData = JSON.stringify(chartData.toJSON());
-            localStorage.setItem(this.localStorageKey, jsonData);
-            return true;
+            const parsed = JSON.parse(jsonData);
+            meta.entityCount = Array.isArray(parsed.entities) ? parsed.entities.length : 0;
+            meta.relationshipCount = Array.isArray(parsed.relationships) ? parsed.relationships.length : 0;
         } catch (error) {
-            console.error('Error saving chart data:', error);
-            return false;
+            // Keep the text as-is; opening the chart reports what is wrong with it
         }
+        
+        await this.store.putChart(meta, jsonData);
+        localStorage.removeItem(this.legacyStorageKey);
+        localStorage.setItem(this.currentChartKey, meta.id);
     }
 
-    async loadChart() {
-        return new Promise((resolve) => {
-            try {
-                const jsonData = localStorage.getItem(this.localStorageKey);
-                
-                if (!jsonData) {
-                    resolve(null);
-                    return;
-                }
-                
-                const parsedData = JSON.parse(jsonData);
-                const chartData = new ChartData();
-                chartData.fromJSON(parsedData);
-                resolve(chartData);
-            } catch (error) {
-                console.error('Error loading chart data:', error);
-                resolve(null);
+    /**
+     * Get the metadata of all charts in the workspace, most recent first
+     * @returns {Promise<Array>} - ({ id, name, createdAt, modifiedAt, entityCount, relationshipCount })
+     */
+    async listCharts() {
+        await this.init();
+        return this.store.listCharts();
+    }
+
+    getCurrentChart() {
+        return this.currentChart;
+    }
+
+    /**
+     * Store chart data as a new chart and make it the current one
+     * @param {string} name - Chart name
+     * @param {ChartData} chartData - Contents of the chart
+     * @returns {Promise<Object>} - Metadata of the new chart
+     */
+    async createChart(name, chartData = new ChartData()) {
+        await this.init();
+        
+        const meta = this._createMeta(name);
+        await this._writeChart(meta, chartData);
+        this._setCurrentChart(meta);
+        return meta;
+    }
+
+    /**
+     * Save chart data over the current chart, creating one if there is none
+     * @param {ChartData} chartData - Data to save
+     * @param {string} name - Name for a newly created chart
+     * @returns {Promise<Object>} - Metadata of the saved chart
+     */
+    async saveChart(chartData, name = 'Untitled chart') {
+        await this.init();
+        
+        if (!this.currentChart) {
+            return this.createChart(name, chartData);
+        }
+        
+        const meta = { ...this.currentChart };
+        await this._writeChart(meta, chartData);
+        this._setCurrentChart(meta);
+        
+        // Checkpoint saved states now and then
+        const [lastAutomatic] = (await this.store.listSnapshots(meta.id)).filter(snapshot => snapshot.automatic);
+        if (!lastAutomatic || Date.now() - lastAutomatic.createdAt >= this.autoSnapshotInterval) {
+            await this.createSnapshot(chartData, 'Saved', true);
+        }
+        return meta;
+    }
+
+    /**
+     * Open a chart from the workspace
+     * @param {string} id - Chart ID, defaults to the last opened (or most recently modified) chart
+     * @returns {Promise<ChartData|null>} - Null if there is no such chart or opening was
+     *          cancelled; rejects (see ChartFormat.describeError) if the chart cannot be read
+     */
+    async loadChart(id = null) {
+        try {
+            await this.init();
+            
+            if (!id) {
+                const [latest] = await this.store.listCharts();
+                id = localStorage.getItem(this.currentChartKey) || (latest && latest.id);
+            }
+            if (!id) return null;
+            
+            const meta = await this.store.getChartMeta(id);
+            const jsonData = meta ? await this.store.getChartContents(id) : undefined;
+            
+            if (!jsonData) {
+                return null;
+            }
+            
+            const chartData = await this.parseChart(jsonData);
+            if (chartData) {
+                this._setCurrentChart(meta);
             }
+            return chartData;
+        } catch (error) {
+            console.error('Error loading chart data:', error);
+            throw error;
+        }
+    }
+
+    async renameChart(id, name) {
+        await this.init();
+        
+        const meta = await this.store.getChartMeta(id);
+        if (!meta) return null;
+        
+        meta.name = name;
+        await this.store.putChart(meta);
+        if (this.currentChart && this.currentChart.id === id) {
+            this._setCurrentChart(meta);
+        }
+        return meta;
+    }
+
+    /**
+     * Copy a chart under a new name. The current chart does not change.
+     * @param {string} id - Chart to copy
+     * @param {string} name - Name of the copy (defaults to "<name> (copy)")
+     * @returns {Promise<Object|null>} - Metadata of the copy
+     */
+    async duplicateChart(id, name = null) {
+        await this.init();
+        
+        const source = await this.store.getChartMeta(id);
+        const jsonData = source ? await this.store.getChartContents(id) : undefined;
+        if (!jsonData) return null;
+        
+        const meta = {
+            ...this._createMeta(name || `${source.name} (copy)`),
+            entityCount: source.entityCount,
+            relationshipCount: source.relationshipCount
+        };
+        await this.store.putChart(meta, jsonData);
+        return meta;
+    }
+
+    async deleteChart(id) {
+        await this.init();
+        await this.store.deleteChart(id);
+        
+        const snapshots = await this.store.listSnapshots(id);
+        await this.store.deleteSnapshots(snapshots.map(snapshot => snapshot.id));
+        
+        if (this.currentChart && this.currentChart.id === id) {
+            this._setCurrentChart(null);
+        }
+    }
+
+    /**
+     * Store a checkpoint of the current chart
+     * @param {ChartData} chartData - Data to checkpoint (serialized immediately)
+     * @param {string} name - Snapshot name
+     * @param {boolean} automatic - Automatic checkpoints have their own retention limits
+     * @returns {Promise<Object>} - Snapshot metadata
+     *          ({ id, chartId, name, automatic, createdAt, entityCount, relationshipCount })
+     */
+    async createSnapshot(chartData, name, automatic = false) {
+        // Serialize before waiting so later changes are not included
+        const json = JSON.stringify(chartData.toJSON());
+        const entityCount = chartData.entities.length;
+        const relationshipCount = chartData.relationships.length;
+        const chart = this.currentChart;
+        if (!chart) {
+            throw new Error('Save the chart before taking snapshots.');
+        }
+        
+        await this.init();
+        
+        const meta = {
+            id: 'snapshot_' + Math.random().toString(36).substring(2, 9) + '_' + Date.now(),
+            chartId: chart.id,
+            name,
+            automatic,
+            createdAt: Date.now(),
+            entityCount,
+            relationshipCount
+        };
+        await this.store.putSnapshot(meta, json);
+        await this.applySnapshotRetention(chart.id);
+        return meta;
+    }
+
+    /**
+     * Get the snapshots of a chart, newest first
+     * @param {string} chartId - Chart ID, defaults to the current chart
+     * @returns {Promise<Array>} - Snapshot metadata
+     */
+    async listSnapshots(chartId = null) {
+        await this.init();
+        
+        const id = chartId || (this.currentChart && this.currentChart.id);
+        return id ? this.store.listSnapshots(id) : [];
+    }
+
+    /**
+     * Replace the current chart with a snapshot. The state being replaced is
+     * checkpointed first, so the restore can itself be reverted.
+     * @param {string} id - Snapshot ID
+     * @param {ChartData} chartData - Data currently shown (may have unsaved changes)
+     * @returns {Promise<ChartData|null>} - Restored data, null if cancelled
+     */
+    async restoreSnapshot(id, chartData) {
+        const { snapshot, restored } = await this._readSnapshot(id);
+        if (!restored) return null;
+        
+        if (!this.currentChart || this.currentChart.id !== snapshot.chartId) {
+            throw new Error('Snapshots can only be restored into the chart they were taken from.');
+        }
+        
+        await this.createSnapshot(chartData, `Before restoring "${snapshot.name}"`, true);
+        
+        const meta = { ...this.currentChart };
+        await this._writeChart(meta, restored);
+        this._setCurrentChart(meta);
+        return restored;
+    }
+
+    /**
+     * Open a snapshot as a new chart, leaving its original chart unchanged
+     * @param {string} id - Snapshot ID
+     * @param {string} name - Name of the new chart
+     * @returns {Promise<ChartData|null>} - Data of the new chart, null if cancelled
+     */
+    async restoreSnapshotAsNewChart(id, name) {
+        const { restored } = await this._readSnapshot(id);
+        if (!restored) return null;
+        
+        await this.createChart(name, restored);
+        return restored;
+    }
+
+    /**
+     * Rename a snapshot. Renamed automatic checkpoints become named snapshots.
+     */
+    async renameSnapshot(id, name) {
+        await this.init();
+        
+        const meta = await this.store.getSnapshotMeta(id);
+        if (!meta) return null;
+        
+        meta.name = name;
+        meta.automatic = false;
+        await this.store.putSnapshot(meta);
+        await this.applySnapshotRetention(meta.chartId);
+        return meta;
+    }
+
+    async deleteSnapshot(id) {
+        await this.init();
+        await this.store.deleteSnapshots([id]);
+    }
+
+    /**
+     * Delete the snapshots of a chart that exceed snapshotRetention: the oldest
+     * named snapshots beyond maxNamed, and automatic checkpoints beyond
+     * maxAutomatic or older than maxAutomaticAge
+     * @param {string} chartId - Chart ID
+     * @returns {Promise<number>} - Number of snapshots deleted
+     */
+    async applySnapshotRetention(chartId) {
+        const { maxNamed, maxAutomatic, maxAutomaticAge } = this.snapshotRetention;
+        const snapshots = await this.store.listSnapshots(chartId);
+        const cutoff = Date.now() - maxAutomaticAge;
+        
+        const named = snapshots.filter(snapshot => !snapshot.automatic);
+        const automatic = snapshots.filter(snapshot => snapshot.automatic);
+        const expired = [
+            ...named.slice(maxNamed),
+            ...automatic.filter((snapshot, index) => index >= maxAutomatic || snapshot.createdAt < cutoff)
+        ];
+        
+        if (expired.length > 0) {
+            await this.store.deleteSnapshots(expired.map(snapshot => snapshot.id));
+        }
+        return expired.length;
+    }
+
+    async _readSnapshot(id) {
+        await this.init();
+        
+        const snapshot = await this.store.getSnapshotMeta(id);
+        const jsonData = snapshot ? await this.store.getSnapshotContents(id) : undefined;
+        if (!jsonData) {
+            throw new Error('The snapshot no longer exists.');
+        }
+        
+        return { snapshot, restored: await this.parseChart(jsonData) };
+    }
+
+    /**
+     * Autosave the working copy of the open chart for crash recovery.
+     * The stored chart is only changed by an explicit save.
+     * @param {ChartData} chartData - Data being edited
+     */
+    async saveRecoverySession(chartData) {
+        await this.init();
+        await this.store.putSession({
+            id: this.recoverySessionId,
+            chartId: this.currentChart ? this.currentChart.id : null,
+            chartName: this.currentChart ? this.currentChart.name : null,
+            savedAt: Date.now(),
+            entityCount: chartData.entities.length,
+            relationshipCount: chartData.relationships.length,
+            json: JSON.stringify(chartData.toJSON())
         });
     }
 
+    /**
+     * Get the autosaved session if it is newer than the last explicit save
+     * of its chart
+     * @returns {Promise<Object|null>} - ({ chartId, chartName, savedAt, entityCount, relationshipCount, json })
+     */
+    async getRecoverySession() {
+        await this.init();
+        
+        const session = await this.store.getSession(this.recoverySessionId);
+        if (!session) return null;
+        
+        if (session.chartId) {
+            const meta = await this.store.getChartMeta(session.chartId);
+            if (meta && meta.modifiedAt >= session.savedAt) {
+                await this.discardRecoverySession();
+                return null;
+            }
+        }
+        return session;
+    }
+
+    /**
+     * Open an autosaved session. Its chart (if it still exists) becomes the
+     * current chart, so saving writes the recovered changes back to it.
+     * @param {Object} session - Session from getRecoverySession()
+     * @returns {Promise<ChartData|null>} - Null if opening was cancelled
+     */
+    async restoreRecoverySession(session) {
+        const chartData = await this.parseChart(session.json);
+        if (!chartData) return null;
+        
+        const meta = session.chartId ? await this.store.getChartMeta(session.chartId) : null;
+        this._setCurrentChart(meta || null);
+        return chartData;
+    }
+
+    async discardRecoverySession() {
+        await this.init();
+        await this.store.deleteSession(this.recoverySessionId);
+    }
+
+    /**
+     * Forget the current chart so the next save creates a new one
+     */
+    detachCurrentChart() {
+        this._setCurrentChart(null);
+    }
+
+    _createMeta(name) {
+        const now = Date.now();
+        return {
+            id: 'chart_' + Math.random().toString(36).substring(2, 9) + '_' + now,
+            name,
+            createdAt: now,
+            modifiedAt: now,
+            entityCount: 0,
+            relationshipCount: 0
+        };
+    }
+
+    async _writeChart(meta, chartData) {
+        meta.modifiedAt = Date.now();
+        meta.entityCount = chartData.entities.length;
+        meta.relationshipCount = chartData.relationships.length;
+        await this.store.putChart(meta, JSON.stringify(chartData.toJSON()));
+        
+        // The explicitly saved chart supersedes any autosaved working copy
+        await this.discardRecoverySession();
+        if (this.onChartSaved) {
+            this.onChartSaved(meta);
+        }
+    }
+
+    _setCurrentChart(meta) {
+        this.currentChart = meta;
+        if (meta) {
+            localStorage.setItem(this.currentChartKey, meta.id);
+        } else {
+            localStorage.removeItem(this.currentChartKey);
+        }
+        
+        if (this.onCurrentChartChange) {
+            this.onCurrentChartChange(meta);
+        }
+    }
+
+    /**
+     * Parse chart file contents, upgrading older format versions and
+     * repairing integrity problems (after confirmation via onIntegrityProblems)
+     * @param {string} jsonData - Chart JSON text
+     * @returns {Promise<ChartData|null>} - Loaded chart data, or null if the user cancelled;
+     *          rejects with SyntaxError or ChartFormatError if the chart cannot be read
+     */
+    async parseChart(jsonData) {
+        return this.loadChartObject(JSON.parse(jsonData));
+    }
+
+    /**
+     * Load parsed chart JSON; see parseChart()
+     * @param {Object} json - Chart JSON object
+     * @returns {Promise<ChartData|null>}
+     */
+    async loadChartObject(json) {
+        const { data, fromVersion, appliedMigrations } = ChartFormat.upgrade(json);
+        
+        if (appliedMigrations.length > 0 && this.onChartUpgraded) {
+            this.onChartUpgraded(fromVersion, appliedMigrations);
+        }
+        
+        const { problems, repaired } = IntegrityValidator.analyze(data);
+        
+        if (problems.length > 0) {
+            const repair = this.onIntegrityProblems ? await this.onIntegrityProblems(problems) : true;
+            if (!repair) return null;
+        }
+        
+        const chartData = new ChartData();
+        chartData.fromJSON(repaired);
+        return chartData;
+    }
+
     exportChart(chartData) {
         try {
             const jsonData = JSON.stringify(chartData.toJSON(), null, 2);
-            const blob = new Blob([jsonData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const downloadLink = document.createElement('a');
-            downloadLink.href = url;
-            downloadLink.download = 'linkchart_export_' + new Date().toISOString().slice(0, 10) + '.json';
-            document.body.appendChild(downloadLink);
-            downloadLink.click();
-            document.body.removeChild(downloadLink);
-            
-            setTimeout(() => {
-                URL.revokeObjectURL(url);
-            }, 100);
-            
+            this.downloadFile(jsonData, 'application/json', '.json');
             return true;
         } catch (error) {
             console.error('Error exporting chart data:', error);
@@ -63,23 +497,100 @@ class DataManager {
         }
     }
 
+    /**
+     * Export the chart in the file format of another graph tool
+     * @param {ChartData} chartData - Chart to export
+     * @param {string} formatId - Key of graphFormats
+     * @param {Object} options - Format options (e.g. the Cypher mode)
+     * @returns {boolean} - True if the file was created
+     */
+    exportGraph(chartData, formatId, options = {}) {
+        const format = this.graphFormats[formatId];
+        try {
+            const content = format.serialize(chartData, {
+                name: this.currentChart ? this.currentChart.name : undefined,
+                ...options
+            });
+            this.downloadFile(content, format.mimeType, format.extensions[0]);
+            return true;
+        } catch (error) {
+            console.error(`Error exporting ${format.label}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Find the importable graph format of a file by its extension
+     * @param {string} fileName - File name
+     * @returns {Object|null} - Format from graphFormats
+     */
+    getGraphFormatForFile(fileName) {
+        const name = fileName.toLowerCase();
+        return Object.values(this.graphFormats)
+            .filter(format => format.parse && !format.detect)
+            .find(format => format.extensions.some(extension => name.endsWith(extension))) || null;
+    }
+
+    /**
+     * Find the graph format of a file, looking at the contents of formats that
+     * share an extension with chart files (e.g. Neo4j JSON)
+     * @param {string} fileName - File name
+     * @param {string} text - File contents
+     * @returns {Object|null} - Format from graphFormats, or null for chart files
+     */
+    detectGraphFormat(fileName, text) {
+        const byExtension = this.getGraphFormatForFile(fileName);
+        if (byExtension) return byExtension;
+
+        const name = fileName.toLowerCase();
+        return Object.values(this.graphFormats)
+            .filter(format => format.parse && format.detect)
+            .find(format => format.extensions.some(extension => name.endsWith(extension)) && format.detect(text)) || null;
+    }
+
+    /**
+     * Read a graph file of another tool into chart data, checking it like a chart file
+     * @param {Object} format - Format from graphFormats
+     * @param {string} text - File contents
+     * @param {Object} options - Format options (e.g. the type attributes)
+     * @returns {Promise<ChartData|null>} - Null if the user cancelled the repairs
+     */
+    async importGraph(format, text, options = {}) {
+        return this.loadChartObject(format.parse(text, options).toJSON());
+    }
+
+    /**
+     * Read a chart file, or a graph file of another tool with its default type
+     * attributes, to merge into the open chart
+     * @param {File} file - File to read
+     * @returns {Promise<ChartData|null>} - Null if the user cancelled the repairs
+     */
+    async readChartForMerge(file) {
+        const text = await this.readFile(file);
+        const format = this.detectGraphFormat(file.name, text);
+        if (!format) {
+            return this.parseChart(text);
+        }
+
+        const { entityTypeAttribute, relationshipTypeAttribute } = format.inspect ? format.inspect(text) : {};
+        return this.importGraph(format, text, { entityTypeAttribute, relationshipTypeAttribute });
+    }
+
     async importChart(file) {
+        const text = await this.readFile(file);
+        try {
+            return await this.parseChart(text);
+        } catch (error) {
+            console.error('Error parsing imported chart:', error);
+            throw error;
+        }
+    }
+
+    readFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
             
-            reader.onload = (event) => {
-                try {
-                    const jsonData = event.target.result;
-                    const parsedData = JSON.parse(jsonData);
-                    
-                    const chartData = new ChartData();
-                    chartData.fromJSON(parsedData);
-                    resolve(chartData);
-                } catch (error) {
-                    console.error('Error parsing imported chart:', error);
-                    reject(error);
-                }
-            };
+            reader.onload = (event) => resolve(event.target.result);
             
             reader.onerror = (error) => {
                 console.error('Error reading file:', error);
@@ -90,6 +601,31 @@ class DataManager {
         });
     }
 
+    /**
+     * Offer content for download, named after the current chart
+     * @param {string|Blob} content - File contents
+     * @param {string} mimeType - MIME type of string contents
+     * @param {string} extension - File extension including the dot
+     */
+    downloadFile(content, mimeType, extension) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        const baseName = this.currentChart
+            ? this.currentChart.name.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '_')
+            : '';
+        downloadLink.download = (baseName || 'linkchart_export') + '_' + new Date().toISOString().slice(0, 10) + extension;
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+        document.body.removeChild(downloadLink);
+        
+        setTimeout(() => {
+            URL.revokeObjectURL(url);
+        }, 100);
+    }
+
     // Sample data for testing
     createSampleData() {
         const chartData = new ChartData();
@@ -0,0 +1,301 @@
+/**
+ * Diagram export module for LinkChart JS
+ *
+ * Writes charts as text diagrams for documentation: Graphviz DOT, with the
+ * clusters found by GraphAnalysis as subgraphs, and Mermaid flowcharts of
+ * the whole chart, the neighbourhood of the selected entity or a hierarchy.
+ * Node shapes follow the entity type icon and colors the entity type.
+ */
+
+class DotFormat {
+    /**
+     * Write a chart as a Graphviz digraph
+     * @param {ChartData} chartData - Chart to export
+     * @param {Object} options - name: graph name; clusters: false to leave out the cluster subgraphs
+     * @returns {string} - DOT text
+     */
+    static serialize(chartData, options = {}) {
+        const { name = 'LinkChart', clusters = true } = options;
+        const quote = DotFormat.quote;
+        const lines = [
+            `digraph ${quote(name)} {`,
+            '    graph [rankdir=LR, fontname="Helvetica"];',
+            '    node [style=filled, fontname="Helvetica", fontsize=10];',
+            '    edge [fontname="Helvetica", fontsize=9];'
+        ];
+
+        const node = (entity, indent) => {
+            const entityType = chartData.getEntityTypeById(entity.type);
+            return `${indent}${quote(entity.id)} [` + DotFormat._attributes({
+                label: entity.name,
+                shape: DiagramShapes.forType(entityType).dot,
+                fillcolor: entityType ? entityType.color : DiagramShapes.DEFAULT_COLOR,
+                tooltip: entity.description || null
+            }) + '];';
+        };
+
+        // Connected groups become clusters; single entities stay outside
+        const clustered = new Set();
+        if (clusters) {
+            const analysis = new GraphAnalysis(chartData);
+            analysis.detectClusters();
+            analysis.clusters.forEach((cluster, index) => {
+                lines.push(
+                    '',
+                    `    subgraph cluster_${index} {`,
+                    `        label=${quote(`Cluster ${index + 1} (${cluster.entities.length} entities)`)};`,
+                    '        style=dashed;',
+                    '        color="#b2bec3";'
+                );
+                cluster.entities.forEach(entity => {
+                    lines.push(node(entity, '        '));
+                    clustered.add(entity.id);
+                });
+                lines.push('    }');
+            });
+        }
+
+        const unclustered = chartData.entities.filter(entity => !clustered.has(entity.id));
+        if (unclustered.length > 0) {
+            lines.push('');
+            unclustered.forEach(entity => lines.push(node(entity, '    ')));
+        }
+
+        if (chartData.relationships.length > 0) {
+            lines.push('');
+        }
+        chartData.relationships.forEach(rel => {
+            const relationshipType = chartData.getRelationshipTypeById(rel.type);
+            const attributes = { label: rel.label || null };
+            if (relationshipType) {
+                Object.assign(attributes, {
+                    color: relationshipType.color,
+                    penwidth: relationshipType.width,
+                    style: relationshipType.dash ? 'dashed' : null,
+                    arrowhead: relationshipType.hasArrow() ? DotFormat.ARROWHEADS[relationshipType.arrow] : null,
+                    dir: relationshipType.hasArrow() ? null : 'none'
+                });
+            }
+            lines.push(`    ${quote(rel.sourceId)} -> ${quote(rel.targetId)} [${DotFormat._attributes(attributes)}];`);
+        });
+
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Quote an ID or attribute value as a DOT string
+     */
+    static quote(value) {
+        return '"' + String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\r?\n/g, '\\n') + '"';
+    }
+
+    static _attributes(attributes) {
+        return Object.entries(attributes)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => `${key}=${typeof value === 'number' ? value : DotFormat.quote(value)}`)
+            .join(', ');
+    }
+}
+
+DotFormat.id = 'dot';
+DotFormat.label = 'Graphviz DOT';
+DotFormat.extensions = ['.dot', '.gv'];
+DotFormat.mimeType = 'text/vnd.graphviz';
+
+// RelationshipType arrow styles as Graphviz arrowheads
+DotFormat.ARROWHEADS = {
+    triangle: 'normal',
+    open: 'onormal',
+    circle: 'dot'
+};
+
+class MermaidFormat {
+    /**
+     * Write a chart, or part of it, as a Mermaid flowchart
+     * @param {ChartData} chartData - Chart to export
+     * @param {Object} options - mode: 'all' (default), 'selection' (the selected entity and its
+     *                           neighbours) or 'hierarchy' (hierarchical relationships only; the
+     *                           hierarchy of the selected entity if there is one);
+     *                           selectedEntityId: ID of the selected entity
+     * @returns {string} - Mermaid text
+     * @throws {Error} - If the selection mode has no selected entity
+     */
+    static serialize(chartData, options = {}) {
+        const { mode = 'all', selectedEntityId = null } = options;
+        const scope = MermaidFormat._scope(chartData, mode, selectedEntityId);
+        const entities = scope.entities;
+
+        // Mermaid IDs are plain words, so entities are numbered
+        const ids = new Map(entities.map((entity, index) => [entity.id, `n${index}`]));
+        const relationships = scope.relationships.filter(rel => ids.has(rel.sourceId) && ids.has(rel.targetId));
+        const lines = [mode === 'hierarchy' ? 'flowchart TD' : 'flowchart LR'];
+
+        entities.forEach(entity => {
+            const shape = DiagramShapes.forType(chartData.getEntityTypeById(entity.type)).mermaid;
+            lines.push(`    ${ids.get(entity.id)}${shape[0]}"${MermaidFormat.escape(entity.name)}"${shape[1]}`);
+        });
+
+        const linkStyles = [];
+        relationships.forEach((rel, index) => {
+            const relationshipType = chartData.getRelationshipTypeById(rel.type);
+            const arrow = relationshipType && !relationshipType.hasArrow() ? '' : '>';
+            const line = relationshipType && relationshipType.dash ? `-.-${arrow}` : `--${arrow || '-'}`;
+            const label = rel.label ? `|"${MermaidFormat.escape(rel.label)}"|` : '';
+
+            // Hierarchies read from the parent down
+            const [from, to] = mode === 'hierarchy' ? [rel.targetId, rel.sourceId] : [rel.sourceId, rel.targetId];
+            lines.push(`    ${ids.get(from)} ${line}${label} ${ids.get(to)}`);
+
+            if (relationshipType) {
+                linkStyles.push(`    linkStyle ${index} stroke:${relationshipType.color},stroke-width:${relationshipType.width}px`);
+            }
+        });
+
+        // One class per entity type for the colors
+        const typeIds = Array.from(new Set(entities.map(entity => entity.type)));
+        typeIds.forEach(typeId => {
+            const entityType = chartData.getEntityTypeById(typeId);
+            const className = MermaidFormat._className(typeId);
+            const members = entities.filter(entity => entity.type === typeId).map(entity => ids.get(entity.id));
+            lines.push(
+                `    classDef ${className} fill:${entityType ? entityType.color : DiagramShapes.DEFAULT_COLOR},stroke:#2d3436,color:#2d3436`,
+                `    class ${members.join(',')} ${className}`
+            );
+        });
+
+        return [...lines, ...linkStyles].join('\n') + '\n';
+    }
+
+    /**
+     * Escape text for a quoted Mermaid label
+     */
+    static escape(text) {
+        return String(text)
+            .replace(/#/g, '#35;')
+            .replace(/"/g, '#quot;')
+            .replace(/</g, '#lt;')
+            .replace(/>/g, '#gt;')
+            .replace(/\s*\r?\n\s*/g, ' ');
+    }
+
+    /**
+     * Pick the entities and relationships to draw
+     * @returns {Object} - { entities, relationships }
+     */
+    static _scope(chartData, mode, selectedEntityId) {
+        if (mode === 'selection') {
+            if (!selectedEntityId || !chartData.getEntityById(selectedEntityId)) {
+                throw new Error('Select an entity to export its neighbourhood.');
+            }
+            const ids = new Set([selectedEntityId, ...chartData.getNeighborIds(selectedEntityId)]);
+            return {
+                entities: chartData.entities.filter(entity => ids.has(entity.id)),
+                relationships: chartData.getRelationshipsForEntity(selectedEntityId)
+            };
+        }
+
+        if (mode === 'hierarchy') {
+            // Hierarchical relationships point from the child to the parent
+            let relationships = chartData.relationships.filter(rel => rel.type === 'hierarchical');
+            if (selectedEntityId && relationships.some(rel => rel.sourceId === selectedEntityId || rel.targetId === selectedEntityId)) {
+                relationships = MermaidFormat._tree(relationships, MermaidFormat._root(relationships, selectedEntityId));
+            }
+            const ids = new Set(relationships.flatMap(rel => [rel.sourceId, rel.targetId]));
+            return {
+                entities: chartData.entities.filter(entity => ids.has(entity.id)),
+                relationships
+            };
+        }
+
+        return { entities: chartData.entities, relationships: chartData.relationships };
+    }
+
+    // Follow the parents of an entity up to the top of its hierarchy
+    static _root(relationships, entityId) {
+        const visited = new Set([entityId]);
+        let current = entityId;
+        let parent;
+        while ((parent = relationships.find(rel => rel.sourceId === current)) && !visited.has(parent.targetId)) {
+            current = parent.targetId;
+            visited.add(current);
+        }
+        return current;
+    }
+
+    // Relationships below a root
+    static _tree(relationships, rootId) {
+        const tree = [];
+        const visited = new Set([rootId]);
+        const queue = [rootId];
+        while (queue.length > 0) {
+            const parentId = queue.shift();
+            relationships.filter(rel => rel.targetId === parentId).forEach(rel => {
+                tree.push(rel);
+                if (!visited.has(rel.sourceId)) {
+                    visited.add(rel.sourceId);
+                    queue.push(rel.sourceId);
+                }
+            });
+        }
+        return tree;
+    }
+
+    static _className(typeId) {
+        return 'type_' + String(typeId).replace(/[^A-Za-z0-9_]/g, '_');
+    }
+}
+
+MermaidFormat.id = 'mermaid';
+MermaidFormat.label = 'Mermaid flowchart';
+MermaidFormat.extensions = ['.mmd'];
+MermaidFormat.mimeType = 'text/plain';
+
+/**
+ * Node shapes of the diagram formats, chosen from the entity type icon
+ */
+class DiagramShapes {
+    /**
+     * @param {EntityType} entityType - Entity type, or null
+     * @returns {Object} - { dot: Graphviz shape, mermaid: [opening, closing] brackets }
+     */
+    static forType(entityType) {
+        const icon = entityType ? entityType.icon : '';
+        const shape = Object.keys(DiagramShapes.ICON_SHAPES).find(prefix => icon.startsWith(prefix));
+        return DiagramShapes.SHAPES[shape ? DiagramShapes.ICON_SHAPES[shape] : 'box'];
+    }
+}
+
+DiagramShapes.SHAPES = {
+    box: { dot: 'box', mermaid: ['[', ']'] },
+    ellipse: { dot: 'ellipse', mermaid: ['([', '])'] },
+    house: { dot: 'house', mermaid: ['[/', '\\]'] },
+    hexagon: { dot: 'hexagon', mermaid: ['{{', '}}'] },
+    cylinder: { dot: 'cylinder', mermaid: ['[(', ')]'] },
+    note: { dot: 'note', mermaid: ['>', ']'] },
+    circle: { dot: 'circle', mermaid: ['((', '))'] },
+    diamond: { dot: 'diamond', mermaid: ['{', '}'] }
+};
+
+// Icon name prefixes of the built-in entity types and their shapes
+DiagramShapes.ICON_SHAPES = {
+    'bi-person': 'ellipse',
+    'bi-people': 'ellipse',
+    'bi-building': 'box',
+    'bi-geo': 'house',
+    'bi-calendar': 'hexagon',
+    'bi-hdd': 'cylinder',
+    'bi-database': 'cylinder',
+    'bi-file': 'note',
+    'bi-card': 'note',
+    'bi-circle': 'circle',
+    'bi-check-circle': 'circle',
+    'bi-play-circle': 'circle',
+    'bi-x-circle': 'circle',
+    'bi-question': 'diamond'
+};
+
+DiagramShapes.DEFAULT_COLOR = '#a29bfe';
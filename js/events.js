@@ -0,0 +1,56 @@
+/**
+ * Event emitter for LinkChart JS
+ */
+
+class EventEmitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name (e.g. 'entity:added')
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} - Call to unsubscribe
+     */
+    on(event, handler) {
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, []);
+        }
+        this._listeners.get(event).push(handler);
+
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this._listeners.get(event);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index >= 0) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    once(event, handler) {
+        const unsubscribe = this.on(event, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    emit(event, payload = {}) {
+        const handlers = this._listeners.get(event);
+        if (!handlers) return;
+
+        // Copy so handlers can unsubscribe while we iterate
+        [...handlers].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.error(`Error in "${event}" handler:`, error);
+            }
+        });
+    }
+}
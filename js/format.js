@@ -0,0 +1,199 @@
+/**
+ * Chart file format module for LinkChart JS
+ *
+ * Saved and exported charts carry a formatVersion. ChartFormat.upgrade()
+ * brings older files up to the current version one migration at a time
+ * before ChartData.fromJSON reads them, and throws a ChartFormatError that
+ * lists the problems when a file cannot be read.
+ *
+ * To change the file format: bump CURRENT_VERSION and append a migration
+ * from the previous version to ChartFormat.MIGRATIONS.
+ */
+
+class ChartFormatError extends Error {
+    constructor(message, problems = []) {
+        super(message);
+        this.name = 'ChartFormatError';
+        this.problems = problems;
+    }
+}
+
+class ChartFormat {
+    /**
+     * Upgrade parsed chart JSON to the current format version
+     * @param {Object} data - Parsed chart file (not modified)
+     * @returns {Object} - { data, fromVersion, appliedMigrations: [descriptions] }
+     * @throws {ChartFormatError} - If the file cannot be read
+     */
+    static upgrade(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new ChartFormatError('The file does not contain a LinkChart chart.', [
+                'Expected a JSON object with "entities" and "relationships"'
+            ]);
+        }
+
+        // Files written before versioning have no formatVersion
+        const fromVersion = data.formatVersion === undefined ? 0 : data.formatVersion;
+
+        if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+            throw new ChartFormatError(`Unknown chart format version "${data.formatVersion}".`);
+        }
+
+        if (fromVersion > ChartFormat.CURRENT_VERSION) {
+            throw new ChartFormatError(
+                `This chart was saved by a newer version of LinkChart JS (format ${fromVersion}; ` +
+                `this version reads up to format ${ChartFormat.CURRENT_VERSION}).`
+            );
+        }
+
+        let upgraded = JSON.parse(JSON.stringify(data));
+        const appliedMigrations = [];
+
+        for (let version = fromVersion; version < ChartFormat.CURRENT_VERSION; version++) {
+            const migration = ChartFormat.MIGRATIONS.find(m => m.from === version);
+            if (!migration) {
+                throw new ChartFormatError(`No migration from chart format ${version} to ${version + 1}.`);
+            }
+
+            try {
+                upgraded = migration.migrate(upgraded);
+            } catch (error) {
+                throw new ChartFormatError(
+                    `Could not upgrade the chart from format ${version} to ${version + 1}.`,
+                    [error.message]
+                );
+            }
+
+            upgraded.formatVersion = version + 1;
+            appliedMigrations.push(migration.description);
+        }
+
+        const problems = ChartFormat.validate(upgraded);
+        if (problems.length > 0) {
+            throw new ChartFormatError('The chart file is damaged or incomplete.', problems);
+        }
+
+        return { data: upgraded, fromVersion, appliedMigrations };
+    }
+
+    /**
+     * Check that chart JSON has the current format's structure
+     * @param {Object} data - Chart JSON at the current format version
+     * @returns {Array} - Problem descriptions, empty when valid
+     */
+    static validate(data) {
+        const problems = [];
+
+        ['entities', 'relationships', 'entityTypes', 'relationshipTypes'].forEach(key => {
+            if (!Array.isArray(data[key])) {
+                problems.push(`"${key}" must be a list`);
+            }
+        });
+        if (problems.length > 0) return problems;
+
+        data.entities.forEach((entity, index) => {
+            if (!entity || typeof entity !== 'object') {
+                problems.push(`Entity #${index + 1} is not an object`);
+            } else if (entity.id === undefined || entity.id === null || entity.id === '') {
+                problems.push(`Entity #${index + 1} ("${entity.name || 'unnamed'}") has no ID`);
+            }
+        });
+
+        data.relationships.forEach((rel, index) => {
+            if (!rel || typeof rel !== 'object') {
+                problems.push(`Relationship #${index + 1} is not an object`);
+            } else if (!rel.sourceId || !rel.targetId) {
+                problems.push(`Relationship #${index + 1} is missing its source or target`);
+            }
+        });
+
+        [['entityTypes', 'Entity type'], ['relationshipTypes', 'Relationship type']].forEach(([key, label]) => {
+            data[key].forEach((type, index) => {
+                if (!type || typeof type !== 'object' || !type.id) {
+                    problems.push(`${label} #${index + 1} has no ID`);
+                }
+            });
+        });
+
+        return problems;
+    }
+
+    /**
+     * Build a message for an error thrown while reading a chart file
+     * @param {Error} error - Error from upgrade() or JSON parsing
+     * @param {number} maxProblems - Number of problems to list
+     * @returns {string} - Human readable report
+     */
+    static describeError(error, maxProblems = 10) {
+        if (error instanceof SyntaxError) {
+            return `The file is not valid JSON:\n${error.message}`;
+        }
+
+        if (!(error instanceof ChartFormatError)) {
+            return `The chart could not be read:\n${error.message}`;
+        }
+
+        const lines = error.problems.slice(0, maxProblems).map(problem => `- ${problem}`);
+        if (error.problems.length > maxProblems) {
+            lines.push(`...and ${error.problems.length - maxProblems} more`);
+        }
+
+        return [error.message, ...lines].join('\n');
+    }
+}
+
+ChartFormat.CURRENT_VERSION = 2;
+
+// Each migration upgrades chart JSON from version `from` to `from + 1`
+ChartFormat.MIGRATIONS = [
+    {
+        from: 0,
+        description: 'Add format version, relationship types, property definitions and dates',
+        migrate: data => {
+            if (!Array.isArray(data.entities) || !Array.isArray(data.relationships)) {
+                throw new Error('Unversioned charts must have "entities" and "relationships" lists');
+            }
+
+            const entityTypes = Array.isArray(data.entityTypes) ? data.entityTypes : [];
+
+            return {
+                ...data,
+                entities: data.entities.map(entity => ({
+                    description: '',
+                    properties: {},
+                    startDate: null,
+                    endDate: null,
+                    ...entity
+                })),
+                relationships: data.relationships.map(rel => ({
+                    type: 'default',
+                    label: '',
+                    properties: {},
+                    strength: 1,
+                    startDate: null,
+                    endDate: null,
+                    ...rel
+                })),
+                entityTypes: entityTypes.map(type => ({
+                    propertyDefinitions: [],
+                    ...type
+                })),
+                relationshipTypes: Array.isArray(data.relationshipTypes)
+                    ? data.relationshipTypes
+                    : RelationshipType.createDefaults().map(type => type.toJSON()),
+                lastLayoutType: data.lastLayoutType || null
+            };
+        }
+    },
+    {
+        from: 1,
+        description: 'Add pinned entities and the saved chart view',
+        migrate: data => ({
+            ...data,
+            entities: Array.isArray(data.entities)
+                ? data.entities.map(entity => ({ pinned: false, ...entity }))
+                : data.entities,
+            viewTransform: data.viewTransform || null
+        })
+    }
+];
@@ -0,0 +1,398 @@
+/**
+ * GEXF module for LinkChart JS
+ *
+ * Reads and writes GEXF 1.3 (https://gexf.net), Gephi's native format.
+ * Entity positions and type colors use the viz: extension, relationship
+ * strength is the edge weight and start/end dates make the graph dynamic.
+ * On import, time-sliced (dynamic) attribute values are reduced to their
+ * latest value, with the full series kept in a "(history)" property.
+ */
+
+class GEXFFormat {
+    /**
+     * Write a chart as a GEXF document
+     * @param {ChartData} chartData - Chart to export
+     * @returns {string} - GEXF text
+     */
+    static serialize(chartData) {
+        const escape = GraphInterchange.escapeXML;
+        const isDynamic = !!chartData.getTimeExtent();
+
+        // Properties are renamed where they would clash with a built-in attribute
+        const attributeSet = (items, cls, builtIns) => {
+            const reserved = builtIns.map(column => column.title.toLowerCase());
+            const columns = [
+                ...builtIns,
+                ...GraphInterchange.propertyColumns(items).map((column, index) => ({
+                    id: `p${index}`,
+                    title: GraphInterchange.prefixProperty(column.name, reserved),
+                    type: GEXFFormat.TYPE_NAMES[column.dataType],
+                    property: column.name
+                }))
+            ];
+            const xml = [
+                `    <attributes class="${cls}" mode="static">`,
+                ...columns.map(column => `      <attribute id="${column.id}" title="${escape(column.title)}" type="${column.type}"/>`),
+                '    </attributes>'
+            ];
+            return { columns, xml };
+        };
+
+        const nodeAttributes = attributeSet(chartData.entities, 'node', [
+            { id: 'type', title: 'type', type: 'string', value: entity => GEXFFormat._typeName(chartData.entityTypes, entity.type) },
+            { id: 'description', title: 'description', type: 'string', value: entity => entity.description },
+            { id: 'pinned', title: 'pinned', type: 'boolean', value: entity => entity.pinned ? true : null }
+        ]);
+        const edgeAttributes = attributeSet(chartData.relationships, 'edge', [
+            { id: 'type', title: 'type', type: 'string', value: rel => GEXFFormat._typeName(chartData.relationshipTypes, rel.type) }
+        ]);
+
+        const attvalues = (columns, item) => {
+            const values = columns
+                .map(column => ({
+                    id: column.id,
+                    value: column.property !== undefined ? item.properties[column.property] : column.value(item)
+                }))
+                .filter(({ value }) => value !== undefined && value !== null && value !== '')
+                .map(({ id, value }) => `        <attvalue for="${id}" value="${escape(value)}"/>`);
+            return values.length > 0 ? ['      <attvalues>', ...values, '      </attvalues>'] : [];
+        };
+        const timeAttributes = item => (item.startDate ? ` start="${GEXFFormat._dateTime(item.startDate)}"` : '') +
+            (item.endDate ? ` end="${GEXFFormat._dateTime(item.endDate)}"` : '');
+
+        const nodes = chartData.entities.flatMap(entity => {
+            const entityType = chartData.getEntityTypeById(entity.type);
+            return [
+                `    <node id="${escape(entity.id)}" label="${escape(entity.name)}"${timeAttributes(entity)}>`,
+                ...attvalues(nodeAttributes.columns, entity),
+                ...GEXFFormat._vizColor(entityType ? entityType.color : null, '      '),
+                `      <viz:position x="${Number.isFinite(entity.x) ? entity.x : 0}" y="${Number.isFinite(entity.y) ? entity.y : 0}" z="0"/>`,
+                '      <viz:size value="20"/>',
+                '    </node>'
+            ];
+        });
+
+        const edges = chartData.relationships.flatMap(rel => {
+            const relationshipType = chartData.getRelationshipTypeById(rel.type);
+            const directed = relationshipType ? relationshipType.directed : true;
+            return [
+                `    <edge id="${escape(rel.id)}" source="${escape(rel.sourceId)}" target="${escape(rel.targetId)}"` +
+                    (rel.label ? ` label="${escape(rel.label)}"` : '') +
+                    ` weight="${rel.strength || 1}"` +
+                    (directed ? '' : ' type="undirected"') +
+                    `${timeAttributes(rel)}>`,
+                ...attvalues(edgeAttributes.columns, rel),
+                ...GEXFFormat._vizColor(relationshipType ? relationshipType.color : null, '      '),
+                ...(relationshipType ? [`      <viz:thickness value="${relationshipType.width}"/>`] : []),
+                '    </edge>'
+            ];
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz"',
+            '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '    xsi:schemaLocation="http://gexf.net/1.3 http://gexf.net/1.3/gexf.xsd" version="1.3">',
+            `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+            '    <creator>LinkChart JS</creator>',
+            '  </meta>',
+            `  <graph defaultedgetype="directed" mode="${isDynamic ? 'dynamic' : 'static'}"${isDynamic ? ' timeformat="dateTime"' : ''}>`,
+            ...nodeAttributes.xml,
+            ...edgeAttributes.xml,
+            '    <nodes>',
+            ...nodes.map(line => '  ' + line),
+            '    </nodes>',
+            '    <edges>',
+            ...edges.map(line => '  ' + line),
+            '    </edges>',
+            '  </graph>',
+            '</gexf>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Summarize a GEXF file so the user can choose the type attributes
+     * @param {string} text - GEXF text
+     * @returns {Object} - { nodeCount, edgeCount, nodeAttributes, edgeAttributes }
+     */
+    static inspect(text) {
+        const { attributes, nodes, edges } = GEXFFormat._read(text);
+        const titles = cls => Array.from(attributes.values())
+            .filter(attribute => attribute.cls === cls)
+            .map(attribute => attribute.title);
+
+        return {
+            nodeCount: nodes.length,
+            edgeCount: edges.length,
+            nodeAttributes: titles('node'),
+            edgeAttributes: titles('edge')
+        };
+    }
+
+    /**
+     * Read a GEXF file into chart data
+     * @param {string} text - GEXF text
+     * @param {Object} options - entityTypeAttribute and relationshipTypeAttribute name the
+     *                           attributes (by title) holding types (null: no types)
+     * @returns {ChartData}
+     * @throws {ChartFormatError} - If the file is not GEXF
+     */
+    static parse(text, options = {}) {
+        const { entityTypeAttribute = null, relationshipTypeAttribute = null } = options;
+        const { attributes, nodes, edges, defaultEdgeType } = GEXFFormat._read(text);
+        const typeColors = { entity: new Map(), relationship: new Map() };
+        const directedTypes = new Map(); // Relationship type key -> any of its edges directed
+
+        const graph = {
+            nodes: nodes.map(element => {
+                const values = GEXFFormat._attributeValues(element, attributes, 'node');
+                const position = GEXFFormat._child(element, 'position');
+                const spell = GEXFFormat._timeSpan(element);
+                const type = entityTypeAttribute ? values[entityTypeAttribute] : null;
+                GEXFFormat._rememberColor(typeColors.entity, type, GEXFFormat._child(element, 'color'));
+
+                return {
+                    id: element.getAttribute('id'),
+                    label: element.getAttribute('label'),
+                    type,
+                    description: values.description,
+                    startDate: spell.start,
+                    endDate: spell.end,
+                    x: position ? Number(position.getAttribute('x')) : NaN,
+                    y: position ? Number(position.getAttribute('y')) : NaN,
+                    pinned: values.pinned === true,
+                    properties: GEXFFormat._properties(values, ['description', 'pinned', entityTypeAttribute])
+                };
+            }),
+            edges: edges.map(element => {
+                const values = GEXFFormat._attributeValues(element, attributes, 'edge');
+                const spell = GEXFFormat._timeSpan(element);
+                const type = relationshipTypeAttribute ? values[relationshipTypeAttribute] : null;
+                GEXFFormat._rememberColor(typeColors.relationship, type, GEXFFormat._child(element, 'color'));
+
+                const typeKey = type === undefined || type === null ? '' : String(type).trim().toLowerCase();
+                const directed = (element.getAttribute('type') || defaultEdgeType) !== 'undirected';
+                directedTypes.set(typeKey, directedTypes.get(typeKey) || directed);
+
+                return {
+                    id: element.getAttribute('id'),
+                    source: element.getAttribute('source'),
+                    target: element.getAttribute('target'),
+                    label: element.getAttribute('label'),
+                    type,
+                    strength: element.hasAttribute('weight') ? Number(element.getAttribute('weight')) : NaN,
+                    startDate: spell.start,
+                    endDate: spell.end,
+                    properties: GEXFFormat._properties(values, [relationshipTypeAttribute])
+                };
+            })
+        };
+
+        // Types created by the import take the color and direction of their nodes and edges
+        const chartData = GraphInterchange.buildChart(graph);
+        const builtInRelationshipTypes = RelationshipType.createDefaults().map(type => type.id);
+        const applyColor = (type, colors) => {
+            const color = colors.get(type.name.toLowerCase());
+            if (color) type.color = color;
+        };
+        chartData.entityTypes.forEach(type => applyColor(type, typeColors.entity));
+        chartData.relationshipTypes
+            .filter(type => !builtInRelationshipTypes.includes(type.id))
+            .forEach(type => {
+                applyColor(type, typeColors.relationship);
+                type.directed = directedTypes.get(type.name.toLowerCase()) !== false;
+            });
+
+        return chartData;
+    }
+
+    static _read(text) {
+        const doc = GraphInterchange.parseXML(text, 'GEXF');
+        const root = doc.documentElement;
+        if (root.localName !== 'gexf') {
+            throw new ChartFormatError('The file is not a GEXF document.', [`Expected a <gexf> root element, found <${root.localName}>`]);
+        }
+
+        const graph = GEXFFormat._elements(root, 'graph')[0];
+        if (!graph) {
+            throw new ChartFormatError('The GEXF file contains no graph.');
+        }
+
+        // Attribute declarations, by class and ID
+        const attributes = new Map();
+        GEXFFormat._elements(graph, 'attributes').forEach(group => {
+            const cls = group.getAttribute('class') || 'node';
+            GEXFFormat._elements(group, 'attribute').forEach(element => {
+                const defaultElement = GEXFFormat._child(element, 'default');
+                const attribute = {
+                    cls,
+                    id: element.getAttribute('id'),
+                    title: element.getAttribute('title') || element.getAttribute('id'),
+                    type: element.getAttribute('type') || 'string'
+                };
+                attribute.defaultValue = defaultElement ? GEXFFormat._convert(defaultElement.textContent, attribute.type) : undefined;
+                attributes.set(`${cls}:${attribute.id}`, attribute);
+            });
+        });
+
+        return {
+            attributes,
+            defaultEdgeType: graph.getAttribute('defaultedgetype') || 'directed',
+            nodes: GEXFFormat._elements(graph, 'node'),
+            edges: GEXFFormat._elements(graph, 'edge')
+        };
+    }
+
+    /**
+     * Get the attribute values of a node or edge, by attribute title. Values
+     * with time slices resolve to the latest slice; the series is added as
+     * "<title> (history)".
+     */
+    static _attributeValues(element, attributes, cls) {
+        const values = {};
+        const slices = new Map();
+
+        attributes.forEach(attribute => {
+            if (attribute.cls === cls && attribute.defaultValue !== undefined) {
+                values[attribute.title] = attribute.defaultValue;
+            }
+        });
+
+        const container = GEXFFormat._child(element, 'attvalues');
+        if (!container) return values;
+
+        GEXFFormat._elements(container, 'attvalue').forEach(attvalue => {
+            const id = attvalue.getAttribute('for') || attvalue.getAttribute('id');
+            const attribute = attributes.get(`${cls}:${id}`);
+            const title = attribute ? attribute.title : id;
+            const value = GEXFFormat._convert(attvalue.getAttribute('value') || '', attribute ? attribute.type : 'string');
+            const start = attvalue.getAttribute('start') || attvalue.getAttribute('startopen');
+            const end = attvalue.getAttribute('end') || attvalue.getAttribute('endopen');
+
+            if (!start && !end) {
+                values[title] = value;
+                return;
+            }
+            if (!slices.has(title)) {
+                slices.set(title, []);
+            }
+            slices.get(title).push({ start, end, value });
+        });
+
+        slices.forEach((series, title) => {
+            series.sort((a, b) => String(a.start || '').localeCompare(String(b.start || '')));
+            values[title] = series[series.length - 1].value;
+            values[`${title} (history)`] = series
+                .map(slice => `${slice.start || '…'} – ${slice.end || '…'}: ${slice.value}`)
+                .join('; ');
+        });
+
+        return values;
+    }
+
+    /**
+     * Get the time span of a node or edge from its start/end attributes or spells
+     * @returns {Object} - { start, end } as written in the file, or null
+     */
+    static _timeSpan(element) {
+        let start = element.getAttribute('start') || element.getAttribute('startopen');
+        let end = element.getAttribute('end') || element.getAttribute('endopen');
+
+        const spellsElement = GEXFFormat._child(element, 'spells');
+        if (spellsElement) {
+            // Several spells are merged into one span from the first start to the last end
+            const spells = GEXFFormat._elements(spellsElement, 'spell');
+            const starts = spells.map(spell => spell.getAttribute('start') || spell.getAttribute('startopen'));
+            const ends = spells.map(spell => spell.getAttribute('end') || spell.getAttribute('endopen'));
+            if (!start && starts.every(Boolean)) start = starts.sort()[0];
+            if (!end && ends.every(Boolean)) end = ends.sort()[ends.length - 1];
+        }
+
+        return { start: GEXFFormat._time(start), end: GEXFFormat._time(end) };
+    }
+
+    static _time(value) {
+        if (!value) return null;
+        // timeformat="double" files use plain numbers, which are not dates
+        return /^-?\d+(\.\d+)?$/.test(value) ? null : value;
+    }
+
+    static _convert(text, type) {
+        const value = text.trim();
+        switch (type) {
+            case 'integer':
+            case 'long':
+            case 'float':
+            case 'double': {
+                const number = Number(value);
+                return value === '' || Number.isNaN(number) ? value : number;
+            }
+            case 'boolean':
+                return value.toLowerCase() === 'true' || value === '1';
+            default:
+                return text;
+        }
+    }
+
+    static _properties(values, fields) {
+        const reserved = fields.filter(Boolean);
+        const properties = {};
+        Object.entries(values).forEach(([title, value]) => {
+            if (reserved.includes(title)) return;
+
+            properties[GraphInterchange.unprefixProperty(title)] = value;
+        });
+        return properties;
+    }
+
+    static _rememberColor(colors, type, colorElement) {
+        const key = type === undefined || type === null ? '' : String(type).trim().toLowerCase();
+        if (!key || !colorElement || colors.has(key)) return;
+
+        const channel = name => Math.max(0, Math.min(255, Math.round(Number(colorElement.getAttribute(name)) || 0)));
+        const hex = ['r', 'g', 'b'].map(name => channel(name).toString(16).padStart(2, '0')).join('');
+        colors.set(key, `#${hex}`);
+    }
+
+    static _vizColor(color, indent) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+        if (!match) return [];
+
+        const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16));
+        return [`${indent}<viz:color r="${r}" g="${g}" b="${b}"/>`];
+    }
+
+    static _dateTime(value) {
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? value : new Date(time).toISOString();
+    }
+
+    static _typeName(types, id) {
+        const type = types.find(t => t.id === id);
+        return type ? type.name : id;
+    }
+
+    /**
+     * Descendant elements by local name, whatever namespace prefix the file uses
+     */
+    static _elements(parent, localName) {
+        return Array.from(parent.getElementsByTagName('*')).filter(element => element.localName === localName);
+    }
+
+    static _child(parent, localName) {
+        return Array.from(parent.children).find(element => element.localName === localName) || null;
+    }
+}
+
+GEXFFormat.id = 'gexf';
+GEXFFormat.label = 'GEXF';
+GEXFFormat.extensions = ['.gexf'];
+GEXFFormat.mimeType = 'application/gexf+xml';
+
+GEXFFormat.TYPE_NAMES = {
+    boolean: 'boolean',
+    integer: 'long',
+    number: 'double',
+    string: 'string'
+};
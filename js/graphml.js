@@ -0,0 +1,283 @@
+/**
+ * GraphML module for LinkChart JS
+ *
+ * Reads and writes GraphML (http://graphml.graphdrawing.org), the exchange
+ * format of Gephi, yEd and Cytoscape. Entity and relationship fields are
+ * written as declared <key> attributes, properties as typed keys of their own.
+ * On import, attributes LinkChart does not know become properties and the
+ * entity/relationship types are taken from attributes chosen by the user.
+ */
+
+class GraphMLFormat {
+    /**
+     * Write a chart as a GraphML document
+     * @param {ChartData} chartData - Chart to export
+     * @returns {string} - GraphML text
+     */
+    static serialize(chartData) {
+        const escape = GraphInterchange.escapeXML;
+        const keys = [];
+        const addKey = (id, domain, name, type) => {
+            keys.push({ id, domain, name, type });
+            return id;
+        };
+
+        // Built-in fields
+        const nodeKeys = {
+            label: addKey('label', 'node', 'label', 'string'),
+            type: addKey('type', 'node', 'type', 'string'),
+            description: addKey('description', 'node', 'description', 'string'),
+            startDate: addKey('startDate', 'node', 'startDate', 'string'),
+            endDate: addKey('endDate', 'node', 'endDate', 'string'),
+            x: addKey('x', 'node', 'x', 'double'),
+            y: addKey('y', 'node', 'y', 'double'),
+            pinned: addKey('pinned', 'node', 'pinned', 'boolean')
+        };
+        const edgeKeys = {
+            label: addKey('edgeLabel', 'edge', 'label', 'string'),
+            type: addKey('edgeType', 'edge', 'type', 'string'),
+            strength: addKey('strength', 'edge', 'strength', 'double'),
+            startDate: addKey('edgeStartDate', 'edge', 'startDate', 'string'),
+            endDate: addKey('edgeEndDate', 'edge', 'endDate', 'string')
+        };
+
+        // Properties, renamed where they would clash with a built-in field
+        const propertyKeys = (items, domain, prefix, reserved) =>
+            GraphInterchange.propertyColumns(items).map((column, index) => ({
+                property: column.name,
+                key: addKey(
+                    `${prefix}${index}`,
+                    domain,
+                    GraphInterchange.prefixProperty(column.name, reserved),
+                    GraphMLFormat.TYPE_NAMES[column.dataType]
+                )
+            }));
+        const nodePropertyKeys = propertyKeys(chartData.entities, 'node', 'np', [...GraphMLFormat.NODE_FIELDS, 'type']);
+        const edgePropertyKeys = propertyKeys(chartData.relationships, 'edge', 'ep', [...GraphMLFormat.EDGE_FIELDS, 'type']);
+
+        const data = (key, value) => (value === undefined || value === null || value === '')
+            ? ''
+            : `\n      <data key="${key}">${escape(value)}</data>`;
+        const typeName = (types, id) => {
+            const type = types.find(t => t.id === id);
+            return type ? type.name : id;
+        };
+
+        const nodes = chartData.entities.map(entity => `    <node id="${escape(entity.id)}">` +
+            data(nodeKeys.label, entity.name) +
+            data(nodeKeys.type, typeName(chartData.entityTypes, entity.type)) +
+            data(nodeKeys.description, entity.description) +
+            data(nodeKeys.startDate, entity.startDate) +
+            data(nodeKeys.endDate, entity.endDate) +
+            data(nodeKeys.x, Number.isFinite(entity.x) ? entity.x : null) +
+            data(nodeKeys.y, Number.isFinite(entity.y) ? entity.y : null) +
+            data(nodeKeys.pinned, entity.pinned ? true : null) +
+            nodePropertyKeys.map(({ property, key }) => data(key, GraphInterchange.formatValue(entity.properties[property]))).join('') +
+            '\n    </node>'
+        );
+
+        const edges = chartData.relationships.map(rel => {
+            const relationshipType = chartData.getRelationshipTypeById(rel.type);
+            const directed = relationshipType ? relationshipType.directed : true;
+            return `    <edge id="${escape(rel.id)}" source="${escape(rel.sourceId)}" target="${escape(rel.targetId)}"` +
+                (directed ? '' : ' directed="false"') + '>' +
+                data(edgeKeys.label, rel.label) +
+                data(edgeKeys.type, typeName(chartData.relationshipTypes, rel.type)) +
+                data(edgeKeys.strength, rel.strength) +
+                data(edgeKeys.startDate, rel.startDate) +
+                data(edgeKeys.endDate, rel.endDate) +
+                edgePropertyKeys.map(({ property, key }) => data(key, GraphInterchange.formatValue(rel.properties[property]))).join('') +
+                '\n    </edge>';
+        });
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+            '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+            '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+            ...keys.map(key =>
+                `  <key id="${key.id}" for="${key.domain}" attr.name="${escape(key.name)}" attr.type="${key.type}"/>`
+            ),
+            '  <graph id="G" edgedefault="directed">',
+            ...nodes,
+            ...edges,
+            '  </graph>',
+            '</graphml>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * Summarize a GraphML file so the user can choose the type attributes
+     * @param {string} text - GraphML text
+     * @returns {Object} - { nodeCount, edgeCount, nodeAttributes, edgeAttributes }
+     */
+    static inspect(text) {
+        const { keys, nodes, edges } = GraphMLFormat._read(text);
+        const attributeNames = domain => Array.from(keys.values())
+            .filter(key => key.domain === domain || key.domain === 'all')
+            .map(key => key.name);
+
+        return {
+            nodeCount: nodes.length,
+            edgeCount: edges.length,
+            nodeAttributes: attributeNames('node'),
+            edgeAttributes: attributeNames('edge')
+        };
+    }
+
+    /**
+     * Read a GraphML file into chart data
+     * @param {string} text - GraphML text
+     * @param {Object} options - entityTypeAttribute and relationshipTypeAttribute name the
+     *                           attributes holding types (null: no types)
+     * @returns {ChartData}
+     * @throws {ChartFormatError} - If the file is not GraphML
+     */
+    static parse(text, options = {}) {
+        const { entityTypeAttribute = null, relationshipTypeAttribute = null } = options;
+        const { keys, nodes, edges } = GraphMLFormat._read(text);
+
+        const graph = {
+            nodes: nodes.map(element => {
+                const attributes = GraphMLFormat._attributes(element, keys, 'node');
+                const field = name => GraphMLFormat._field(attributes, name);
+                return {
+                    id: element.getAttribute('id'),
+                    label: field('label') !== undefined ? field('label') : field('name'),
+                    type: entityTypeAttribute ? attributes[entityTypeAttribute] : null,
+                    description: field('description'),
+                    startDate: field('startDate'),
+                    endDate: field('endDate'),
+                    x: Number(field('x')),
+                    y: Number(field('y')),
+                    pinned: field('pinned') === true,
+                    properties: GraphMLFormat._properties(attributes, [...GraphMLFormat.NODE_FIELDS, entityTypeAttribute])
+                };
+            }),
+            edges: edges.map(element => {
+                const attributes = GraphMLFormat._attributes(element, keys, 'edge');
+                const field = name => GraphMLFormat._field(attributes, name);
+                const strength = field('strength') !== undefined ? field('strength') : field('weight');
+                return {
+                    id: element.getAttribute('id'),
+                    source: element.getAttribute('source'),
+                    target: element.getAttribute('target'),
+                    label: field('label'),
+                    type: relationshipTypeAttribute ? attributes[relationshipTypeAttribute] : null,
+                    strength: Number(strength),
+                    startDate: field('startDate'),
+                    endDate: field('endDate'),
+                    properties: GraphMLFormat._properties(attributes, [...GraphMLFormat.EDGE_FIELDS, relationshipTypeAttribute])
+                };
+            })
+        };
+
+        return GraphInterchange.buildChart(graph);
+    }
+
+    static _read(text) {
+        const doc = GraphInterchange.parseXML(text, 'GraphML');
+        const root = doc.documentElement;
+        if (root.localName !== 'graphml') {
+            throw new ChartFormatError('The file is not a GraphML document.', [`Expected a <graphml> root element, found <${root.localName}>`]);
+        }
+
+        const keys = new Map();
+        Array.from(root.getElementsByTagName('key')).forEach(element => {
+            const defaultElement = element.getElementsByTagName('default')[0];
+            const key = {
+                id: element.getAttribute('id'),
+                domain: element.getAttribute('for') || 'all',
+                name: element.getAttribute('attr.name') || element.getAttribute('id'),
+                type: element.getAttribute('attr.type') || 'string'
+            };
+            key.defaultValue = defaultElement ? GraphMLFormat._convert(defaultElement.textContent, key.type) : undefined;
+            keys.set(key.id, key);
+        });
+
+        const nodes = Array.from(root.getElementsByTagName('node'));
+        const edges = Array.from(root.getElementsByTagName('edge'));
+        if (nodes.length === 0 && root.getElementsByTagName('graph').length === 0) {
+            throw new ChartFormatError('The GraphML file contains no graph.');
+        }
+
+        return { keys, nodes, edges };
+    }
+
+    /**
+     * Get the typed data values of a node or edge, by attribute name
+     */
+    static _attributes(element, keys, domain) {
+        const attributes = {};
+
+        keys.forEach(key => {
+            if ((key.domain === domain || key.domain === 'all') && key.defaultValue !== undefined) {
+                attributes[key.name] = key.defaultValue;
+            }
+        });
+
+        // Only direct <data> children; nested graphs have their own
+        Array.from(element.children).filter(child => child.localName === 'data').forEach(child => {
+            const key = keys.get(child.getAttribute('key'));
+            const name = key ? key.name : child.getAttribute('key');
+            attributes[name] = GraphMLFormat._convert(child.textContent, key ? key.type : 'string');
+        });
+
+        return attributes;
+    }
+
+    static _convert(text, type) {
+        const value = text.trim();
+        switch (type) {
+            case 'int':
+            case 'long':
+            case 'float':
+            case 'double': {
+                const number = Number(value);
+                return value === '' || Number.isNaN(number) ? value : number;
+            }
+            case 'boolean':
+                return value.toLowerCase() === 'true' || value === '1';
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Look up a built-in field case-insensitively
+     */
+    static _field(attributes, name) {
+        const key = Object.keys(attributes).find(k => k.toLowerCase() === name.toLowerCase());
+        return key !== undefined ? attributes[key] : undefined;
+    }
+
+    static _properties(attributes, fields) {
+        const reserved = fields.filter(Boolean).map(field => field.toLowerCase());
+        const properties = {};
+
+        Object.entries(attributes).forEach(([name, value]) => {
+            if (reserved.includes(name.toLowerCase())) return;
+
+            properties[GraphInterchange.unprefixProperty(name)] = value;
+        });
+
+        return properties;
+    }
+}
+
+GraphMLFormat.id = 'graphml';
+GraphMLFormat.label = 'GraphML';
+GraphMLFormat.extensions = ['.graphml'];
+GraphMLFormat.mimeType = 'application/graphml+xml';
+
+// Attributes read into entity and relationship fields (lower case)
+GraphMLFormat.NODE_FIELDS = ['label', 'name', 'description', 'startdate', 'enddate', 'x', 'y', 'pinned'];
+GraphMLFormat.EDGE_FIELDS = ['label', 'strength', 'weight', 'startdate', 'enddate'];
+
+GraphMLFormat.TYPE_NAMES = {
+    boolean: 'boolean',
+    integer: 'long',
+    number: 'double',
+    string: 'string'
+};
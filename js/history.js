@@ -0,0 +1,305 @@
+/**
+ * Undo/redo history module for LinkChart JS
+ *
+ * HistoryManager listens to ChartData mutation events and records each one
+ * as a change ({ event, ...payload }). Each history entry holds one or more
+ * changes, so a whole batch (e.g. a CSV import) is undone as a single step.
+ */
+
+class HistoryManager {
+    constructor(chart) {
+        this.chart = chart;
+        this.data = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxEntries = 100;
+        this.transaction = null;
+        this.isReplaying = false;
+        this.unsubscribers = [];
+        this.onChange = null;
+    }
+
+    init() {
+        this.attach(this.chart.data);
+
+        // Start a fresh history whenever the chart gets new data (new/open/import)
+        this.chart.on('data:replaced', ({ data }) => this.attach(data));
+    }
+
+    /**
+     * Start recording changes made to a ChartData instance
+     * @param {ChartData} chartData - Data to track
+     */
+    attach(chartData) {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+
+        this.data = chartData;
+        this.unsubscribers = [
+            ...HistoryManager.RECORDED_EVENTS.map(event =>
+                chartData.on(event, payload => this.record({ event, ...payload }))
+            ),
+            chartData.on('batch:started', ({ label }) => this.beginTransaction(label)),
+            chartData.on('batch:committed', () => this.commitTransaction()),
+            // Wholesale reloads cannot be reverted change by change
+            chartData.on('data:loaded', () => this.clear())
+        ];
+        this.clear();
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.transaction = null;
+        this._notify();
+    }
+
+    /**
+     * Record a change emitted by ChartData
+     * @param {Object} change - Event name plus its payload
+     */
+    record(change) {
+        if (this.isReplaying) return;
+
+        if (this.transaction) {
+            this.transaction.changes.push(change);
+            return;
+        }
+
+        this._pushEntry({
+            label: this._describeChange(change),
+            changes: [change],
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Group all following changes into one history entry until committed
+     * @param {string} label - Label shown in the history list
+     */
+    beginTransaction(label) {
+        if (this.isReplaying) return;
+
+        if (this.transaction) {
+            // Nested transactions are folded into the outermost one
+            this.transaction.depth++;
+            return;
+        }
+
+        this.transaction = { label, changes: [], depth: 1 };
+    }
+
+    commitTransaction() {
+        if (this.isReplaying || !this.transaction) return;
+
+        this.transaction.depth--;
+        if (this.transaction.depth > 0) return;
+
+        const { label, changes } = this.transaction;
+        this.transaction = null;
+
+        if (changes.length > 0) {
+            this._pushEntry({ label, changes, timestamp: Date.now() });
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return null;
+
+        const entry = this.undoStack.pop();
+        this._replay(() => {
+            [...entry.changes].reverse().forEach(change => this._revertChange(change));
+        });
+        this.redoStack.push(entry);
+
+        this._notify();
+        return entry;
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+
+        const entry = this.redoStack.pop();
+        this._replay(() => {
+            entry.changes.forEach(change => this._applyChange(change));
+        });
+        this.undoStack.push(entry);
+
+        this._notify();
+        return entry;
+    }
+
+    /**
+     * Undo or redo until the given number of entries are applied
+     * @param {number} position - Number of entries to leave on the undo stack
+     */
+    goTo(position) {
+        while (this.undoStack.length > position && this.canUndo()) {
+            this.undo();
+        }
+        while (this.undoStack.length < position && this.canRedo()) {
+            this.redo();
+        }
+    }
+
+    /**
+     * Get all entries in chronological order, with applied ones flagged
+     */
+    getEntries() {
+        const applied = this.undoStack.map(entry => ({ ...entry, applied: true }));
+        const undone = [...this.redoStack].reverse().map(entry => ({ ...entry, applied: false }));
+        return [...applied, ...undone];
+    }
+
+    _pushEntry(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.maxEntries) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this._notify();
+    }
+
+    _replay(callback) {
+        this.isReplaying = true;
+        // Batch the replay so listeners (e.g. the chart) update only once
+        this.data.beginBatch('History');
+        try {
+            callback();
+        } finally {
+            this.data.commitBatch();
+            this.isReplaying = false;
+        }
+    }
+
+    _notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    _applyChange(change) {
+        const data = this.data;
+
+        switch (change.event) {
+            case 'entity:added':
+                data.addEntity(change.entity);
+                break;
+            case 'entity:updated':
+                data.updateEntity(change.entity.id, change.after);
+                break;
+            case 'entity:removed':
+                data.removeEntityById(change.entity.id);
+                break;
+            case 'relationship:added':
+                data.addRelationship(change.relationship);
+                break;
+            case 'relationship:updated':
+                data.updateRelationship(change.relationship.id, change.after);
+                break;
+            case 'relationship:removed':
+                data.removeRelationshipById(change.relationship.id);
+                break;
+            case 'type:changed':
+                if (change.action === 'removed') {
+                    data.removeEntityType(change.entityType.id);
+                } else {
+                    data.addEntityType(change.entityType);
+                }
+                break;
+            case 'relationshipType:changed':
+                if (change.action === 'removed') {
+                    data.removeRelationshipType(change.relationshipType.id);
+                } else {
+                    data.addRelationshipType(change.relationshipType);
+                }
+                break;
+        }
+    }
+
+    _revertChange(change) {
+        const data = this.data;
+
+        switch (change.event) {
+            case 'entity:added':
+                data.removeEntityById(change.entity.id);
+                break;
+            case 'entity:updated':
+                data.updateEntity(change.entity.id, change.before);
+                break;
+            case 'entity:removed':
+                data.addEntity(change.entity);
+                change.relationships.forEach(rel => data.addRelationship(rel));
+                break;
+            case 'relationship:added':
+                data.removeRelationshipById(change.relationship.id);
+                break;
+            case 'relationship:updated':
+                data.updateRelationship(change.relationship.id, change.before);
+                break;
+            case 'relationship:removed':
+                data.addRelationship(change.relationship);
+                break;
+            case 'type:changed':
+                if (change.previous) {
+                    data.addEntityType(change.previous);
+                } else {
+                    data.removeEntityType(change.entityType.id);
+                }
+                break;
+            case 'relationshipType:changed':
+                if (change.previous) {
+                    data.addRelationshipType(change.previous);
+                } else {
+                    data.removeRelationshipType(change.relationshipType.id);
+                }
+                break;
+        }
+    }
+
+    _describeChange(change) {
+        switch (change.event) {
+            case 'entity:added':
+                return `Add entity "${change.entity.name}"`;
+            case 'entity:updated':
+                return `Edit entity "${change.entity.name}"`;
+            case 'entity:removed':
+                return `Delete entity "${change.entity.name}"`;
+            case 'relationship:added':
+                return 'Add relationship';
+            case 'relationship:updated':
+                return 'Edit relationship';
+            case 'relationship:removed':
+                return 'Delete relationship';
+            case 'type:changed': {
+                const verb = { added: 'Add', updated: 'Update', removed: 'Delete' }[change.action];
+                return `${verb} type "${change.entityType.name}"`;
+            }
+            case 'relationshipType:changed': {
+                const verb = { added: 'Add', updated: 'Update', removed: 'Delete' }[change.action];
+                return `${verb} relationship type "${change.relationshipType.name}"`;
+            }
+            default:
+                return change.event;
+        }
+    }
+}
+
+// Mutation events that are recorded as undoable changes
+HistoryManager.RECORDED_EVENTS = [
+    'entity:added',
+    'entity:updated',
+    'entity:removed',
+    'relationship:added',
+    'relationship:updated',
+    'relationship:removed',
+    'type:changed',
+    'relationshipType:changed'
+];
@@ -0,0 +1,179 @@
+/**
+ * Image export module for LinkChart JS
+ *
+ * Turns the rendered chart into a standalone SVG document: the styles the
+ * stylesheet applies are copied onto the elements, so the file looks the same
+ * outside the application. PNG images are drawn from that SVG on an
+ * offscreen canvas.
+ */
+
+class ChartImageExporter {
+    /**
+     * Build a standalone SVG of the chart
+     * @param {ChartVisualization} chart - Rendered chart
+     * @param {Object} options - area: 'viewport' (what is visible) or 'graph' (all entities);
+     *                           legend: include a legend of the shown entity types
+     * @returns {Object} - { svg: SVG text, width, height }
+     */
+    static buildSVG(chart, options = {}) {
+        const { area = 'viewport', legend = false } = options;
+        const source = chart.svg.node();
+        const svg = source.cloneNode(true);
+        ChartImageExporter._inlineStyles(source, svg);
+
+        const group = svg.querySelector('.chart-group');
+        let width = chart.width;
+        let height = chart.height;
+
+        if (area === 'graph') {
+            // Undo the zoom and frame the bounding box of everything drawn
+            const padding = ChartImageExporter.PADDING;
+            const bounds = chart.chartGroup.node().getBBox();
+            width = Math.ceil(bounds.width + padding * 2);
+            height = Math.ceil(bounds.height + padding * 2);
+            group.setAttribute('transform', `translate(${padding - bounds.x},${padding - bounds.y})`);
+        }
+
+        if (legend) {
+            const legendGroup = ChartImageExporter._legend(chart);
+            if (legendGroup) {
+                legendGroup.element.setAttribute('transform', `translate(${width},${ChartImageExporter.PADDING})`);
+                svg.appendChild(legendGroup.element);
+                width += legendGroup.width;
+                height = Math.max(height, legendGroup.height + ChartImageExporter.PADDING * 2);
+            }
+        }
+
+        // Reports are usually white; the chart itself has no background
+        const background = document.createElementNS(ChartImageExporter.SVG_NS, 'rect');
+        background.setAttribute('width', '100%');
+        background.setAttribute('height', '100%');
+        background.setAttribute('fill', '#ffffff');
+        svg.insertBefore(background, svg.firstChild);
+
+        svg.setAttribute('xmlns', ChartImageExporter.SVG_NS);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        const text = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+        return { svg: text, width, height };
+    }
+
+    /**
+     * Draw an SVG built by buildSVG() as a PNG image
+     * @param {Object} image - Result of buildSVG()
+     * @param {number} scale - Pixels per chart unit (2 for a sharper image)
+     * @returns {Promise<Blob>} - PNG image
+     * @throws {Error} - If the image would be larger than browsers can draw
+     */
+    static toPNG(image, scale = 1) {
+        const width = Math.round(image.width * scale);
+        const height = Math.round(image.height * scale);
+        if (width > ChartImageExporter.MAX_CANVAS_SIZE || height > ChartImageExporter.MAX_CANVAS_SIZE) {
+            return Promise.reject(new Error(
+                `The image would be ${width} x ${height} pixels. Choose a lower resolution or export the visible view.`
+            ));
+        }
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(img, 0, 0, image.width, image.height);
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('The image could not be created.'));
+                    }
+                }, 'image/png');
+            };
+            img.onerror = () => reject(new Error('The chart could not be drawn as an image.'));
+            img.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(image.svg);
+        });
+    }
+
+    /**
+     * Copy the computed styles of the rendered elements onto their copies
+     */
+    static _inlineStyles(source, target) {
+        const sourceElements = [source, ...source.querySelectorAll('*')];
+        const targetElements = [target, ...target.querySelectorAll('*')];
+
+        sourceElements.forEach((element, index) => {
+            const computed = window.getComputedStyle(element);
+            const style = ChartImageExporter.STYLE_PROPERTIES
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([, value]) => value !== '')
+                .map(([property, value]) => `${property}:${value}`)
+                .join(';');
+            targetElements[index].setAttribute('style', style);
+        });
+    }
+
+    /**
+     * Build a legend of the entity types shown in the chart
+     * @returns {Object|null} - { element, width, height }, null if there are no entities
+     */
+    static _legend(chart) {
+        const typeIds = new Set(chart.nodes.map(node => node.type));
+        const types = Array.from(typeIds).map(id => chart.data.getEntityTypeById(id) || { id, name: id, color: '#a29bfe' });
+        if (types.length === 0) return null;
+
+        const rowHeight = 22;
+        const group = document.createElementNS(ChartImageExporter.SVG_NS, 'g');
+        const add = (parent, name, attributes, text) => {
+            const element = document.createElementNS(ChartImageExporter.SVG_NS, name);
+            Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+            if (text !== undefined) element.textContent = text;
+            parent.appendChild(element);
+            return element;
+        };
+
+        add(group, 'text', { x: 0, y: 0, 'font-family': 'sans-serif', 'font-size': 12, 'font-weight': 'bold' }, 'Entity types');
+        types.forEach((type, index) => {
+            const y = (index + 1) * rowHeight;
+            add(group, 'circle', { cx: 7, cy: y - 4, r: 7, fill: type.color, stroke: '#ffffff', 'stroke-width': 1 });
+            add(group, 'text', { x: 20, y, 'font-family': 'sans-serif', 'font-size': 11 }, type.name);
+        });
+
+        // The legend is not on the page, so its text cannot be measured; estimate the widest name
+        const longestName = Math.max('Entity types'.length, ...types.map(type => String(type.name).length));
+        return {
+            element: group,
+            width: 20 + longestName * 7 + ChartImageExporter.PADDING,
+            height: (types.length + 1) * rowHeight
+        };
+    }
+}
+
+ChartImageExporter.SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Space around the graph and the legend, in chart units
+ChartImageExporter.PADDING = 40;
+
+// Larger canvases fail to draw in some browsers
+ChartImageExporter.MAX_CANVAS_SIZE = 16384;
+
+// Styles that change how chart elements look
+ChartImageExporter.STYLE_PROPERTIES = [
+    'display',
+    'visibility',
+    'opacity',
+    'fill',
+    'fill-opacity',
+    'stroke',
+    'stroke-width',
+    'stroke-opacity',
+    'stroke-dasharray',
+    'font-family',
+    'font-size',
+    'font-weight',
+    'text-anchor'
+];
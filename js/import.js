@@ -8,6 +8,7 @@ class CsvImporter {
         this.uiManager = uiManager;
         this.csvData = null;
         this.headers = [];
+        this.exportSchema = null; // Schema of a CSV export zip
         this.currentStep = 1;
         this.selectedEntityType = 'person';
         this.selectedIcon = 'bi-circle';
@@ -16,8 +17,15 @@ class CsvImporter {
         this.columnMappings = {
             idColumn: '',
             nameColumn: '',
+            descriptionColumn: '',
             typeColumn: '',
+            startDateColumn: '',
+            endDateColumn: '',
+            xColumn: '',
+            yColumn: '',
+            pinnedColumn: '',
             detectEntityTypes: false,
+            skipEmptyValues: false,
             includedColumns: []
         };
         
@@ -26,6 +34,8 @@ class CsvImporter {
             sourceColumn: '',
             targetColumn: '',
             relationType: '',
+            startDateColumn: '',
+            endDateColumn: '',
             detectHierarchy: false,
             hierarchyTypeColumn: '',
             parentReferenceColumn: '',
@@ -33,6 +43,35 @@ class CsvImporter {
             childType: 'Story'
         };
         
+        // Link tables have one relationship per row instead of one entity
+        this.importMode = 'entities';
+        this.linkMapping = {
+            sourceColumn: '',
+            targetColumn: '',
+            matchBy: 'name',
+            entityType: '',
+            relationshipType: '',
+            labelColumn: '',
+            startDateColumn: '',
+            endDateColumn: '',
+            weightColumn: '',
+            aggregate: false
+        };
+        
+        // An optional edges file connects the imported entities by ID
+        this.edgesData = null;
+        this.edgeHeaders = [];
+        this.edgeMapping = {
+            idColumn: '',
+            sourceColumn: '',
+            targetColumn: '',
+            typeColumn: '',
+            labelColumn: '',
+            strengthColumn: '',
+            startDateColumn: '',
+            endDateColumn: ''
+        };
+        
         this.customEntityType = null;
     }
     
@@ -49,7 +88,14 @@ class CsvImporter {
         // Step navigation buttons
         document.getElementById('next-step-1').addEventListener('click', () => this.handleStep1Next());
         document.getElementById('prev-step-2').addEventListener('click', () => this.goToStep(1));
-        document.getElementById('next-step-2').addEventListener('click', () => this.goToStep(3));
+        document.getElementById('next-step-2').addEventListener('click', () => {
+            // Link tables have no entity relationships to define
+            if (this.importMode === 'links') {
+                this.importData();
+            } else {
+                this.goToStep(3);
+            }
+        });
         document.getElementById('prev-step-3').addEventListener('click', () => this.goToStep(2));
         document.getElementById('import-csv-data').addEventListener('click', () => this.importData());
         
@@ -63,6 +109,15 @@ class CsvImporter {
             }
         });
         
+        document.querySelectorAll('input[name="csv-import-mode"]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.importMode = e.target.value;
+                // Link tables are a single file
+                document.getElementById('csv-edges-file-group').style.display =
+                    this.importMode === 'links' ? 'none' : '';
+            });
+        });
+        
         // New entity type handling
         document.getElementById('entity-import-type').addEventListener('change', (e) => {
             if (e.target.value === 'new-type') {
@@ -143,12 +198,20 @@ class CsvImporter {
         // Reset all import state
         this.csvData = null;
         this.headers = [];
+        this.exportSchema = null;
         this.currentStep = 1;
         this.columnMappings = {
             idColumn: '',
             nameColumn: '',
+            descriptionColumn: '',
             typeColumn: '',
+            startDateColumn: '',
+            endDateColumn: '',
+            xColumn: '',
+            yColumn: '',
+            pinnedColumn: '',
             detectEntityTypes: false,
+            skipEmptyValues: false,
             includedColumns: []
         };
         this.relationshipMapping = {
@@ -156,21 +219,46 @@ class CsvImporter {
             sourceColumn: '',
             targetColumn: '',
             relationType: '',
+            startDateColumn: '',
+            endDateColumn: '',
             detectHierarchy: false,
             hierarchyTypeColumn: '',
             parentReferenceColumn: '',
             parentType: 'Epic',
             childType: 'Story'
         };
+        this.importMode = 'entities';
+        this.linkMapping = {
+            sourceColumn: '',
+            targetColumn: '',
+            matchBy: 'name',
+            entityType: '',
+            relationshipType: '',
+            labelColumn: '',
+            startDateColumn: '',
+            endDateColumn: '',
+            weightColumn: '',
+            aggregate: false
+        };
+        this.edgesData = null;
+        this.edgeHeaders = [];
+        Object.keys(this.edgeMapping).forEach(mapping => {
+            this.edgeMapping[mapping] = '';
+        });
         this.customEntityType = null;
         
         // Reset UI
         document.getElementById('csv-file-input').value = '';
+        document.getElementById('csv-edges-file-input').value = '';
+        document.getElementById('csv-edges-file-group').style.display = '';
         document.getElementById('csv-preview-header').innerHTML = '';
         document.getElementById('csv-preview-body').innerHTML = '';
         document.getElementById('column-selection').innerHTML = '';
         document.getElementById('entity-id-column').innerHTML = '';
         document.getElementById('entity-name-column').innerHTML = '';
+        document.getElementById('entity-description-column').innerHTML = '';
+        document.getElementById('entity-start-date-column').innerHTML = '';
+        document.getElementById('entity-end-date-column').innerHTML = '';
         
         const relationshipSource = document.getElementById('relationship-source');
         const relationshipTarget = document.getElementById('relationship-target');
@@ -188,6 +276,9 @@ class CsvImporter {
         
         document.getElementById('new-type-input').style.display = 'none';
         document.getElementById('entity-import-type').value = 'person';
+        document.getElementById('csv-mode-entities').checked = true;
+        document.getElementById('link-relationship-type').value = '';
+        document.getElementById('link-aggregate').checked = false;
         
         // Reset step visibility
         this.goToStep(1);
@@ -209,6 +300,15 @@ class CsvImporter {
         // If going to step 2, update entity type dropdown
         if (step === 2) {
             this.initEntityTypeDropdown();
+            
+            const isLinkTable = this.importMode === 'links';
+            document.getElementById('entity-column-mapping').style.display = isLinkTable ? 'none' : '';
+            document.getElementById('link-column-mapping').style.display = isLinkTable ? '' : 'none';
+            document.getElementById('next-step-2').textContent = isLinkTable ? 'Import Data' : 'Next';
+        }
+        
+        if (step === 3) {
+            document.getElementById('edge-column-mapping').style.display = this.edgesData ? '' : 'none';
         }
         
         this.currentStep = step;
@@ -222,14 +322,34 @@ class CsvImporter {
             return;
         }
         
-        const file = fileInput.files[0];
-        const delimiter = document.getElementById('csv-delimiter').value;
-        const hasHeader = document.getElementById('csv-header').checked;
+        let file = fileInput.files[0];
+        let edgesFile = document.getElementById('csv-edges-file-input').files[0];
+        let delimiter = document.getElementById('csv-delimiter').value;
+        let hasHeader = document.getElementById('csv-header').checked;
         
         try {
+            // A zip from the CSV export holds both files and the schema to type them
+            this.exportSchema = null;
+            if (/\.zip$/i.test(file.name)) {
+                const files = await CsvExport.readZip(file);
+                file = files.entities;
+                edgesFile = files.relationships;
+                this.exportSchema = files.schema;
+                delimiter = ',';
+                hasHeader = true;
+            }
+            
             // Parse CSV file
             await this.parseCSV(file, delimiter, hasHeader);
             
+            // Parse the edges file of a nodes and edges pair
+            if (edgesFile && this.importMode === 'entities') {
+                await this.parseEdgesCSV(edgesFile, delimiter, hasHeader);
+            } else {
+                this.edgesData = null;
+                this.edgeHeaders = [];
+            }
+            
             // Go to step 2
             this.goToStep(2);
         } catch (error) {
@@ -239,11 +359,65 @@ class CsvImporter {
     }
     
     async parseCSV(file, delimiter, hasHeader) {
+        let results = await this.readCSV(file, delimiter, hasHeader);
+        // Entities files of the CSV export are read again with their column types
+        if (hasHeader && CsvExport.isEntitiesFile(this.rowsWithHeaders(results, hasHeader).headers)) {
+            results = await this.readExportedCSV(file, delimiter, 'entities');
+        }
+        this.processParseResults(results, hasHeader);
+    }
+    
+    async parseEdgesCSV(file, delimiter, hasHeader) {
+        // The edges file given with an exported entities file is the export's relationships file
+        const results = hasHeader && CsvExport.isEntitiesFile(this.headers)
+            ? await this.readExportedCSV(file, delimiter, 'relationships')
+            : await this.readCSV(file, delimiter, hasHeader);
+        const { data, headers } = this.rowsWithHeaders(results, hasHeader);
+        
+        // A file without rows has no edges to import
+        if (data.length === 0) {
+            this.edgesData = null;
+            this.edgeHeaders = [];
+            return;
+        }
+        
+        this.edgesData = data;
+        this.edgeHeaders = headers;
+        this.createEdgeMappings();
+    }
+    
+    /**
+     * Parse a file written by the CSV export. Columns are typed from the
+     * schema of its zip; without one, only the text fields stay text.
+     * @param {File|string} file - File or CSV text
+     * @param {string} delimiter - Column delimiter
+     * @param {string} kind - 'entities' or 'relationships'
+     * @returns {Promise<Object>} - Papa Parse results
+     */
+    async readExportedCSV(file, delimiter, kind) {
+        const columnTypes = this.exportSchema && this.exportSchema.columns
+            ? this.exportSchema.columns[kind]
+            : null;
+        const results = await this.readCSV(file, delimiter, true,
+            columnTypes ? false : column => !CsvExport.isTextColumn(column));
+        if (columnTypes) {
+            results.data = CsvExport.typeRows(results.data, columnTypes);
+        }
+        return results;
+    }
+    
+    /**
+     * Parse a CSV file, detecting the delimiter if the selected one is not found
+     * @param {boolean|Function} dynamicTyping - Papa Parse option: convert numbers and
+     *                                           booleans, in all columns or those the function accepts
+     * @returns {Promise<Object>} - Papa Parse results
+     */
+    readCSV(file, delimiter, hasHeader, dynamicTyping = true) {
         return new Promise((resolve, reject) => {
             Papa.parse(file, {
                 delimiter: delimiter,
                 header: hasHeader,
-                dynamicTyping: true,
+                dynamicTyping,
                 skipEmptyLines: true,
                 complete: (results) => {
                     if (results.errors.length > 0) {
@@ -252,20 +426,16 @@ class CsvImporter {
                             // Try again with auto-detection
                             Papa.parse(file, {
                                 header: hasHeader,
-                                dynamicTyping: true,
+                                dynamicTyping,
                                 skipEmptyLines: true,
-                                complete: (retryResults) => {
-                                    this.processParseResults(retryResults, hasHeader);
-                                    resolve();
-                                },
+                                complete: resolve,
                                 error: reject
                             });
                         } else {
                             reject(results.errors[0]);
                         }
                     } else {
-                        this.processParseResults(results, hasHeader);
-                        resolve();
+                        resolve(results);
                     }
                 },
                 error: reject
@@ -274,27 +444,37 @@ class CsvImporter {
     }
     
     processParseResults(results, hasHeader) {
-        this.csvData = results.data;
+        const { data, headers } = this.rowsWithHeaders(results, hasHeader);
+        this.csvData = data;
+        this.headers = headers;
         
+        this.createPreviewTable();
+        this.createColumnMappings();
+    }
+    
+    /**
+     * Get the rows of parse results as objects keyed by column name
+     * @returns {Object} - { data, headers }
+     */
+    rowsWithHeaders(results, hasHeader) {
         if (hasHeader) {
-            // Get headers from the parsed result
-            this.headers = Object.keys(this.csvData[0] || {});
-        } else {
-            // Create numeric headers if no header row
-            this.headers = Object.keys(this.csvData[0] || {}).map((_, index) => `Column ${index + 1}`);
-            
-            // Convert the data to have header keys
-            this.csvData = this.csvData.map(row => {
-                const newRow = {};
-                Object.values(row).forEach((value, index) => {
-                    newRow[this.headers[index]] = value;
-                });
-                return newRow;
-            });
+            // Get headers from the header row (typed rows of exported files leave out empty cells)
+            const headers = results.meta && results.meta.fields ? results.meta.fields : Object.keys(results.data[0] || {});
+            return { data: results.data, headers };
         }
         
-        this.createPreviewTable();
-        this.createColumnMappings();
+        // Create numeric headers if no header row
+        const headers = Object.keys(results.data[0] || {}).map((_, index) => `Column ${index + 1}`);
+        
+        // Convert the data to have header keys
+        const data = results.data.map(row => {
+            const newRow = {};
+            Object.values(row).forEach((value, index) => {
+                newRow[headers[index]] = value;
+            });
+            return newRow;
+        });
+        return { data, headers };
     }
     
     createPreviewTable() {
@@ -442,6 +622,13 @@ class CsvImporter {
             this.columnMappings.nameColumn = this.headers[0];
         }
         
+        // Optional description and start/end date columns, guessed from their names
+        this.populateColumnSelects({
+            descriptionColumn: ['entity-description-column', 'None', /^(description|notes?|comments?)$/i],
+            startDateColumn: ['entity-start-date-column', 'None', /^(start|begin|from|valid.?from)|(start|begin).?date$/i],
+            endDateColumn: ['entity-end-date-column', 'None', /^(end|until|to|valid.?to|valid.?until)$|(end|finish).?date$/i]
+        }, this.headers, this.columnMappings);
+        
         // Add type detection option
         const entityImportTypeArea = document.querySelector('[for="entity-import-type"]')?.closest('.mb-3');
         
@@ -537,6 +724,11 @@ class CsvImporter {
             document.getElementById('relationship-type')?.addEventListener('input', (e) => {
                 this.relationshipMapping.relationType = e.target.value;
             });
+            
+            this.populateColumnSelects({
+                startDateColumn: ['relationship-start-date-column', 'None', null],
+                endDateColumn: ['relationship-end-date-column', 'None', null]
+            }, this.headers, this.relationshipMapping);
         }
         
         // Set up hierarchy columns
@@ -597,6 +789,155 @@ class CsvImporter {
                 this.relationshipMapping.childType = e.target.value;
             });
         }
+        
+        this.createLinkMappings();
+        
+        // Entities files from the CSV export import back as they were exported
+        if (CsvExport.isEntitiesFile(this.headers)) {
+            this.applyExportedFileMappings();
+        }
+    }
+    
+    /**
+     * Populate the column choices of the link table mode, guessing the source,
+     * target and date columns from their names
+     */
+    createLinkMappings() {
+        const columnSelects = {
+            sourceColumn: ['link-source-column', 'Select a column', /^(from|source|src|caller|sender|origin|payer)\b/i],
+            targetColumn: ['link-target-column', 'Select a column', /^(to|target|dst|dest|destination|callee|recipient|receiver|payee)\b/i],
+            labelColumn: ['link-label-column', 'None', /^(label|relationship|relation)$/i],
+            startDateColumn: ['link-start-date-column', 'None', /^(?!end|finish|until).*(date|time|timestamp|start)$/i],
+            endDateColumn: ['link-end-date-column', 'None', /^(end|until)|(end|finish).?(date|time)$/i],
+            weightColumn: ['link-weight-column', 'None', null]
+        };
+        this.populateColumnSelects(columnSelects, this.headers, this.linkMapping);
+        
+        document.getElementById('link-match-by').onchange = (e) => {
+            this.linkMapping.matchBy = e.target.value;
+        };
+        document.getElementById('link-relationship-type').oninput = (e) => {
+            this.linkMapping.relationshipType = e.target.value;
+        };
+        document.getElementById('link-aggregate').onchange = (e) => {
+            this.linkMapping.aggregate = e.target.checked;
+        };
+    }
+    
+    /**
+     * Fill column dropdowns, selecting the first column whose name matches
+     * each guess, and keep the chosen columns in a mapping
+     * @param {Object} columnSelects - Mapping key: [select ID, label of the empty option, guess pattern or null]
+     * @param {Array} headers - Columns to offer
+     * @param {Object} mapping - Mapping updated with the chosen column of each key
+     */
+    populateColumnSelects(columnSelects, headers, mapping) {
+        Object.entries(columnSelects).forEach(([key, [selectId, emptyLabel, pattern]]) => {
+            const select = document.getElementById(selectId);
+            select.innerHTML = `<option value="">${emptyLabel}</option>`;
+            headers.forEach(header => {
+                const option = document.createElement('option');
+                option.value = header;
+                option.textContent = header;
+                select.appendChild(option);
+            });
+            
+            const guess = pattern ? headers.find(header => pattern.test(header)) : undefined;
+            select.value = guess || '';
+            mapping[key] = guess || '';
+            select.onchange = (e) => {
+                mapping[key] = e.target.value;
+            };
+        });
+    }
+    
+    /**
+     * Populate the column choices of the edges file, guessing them from their
+     * names (the relationships file of the CSV export maps as it was written),
+     * and pick an ID column for the entities the edges reference
+     */
+    createEdgeMappings() {
+        const columnSelects = {
+            sourceColumn: ['edge-source-column', 'Select a column', /^(source|from|src|tail)(.?(id|node))?$/i],
+            targetColumn: ['edge-target-column', 'Select a column', /^(target|to|dst|dest|destination|head)(.?(id|node))?$/i],
+            typeColumn: ['edge-type-column', 'None', /^(type|kind|relationship.?type|edge.?type|label.?type)$/i],
+            labelColumn: ['edge-label-column', 'None', /^(label|relationship|relation|name)$/i],
+            idColumn: ['edge-id-column', 'None (auto-generate)', /^(id|edge.?id|key)$/i],
+            strengthColumn: ['edge-strength-column', 'None', /^(strength|weight)$/i],
+            startDateColumn: ['edge-start-date-column', 'None', /^(start.?date|start.?time|date|timestamp)$/i],
+            endDateColumn: ['edge-end-date-column', 'None', /^(end.?date|end.?time|until)$/i]
+        };
+        this.populateColumnSelects(columnSelects, this.edgeHeaders, this.edgeMapping);
+        
+        // Edges reference entities by ID, so the entities file needs an ID column
+        if (!this.columnMappings.idColumn) {
+            const idColumn = this.headers.find(header => /^(id|node.?id|key)$/i.test(header));
+            if (idColumn) {
+                document.getElementById('entity-id-column').value = idColumn;
+                this.columnMappings.idColumn = idColumn;
+            }
+        }
+    }
+    
+    /**
+     * Map the columns of an entities file written by CsvExport to entity fields
+     * instead of properties, and take the entity types from its type column
+     */
+    applyExportedFileMappings() {
+        const fieldColumns = {
+            idColumn: ['entity-id-column', 'id'],
+            nameColumn: ['entity-name-column', 'name'],
+            descriptionColumn: ['entity-description-column', 'description'],
+            startDateColumn: ['entity-start-date-column', 'startDate'],
+            endDateColumn: ['entity-end-date-column', 'endDate']
+        };
+        
+        Object.entries(fieldColumns).forEach(([mapping, [selectId, column]]) => {
+            const value = this.headers.includes(column) ? column : '';
+            document.getElementById(selectId).value = value;
+            this.columnMappings[mapping] = value;
+        });
+        
+        // The layout columns have no dropdowns
+        ['x', 'y', 'pinned'].forEach(column => {
+            this.columnMappings[`${column}Column`] = this.headers.includes(column) ? column : '';
+        });
+        
+        document.querySelectorAll('#column-selection .column-checkbox').forEach(checkbox => {
+            if (CsvExport.ENTITY_FIELDS.includes(checkbox.value)) {
+                checkbox.checked = false;
+            }
+        });
+        this.columnMappings.includedColumns = this.columnMappings.includedColumns
+            .filter(column => !CsvExport.ENTITY_FIELDS.includes(column));
+        // Empty cells are properties other entities have; typed rows leave them out
+        this.columnMappings.skipEmptyValues = !this.exportSchema;
+        
+        const detectTypes = document.getElementById('detect-entity-types');
+        if (detectTypes) {
+            detectTypes.checked = true;
+            detectTypes.dispatchEvent(new Event('change'));
+            document.getElementById('type-detection-column').value = 'type';
+            this.columnMappings.typeColumn = 'type';
+        }
+    }
+    
+    /**
+     * Property names of the columns the CSV export prefixed because they are
+     * named like a field ("property:type" holds the property "type"). Other
+     * files keep their column names.
+     * @param {Array} headers - Column names of the entities file, or of the edges file given with it
+     * @returns {Object} - Property name by column, for the prefixed columns
+     */
+    exportedPropertyNames(headers) {
+        const names = {};
+        if (!CsvExport.isEntitiesFile(this.headers)) return names;
+        
+        headers.forEach(header => {
+            const name = GraphInterchange.unprefixProperty(header);
+            if (name !== header) names[header] = name;
+        });
+        return names;
     }
     
     initEntityTypeDropdown() {
@@ -619,6 +960,23 @@ class CsvImporter {
         createOption.value = 'new-type';
         createOption.textContent = 'Create New Type...';
         entityTypeSelect.appendChild(createOption);
+        
+        // Entities created from a link table take an existing type
+        const linkTypeSelect = document.getElementById('link-entity-type');
+        linkTypeSelect.innerHTML = '';
+        this.chart.data.entityTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.id;
+            option.textContent = type.name;
+            linkTypeSelect.appendChild(option);
+        });
+        if (this.chart.data.getEntityTypeById(this.linkMapping.entityType)) {
+            linkTypeSelect.value = this.linkMapping.entityType;
+        }
+        this.linkMapping.entityType = linkTypeSelect.value;
+        linkTypeSelect.onchange = (e) => {
+            this.linkMapping.entityType = e.target.value;
+        };
     }
     
     async importData() {
@@ -627,126 +985,320 @@ class CsvImporter {
             return;
         }
         
+        if (this.importMode === 'links') {
+            this.importLinkTable();
+            return;
+        }
+        
         if (!this.columnMappings.nameColumn) {
             alert('Please select a column to use for entity names');
             return;
         }
         
-        let importedEntities = [];
+        // Validate a new type name before touching the chart
+        const isNewType = !this.columnMappings.detectEntityTypes &&
+            document.getElementById('entity-import-type').value === 'new-type';
+        if (isNewType && !document.getElementById('new-entity-type-name').value.trim()) {
+            alert('Please enter a name for the new entity type');
+            return;
+        }
         
-        // Use automatic type detection if enabled
-        if (this.columnMappings.detectEntityTypes && this.columnMappings.typeColumn) {
-            importedEntities = this.chart.data.importEntitiesWithTypes(
-                this.csvData,
-                {
-                    idColumn: this.columnMappings.idColumn,
-                    nameColumn: this.columnMappings.nameColumn,
-                    typeColumn: this.columnMappings.typeColumn,
-                    includedColumns: this.columnMappings.includedColumns
-                }
-            );
-            
-            // Update the entity palette to show new types
-            this.uiManager.updateEntityPalette();
+        if (this.edgesData && (!this.edgeMapping.sourceColumn || !this.edgeMapping.targetColumn)) {
+            alert('Please select the source and target columns of the edges file');
+            return;
         }
-        else {
-            // Original entity creation code
-            const entityTypeSelect = document.getElementById('entity-import-type');
-            let selectedType = entityTypeSelect.value;
+        
+        let importedEntities = [];
+        let edgeResult = null;
+        const validationIssues = [];
+        
+        this.uiManager.takeAutomaticSnapshot(`Before importing ${this.csvData.length} rows from CSV`);
+        
+        // Record the whole import as a single undoable step
+        this.chart.data.beginBatch(`Import ${this.csvData.length} rows from CSV`);
+        try {
+            // Types of a CSV export zip keep their colors, icons and property definitions
+            if (this.exportSchema) {
+                CsvExport.restoreTypes(this.chart.data, this.exportSchema);
+            }
             
-            if (selectedType === 'new-type') {
-                const typeName = document.getElementById('new-entity-type-name').value.trim();
-                if (!typeName) {
-                    alert('Please enter a name for the new entity type');
-                    return;
-                }
-                
-                // Generate ID from type name
-                const typeId = typeName.toLowerCase().replace(/[^a-z0-9]/g, '-');
-                
-                // Create new entity type
-                this.customEntityType = new EntityType(
-                    typeId,
-                    typeName,
-                    this.selectedIcon,
-                    '#a29bfe' // default color
-                );
-                
-                // Add the new type to chart data
-                this.chart.data.addEntityType(this.customEntityType);
-                
-                // Update the chart to show new entity type
-                this.uiManager.updateEntityPalette();
-                
-                // Import using the new type ID
-                importedEntities = this.chart.data.importEntitiesFromCsv(
+            // Use automatic type detection if enabled
+            if (this.columnMappings.detectEntityTypes && this.columnMappings.typeColumn) {
+                importedEntities = this.chart.data.importEntitiesWithTypes(
                     this.csvData,
                     {
                         idColumn: this.columnMappings.idColumn,
                         nameColumn: this.columnMappings.nameColumn,
-                        entityType: typeId,
-                        includedColumns: this.columnMappings.includedColumns
+                        descriptionColumn: this.columnMappings.descriptionColumn,
+                        typeColumn: this.columnMappings.typeColumn,
+                        includedColumns: this.columnMappings.includedColumns,
+                        startDateColumn: this.columnMappings.startDateColumn,
+                        endDateColumn: this.columnMappings.endDateColumn,
+                        xColumn: this.columnMappings.xColumn,
+                        yColumn: this.columnMappings.yColumn,
+                        pinnedColumn: this.columnMappings.pinnedColumn,
+                        skipEmptyValues: this.columnMappings.skipEmptyValues,
+                        propertyNames: this.exportedPropertyNames(this.headers),
+                        validationIssues
                     }
                 );
-            } else {
-                // If there are no entity types yet, create a default one
-                if (this.chart.data.entityTypes.length === 0) {
-                    this.chart.data.addEntityType(new EntityType('default', 'Default', 'bi-box', '#3498db'));
-                    selectedType = 'default';
-                }
+            }
+            else {
+                // Original entity creation code
+                const entityTypeSelect = document.getElementById('entity-import-type');
+                let selectedType = entityTypeSelect.value;
+            
+                if (selectedType === 'new-type') {
+                    const typeName = document.getElementById('new-entity-type-name').value.trim();
                 
-                // Import using the selected existing type
-                importedEntities = this.chart.data.importEntitiesFromCsv(
-                    this.csvData,
+                    // Generate ID from type name
+                    const typeId = typeName.toLowerCase().replace(/[^a-z0-9]/g, '-');
+                
+                    // Create new entity type
+                    this.customEntityType = new EntityType(
+                        typeId,
+                        typeName,
+                        this.selectedIcon,
+                        '#a29bfe' // default color
+                    );
+                
+                    // Add the new type to chart data
+                    this.chart.data.addEntityType(this.customEntityType);
+                
+                    // Import using the new type ID
+                    importedEntities = this.chart.data.importEntitiesFromCsv(
+                        this.csvData,
+                        {
+                            idColumn: this.columnMappings.idColumn,
+                            nameColumn: this.columnMappings.nameColumn,
+                            descriptionColumn: this.columnMappings.descriptionColumn,
+                            entityType: typeId,
+                            includedColumns: this.columnMappings.includedColumns,
+                            startDateColumn: this.columnMappings.startDateColumn,
+                            endDateColumn: this.columnMappings.endDateColumn,
+                            xColumn: this.columnMappings.xColumn,
+                            yColumn: this.columnMappings.yColumn,
+                            pinnedColumn: this.columnMappings.pinnedColumn,
+                            skipEmptyValues: this.columnMappings.skipEmptyValues,
+                            propertyNames: this.exportedPropertyNames(this.headers),
+                            validationIssues
+                        }
+                    );
+                } else {
+                    // If there are no entity types yet, create a default one
+                    if (this.chart.data.entityTypes.length === 0) {
+                        this.chart.data.addEntityType(new EntityType('default', 'Default', 'bi-box', '#3498db'));
+                        selectedType = 'default';
+                    }
+                
+                    // Import using the selected existing type
+                    importedEntities = this.chart.data.importEntitiesFromCsv(
+                        this.csvData,
+                        {
+                            idColumn: this.columnMappings.idColumn,
+                            nameColumn: this.columnMappings.nameColumn,
+                            descriptionColumn: this.columnMappings.descriptionColumn,
+                            entityType: selectedType,
+                            includedColumns: this.columnMappings.includedColumns,
+                            startDateColumn: this.columnMappings.startDateColumn,
+                            endDateColumn: this.columnMappings.endDateColumn,
+                            xColumn: this.columnMappings.xColumn,
+                            yColumn: this.columnMappings.yColumn,
+                            pinnedColumn: this.columnMappings.pinnedColumn,
+                            skipEmptyValues: this.columnMappings.skipEmptyValues,
+                            propertyNames: this.exportedPropertyNames(this.headers),
+                            validationIssues
+                        }
+                    );
+                }
+            }
+        
+            // Process hierarchical relationships if enabled
+            if (this.relationshipMapping.detectHierarchy &&
+                this.relationshipMapping.hierarchyTypeColumn && 
+                this.relationshipMapping.parentReferenceColumn) {
+            
+                this.chart.data.createHierarchicalRelationships(
+                    importedEntities,
                     {
-                        idColumn: this.columnMappings.idColumn,
-                        nameColumn: this.columnMappings.nameColumn,
-                        entityType: selectedType,
-                        includedColumns: this.columnMappings.includedColumns
+                        typeColumn: this.relationshipMapping.hierarchyTypeColumn,
+                        parentReferenceColumn: this.relationshipMapping.parentReferenceColumn,
+                        parentType: this.relationshipMapping.parentType,
+                        childType: this.relationshipMapping.childType
                     }
                 );
             }
-        }
         
-        // Process hierarchical relationships if enabled
-        if (this.relationshipMapping.detectHierarchy &&
-            this.relationshipMapping.hierarchyTypeColumn && 
-            this.relationshipMapping.parentReferenceColumn) {
+            // Process regular relationships if enabled
+            if (this.relationshipMapping.createRelationships && 
+                this.relationshipMapping.sourceColumn && 
+                this.relationshipMapping.targetColumn) {
             
-            this.chart.data.createHierarchicalRelationships(
-                importedEntities,
-                {
-                    typeColumn: this.relationshipMapping.hierarchyTypeColumn,
-                    parentReferenceColumn: this.relationshipMapping.parentReferenceColumn,
-                    parentType: this.relationshipMapping.parentType,
-                    childType: this.relationshipMapping.childType
-                }
-            );
-        }
+                this.chart.data.createRelationshipsFromCsv(
+                    importedEntities,
+                    {
+                        sourceColumn: this.relationshipMapping.sourceColumn,
+                        targetColumn: this.relationshipMapping.targetColumn,
+                        relationType: this.relationshipMapping.relationType,
+                        rows: this.csvData,
+                        startDateColumn: this.relationshipMapping.startDateColumn,
+                        endDateColumn: this.relationshipMapping.endDateColumn,
+                        validationIssues
+                    }
+                );
+            }
         
-        // Process regular relationships if enabled
-        if (this.relationshipMapping.createRelationships && 
-            this.relationshipMapping.sourceColumn && 
-            this.relationshipMapping.targetColumn) {
-            
-            this.chart.data.createRelationshipsFromCsv(
-                importedEntities,
-                {
-                    sourceColumn: this.relationshipMapping.sourceColumn,
-                    targetColumn: this.relationshipMapping.targetColumn,
-                    relationType: this.relationshipMapping.relationType
-                }
-            );
+            // Connect the entities with the rows of the edges file
+            if (this.edgesData) {
+                edgeResult = this.importEdges(importedEntities, validationIssues);
+            }
+        } finally {
+            this.chart.data.commitBatch();
         }
         
-        // Update visualization
-        this.chart.render();
+        // The chart re-renders when the batch commits; frame the result
         this.chart.fitView();
         
         // Close the modal
         this.csvModal.hide();
         
         // Update status
-        this.uiManager.updateStatusBar(`Imported ${importedEntities.length} entities`);
+        let status = `Imported ${importedEntities.length} entities`;
+        if (edgeResult) {
+            status += ` and ${edgeResult.relationships.length} relationships`;
+            if (edgeResult.unresolved.length > 0) {
+                status += ` (${edgeResult.unresolved.length} unresolved references)`;
+            }
+        }
+        if (validationIssues.length > 0) {
+            this.uiManager.updateStatusBar(`${status} with ${validationIssues.length} validation issues`);
+            alert(this.formatValidationIssues(validationIssues));
+        } else {
+            this.uiManager.updateStatusBar(status);
+        }
+        
+        if (edgeResult && edgeResult.unresolved.length > 0) {
+            alert(this.formatUnresolvedReferences(edgeResult.unresolved));
+        }
+    }
+    
+    /**
+     * Import the edges file against the entities just imported, referenced by
+     * the values of their ID column (or their names without one)
+     * @param {Array} importedEntities - Entities created from the rows of the entities file
+     * @param {Array} validationIssues - Collects date validation issues
+     * @returns {Object} - Result of ChartData.importEdgesFromCsv
+     */
+    importEdges(importedEntities, validationIssues) {
+        const { idColumn, nameColumn } = this.columnMappings;
+        const nodeIds = new Map();
+        importedEntities.forEach((entity, index) => {
+            const value = this.csvData[index][idColumn || nameColumn];
+            if (value !== null && value !== undefined && value !== '') {
+                nodeIds.set(String(value).trim(), entity.id);
+            }
+        });
+        
+        return this.chart.data.importEdgesFromCsv(this.edgesData, nodeIds, {
+            ...this.edgeMapping,
+            includedColumns: this.edgeHeaders,
+            // Empty cells are properties other edges have; typed rows leave them out
+            skipEmptyValues: !this.exportSchema,
+            propertyNames: this.exportedPropertyNames(this.edgeHeaders),
+            validationIssues
+        });
+    }
+    
+    /**
+     * Import a link table: each row becomes a relationship between the
+     * entities named in its source and target columns
+     */
+    importLinkTable() {
+        const { sourceColumn, targetColumn } = this.linkMapping;
+        if (!sourceColumn || !targetColumn) {
+            alert('Please select the source and target columns');
+            return;
+        }
+        if (sourceColumn === targetColumn) {
+            alert('The source and target columns must be different');
+            return;
+        }
+        
+        const validationIssues = [];
+        let result;
+        
+        this.uiManager.takeAutomaticSnapshot(`Before importing ${this.csvData.length} links from CSV`);
+        
+        this.chart.data.beginBatch(`Import ${this.csvData.length} links from CSV`);
+        try {
+            this.chart.data.ensureEntityTypes();
+            result = this.chart.data.importRelationshipsFromCsv(this.csvData, {
+                ...this.linkMapping,
+                entityType: this.linkMapping.entityType || this.chart.data.entityTypes[0].id,
+                includedColumns: this.columnMappings.includedColumns,
+                skipEmptyValues: this.columnMappings.skipEmptyValues,
+                propertyNames: this.exportedPropertyNames(this.headers),
+                validationIssues
+            });
+        } finally {
+            this.chart.data.commitBatch();
+        }
+        
+        this.chart.fitView();
+        this.csvModal.hide();
+        
+        let status = `Imported ${result.relationships.length} relationships from ${this.csvData.length} rows: ` +
+            `${result.createdEntities.length} entities created, ${result.matchedEntityCount} matched`;
+        if (result.skippedRows > 0) {
+            status += `, ${result.skippedRows} rows without a source or target skipped`;
+        }
+        if (result.unstoredAggregates.length > 0) {
+            const names = result.unstoredAggregates.map(name => `"${name}"`).join(' and ');
+            status += `, ${names} not stored as aggregates because columns have the same name`;
+        }
+        this.uiManager.updateStatusBar(status);
+        
+        if (validationIssues.length > 0) {
+            alert(this.formatValidationIssues(validationIssues));
+        }
+    }
+    
+    /**
+     * Summarize schema and date validation issues for display
+     * @param {Array} issues - Issues from ChartData.applyPropertySchema and applyCsvDates
+     * @returns {string} - Human readable summary
+     */
+    formatValidationIssues(issues) {
+        const maxShown = 10;
+        const lines = issues.slice(0, maxShown).map(issue => 
+            `- ${issue.entityName}: ${issue.message}`
+        );
+        
+        if (issues.length > maxShown) {
+            lines.push(`...and ${issues.length - maxShown} more`);
+        }
+        
+        return `Some imported values do not match their property schema or date format:\n${lines.join('\n')}`;
+    }
+    
+    /**
+     * Summarize the edges that reference no entity for display
+     * @param {Array} unresolved - References from ChartData.importEdgesFromCsv
+     * @returns {string} - Human readable summary
+     */
+    formatUnresolvedReferences(unresolved) {
+        const maxShown = 10;
+        const lines = unresolved.slice(0, maxShown).map(reference =>
+            reference.value ?
+                `- Row ${reference.row}: ${reference.column} "${reference.value}" matches no entity` :
+                `- Row ${reference.row}: ${reference.column} is empty`
+        );
+        
+        if (unresolved.length > maxShown) {
+            lines.push(`...and ${unresolved.length - maxShown} more`);
+        }
+        
+        const rows = new Set(unresolved.map(reference => reference.row)).size;
+        return `${rows} edges were not imported because they reference unknown entities:\n${lines.join('\n')}`;
     }
 }
@@ -0,0 +1,144 @@
+/**
+ * Chart integrity module for LinkChart JS
+ *
+ * IntegrityValidator checks chart JSON (current format, see ChartFormat) for
+ * problems the model would otherwise accept silently: duplicate IDs,
+ * relationships pointing at missing entities and items whose type is not
+ * defined. Every problem comes with the repair applied to the returned copy.
+ */
+
+class IntegrityValidator {
+    /**
+     * Find integrity problems and build a repaired copy of the chart
+     * @param {Object} data - Chart JSON (not modified)
+     * @returns {Object} - { problems: [{ kind, message, repair }], repaired }
+     */
+    static analyze(data) {
+        const repaired = JSON.parse(JSON.stringify(data));
+        const problems = [];
+        const report = (kind, message, repair) => problems.push({ kind, message, repair });
+
+        // Types: later definitions with a used ID are dropped
+        ['entityTypes', 'relationshipTypes'].forEach(key => {
+            const label = key === 'entityTypes' ? 'Entity type' : 'Relationship type';
+            const seen = new Set();
+            repaired[key] = repaired[key].filter(type => {
+                if (!seen.has(type.id)) {
+                    seen.add(type.id);
+                    return true;
+                }
+                report('duplicate-type-id', `${label} ID "${type.id}" is defined more than once`, 'Kept the first definition');
+                return false;
+            });
+        });
+
+        // Entities: duplicates get a new ID; relationships keep pointing at the first one
+        const entityIds = new Set();
+        const allEntityIds = new Set(repaired.entities.map(entity => entity.id));
+        repaired.entities.forEach(entity => {
+            if (entityIds.has(entity.id)) {
+                const newId = IntegrityValidator._uniqueId(entity.id, allEntityIds);
+                report(
+                    'duplicate-entity-id',
+                    `Entity "${entity.name}" reuses the ID "${entity.id}"`,
+                    `Changed its ID to "${newId}"`
+                );
+                entity.id = newId;
+            }
+            entityIds.add(entity.id);
+        });
+
+        // Relationships: duplicates are re-keyed, dangling ones dropped
+        const relationshipIds = new Set();
+        const allRelationshipIds = new Set(repaired.relationships.map(rel => rel.id));
+        repaired.relationships = repaired.relationships.filter(rel => {
+            const missing = [rel.sourceId, rel.targetId].filter(id => !entityIds.has(id));
+            if (missing.length > 0) {
+                report(
+                    'dangling-relationship',
+                    `Relationship "${rel.label || rel.id}" points to missing entity "${missing[0]}"`,
+                    'Removed the relationship'
+                );
+                return false;
+            }
+
+            if (!rel.id || relationshipIds.has(rel.id)) {
+                const newId = IntegrityValidator._uniqueId(rel.id || 'rel', allRelationshipIds);
+                report(
+                    'duplicate-relationship-id',
+                    rel.id ? `Relationship ID "${rel.id}" is used more than once` : 'A relationship has no ID',
+                    `Changed its ID to "${newId}"`
+                );
+                rel.id = newId;
+            }
+            relationshipIds.add(rel.id);
+            return true;
+        });
+
+        // Unknown types get a placeholder definition
+        IntegrityValidator._addPlaceholderTypes(
+            repaired.entities, repaired.entityTypes, report, 'entities',
+            id => new EntityType(id, IntegrityValidator._typeName(id), 'bi-question-circle', '#b2bec3').toJSON()
+        );
+        IntegrityValidator._addPlaceholderTypes(
+            repaired.relationships, repaired.relationshipTypes, report, 'relationships',
+            id => new RelationshipType(id, IntegrityValidator._typeName(id), '#999999', 1.5, '4,4').toJSON()
+        );
+
+        return { problems, repaired };
+    }
+
+    /**
+     * Summarize problems by kind, e.g. for a status message
+     * @param {Array} problems - Problems from analyze()
+     * @returns {Object} - Kind -> count
+     */
+    static countByKind(problems) {
+        const counts = {};
+        problems.forEach(problem => {
+            counts[problem.kind] = (counts[problem.kind] || 0) + 1;
+        });
+        return counts;
+    }
+
+    static _addPlaceholderTypes(items, types, report, itemLabel, createType) {
+        const knownTypes = new Set(types.map(type => type.id));
+        const unknownCounts = new Map();
+
+        items.forEach(item => {
+            if (!item.type) {
+                item.type = 'default';
+            }
+            if (!knownTypes.has(item.type)) {
+                unknownCounts.set(item.type, (unknownCounts.get(item.type) || 0) + 1);
+            }
+        });
+
+        unknownCounts.forEach((count, typeId) => {
+            types.push(createType(typeId));
+            const isEntity = itemLabel === 'entities';
+            const noun = count === 1 ? (isEntity ? 'entity uses' : 'relationship uses') : `${itemLabel} use`;
+            report(
+                isEntity ? 'unknown-entity-type' : 'unknown-relationship-type',
+                `${count} ${noun} the undefined type "${typeId}"`,
+                'Created a placeholder type'
+            );
+        });
+    }
+
+    static _uniqueId(baseId, usedIds) {
+        let counter = 2;
+        while (usedIds.has(`${baseId}-${counter}`)) {
+            counter++;
+        }
+
+        const id = `${baseId}-${counter}`;
+        usedIds.add(id);
+        return id;
+    }
+
+    static _typeName(typeId) {
+        const name = String(typeId).replace(/[-_]+/g, ' ').trim();
+        return name ? name.charAt(0).toUpperCase() + name.slice(1) : 'Unknown';
+    }
+}
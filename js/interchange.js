@@ -0,0 +1,233 @@
+/**
+ * Graph interchange helpers for LinkChart JS
+ *
+ * Shared by the modules that read and write the file formats of other graph
+ * tools. Importers describe the file as plain nodes and edges and let
+ * buildChart() create the entities, relationships and their types; exporters
+ * use propertyColumns() to declare typed attributes up front.
+ */
+
+class GraphInterchange {
+    /**
+     * Build chart data from imported nodes and edges
+     * @param {Object} graph - { nodes, edges }. Nodes: { id, label, type, description, startDate,
+     *        endDate, x, y, pinned, properties }; edges: { id, source, target, label, type, strength,
+     *        startDate, endDate, properties }. Only id (and source/target) are required; type is
+     *        the raw type value (a type ID or name) and is matched to existing types or creates one.
+     * @param {ChartData} chartData - Chart to add to (a new chart by default)
+     * @returns {ChartData}
+     */
+    static buildChart(graph, chartData = new ChartData()) {
+        const entityTypeIds = GraphInterchange._resolveEntityTypes(chartData, graph.nodes.map(node => node.type));
+        const relationshipTypeIds = GraphInterchange._resolveRelationshipTypes(chartData, graph.edges.map(edge => edge.type));
+
+        chartData.beginBatch('Import graph');
+        try {
+            graph.nodes.forEach(node => {
+                const entity = new Entity(
+                    String(node.id),
+                    entityTypeIds.get(GraphInterchange._typeKey(node.type)),
+                    node.label !== undefined && node.label !== null && node.label !== '' ? String(node.label) : String(node.id),
+                    node.description || '',
+                    node.properties || {}
+                );
+                if (Number.isFinite(node.x) && Number.isFinite(node.y)) {
+                    entity.x = node.x;
+                    entity.y = node.y;
+                }
+                entity.pinned = !!node.pinned;
+                entity.startDate = GraphInterchange.normalizeDate(node.startDate);
+                entity.endDate = GraphInterchange.normalizeDate(node.endDate);
+                chartData.addEntity(entity);
+            });
+
+            graph.edges.forEach(edge => {
+                const relationship = new Relationship(
+                    edge.id !== undefined && edge.id !== null && edge.id !== '' ? String(edge.id) : null,
+                    String(edge.source),
+                    String(edge.target),
+                    relationshipTypeIds.get(GraphInterchange._typeKey(edge.type)),
+                    edge.label ? String(edge.label) : '',
+                    edge.properties || {}
+                );
+                if (Number.isFinite(edge.strength) && edge.strength > 0) {
+                    relationship.strength = edge.strength;
+                }
+                relationship.startDate = GraphInterchange.normalizeDate(edge.startDate);
+                relationship.endDate = GraphInterchange.normalizeDate(edge.endDate);
+                chartData.addRelationship(relationship);
+            });
+        } finally {
+            chartData.commitBatch();
+        }
+
+        return chartData;
+    }
+
+    /**
+     * Describe the properties used by entities or relationships, with a data
+     * type that fits all of their values
+     * @param {Array} items - Entities or relationships
+     * @returns {Array} - [{ name, dataType: 'boolean' | 'integer' | 'number' | 'string' }]
+     */
+    static propertyColumns(items) {
+        const columns = new Map();
+
+        items.forEach(item => {
+            Object.entries(item.properties || {}).forEach(([name, value]) => {
+                if (!columns.has(name)) {
+                    columns.set(name, null);
+                }
+                if (value === undefined || value === null || value === '') return;
+
+                const valueType = typeof value === 'boolean' ? 'boolean'
+                    : typeof value === 'number' && Number.isFinite(value) ? (Number.isInteger(value) ? 'integer' : 'number')
+                    : 'string';
+                columns.set(name, GraphInterchange._widenType(columns.get(name), valueType));
+            });
+        });
+
+        return Array.from(columns, ([name, dataType]) => ({ name, dataType: dataType || 'string' }));
+    }
+
+    /**
+     * Name to export a property under, prefixed when it is named like a field
+     * @param {string} name - Property name
+     * @param {Array} reserved - Field names of the format (lower case)
+     * @returns {string}
+     */
+    static prefixProperty(name, reserved) {
+        return reserved.includes(name.toLowerCase()) ? GraphInterchange.PROPERTY_PREFIX + name : name;
+    }
+
+    /**
+     * Property name of an exported attribute or column ("property:name" -> "name")
+     * @param {string} name - Attribute or column name
+     * @returns {string}
+     */
+    static unprefixProperty(name) {
+        return name.startsWith(GraphInterchange.PROPERTY_PREFIX)
+            ? name.slice(GraphInterchange.PROPERTY_PREFIX.length)
+            : name;
+    }
+
+    /**
+     * Convert a property value to a string for text based formats
+     */
+    static formatValue(value) {
+        if (value === undefined || value === null) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    /**
+     * Convert an imported date to ISO 8601, or null if it is not a date
+     */
+    static normalizeDate(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const { value: date, error } = new PropertyDefinition('date', 'date').coerce(value);
+        return error ? null : date;
+    }
+
+    static escapeXML(value) {
+        return GraphInterchange.formatValue(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Parse an XML document, throwing a ChartFormatError if it is not well-formed
+     * @param {string} text - XML text
+     * @param {string} formatName - Format name for error messages
+     * @returns {Document}
+     */
+    static parseXML(text, formatName) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            throw new ChartFormatError(`The file is not a valid ${formatName} document.`, [parserError.textContent.trim()]);
+        }
+        return doc;
+    }
+
+    static _widenType(current, next) {
+        if (!current || current === next) return next;
+        if ((current === 'integer' && next === 'number') || (current === 'number' && next === 'integer')) {
+            return 'number';
+        }
+        return 'string';
+    }
+
+    static _typeKey(value) {
+        return value === undefined || value === null ? '' : String(value).trim().toLowerCase();
+    }
+
+    static _typeMatches(type, key) {
+        return type.id.toLowerCase() === key || type.id === GraphInterchange._typeId(key) || type.name.toLowerCase() === key;
+    }
+
+    static _typeId(value) {
+        return String(value).trim().toLowerCase().replace(/[^a-z0-9]/g, '-');
+    }
+
+    /**
+     * Map type values to entity type IDs, creating types for unknown values
+     * @returns {Map} - Type key -> entity type ID
+     */
+    static _resolveEntityTypes(chartData, values) {
+        const ids = new Map();
+        const unknown = [];
+
+        new Set(values.map(value => GraphInterchange._typeKey(value))).forEach(key => {
+            const match = key && chartData.entityTypes.find(type => GraphInterchange._typeMatches(type, key));
+            if (match) {
+                ids.set(key, match.id);
+            } else if (key) {
+                unknown.push(values.find(value => GraphInterchange._typeKey(value) === key));
+            }
+        });
+
+        // Unknown values become new types, with the colors and icons of CSV imports
+        chartData.createEntityTypesFromColumn(unknown.map(value => ({ type: String(value) })), 'type');
+        unknown.forEach(value => {
+            ids.set(GraphInterchange._typeKey(value), GraphInterchange._typeId(value));
+        });
+
+        if (values.some(value => !GraphInterchange._typeKey(value))) {
+            chartData.ensureEntityTypes();
+            ids.set('', chartData.entityTypes[0].id);
+        }
+
+        return ids;
+    }
+
+    static _resolveRelationshipTypes(chartData, values) {
+        const ids = new Map([['', 'default']]);
+        const colors = ['#e17055', '#6c5ce7', '#00b894', '#e84393', '#0984e3', '#d63031', '#fdcb6e', '#636e72'];
+        let colorIndex = 0;
+
+        new Set(values.map(value => GraphInterchange._typeKey(value))).forEach(key => {
+            if (!key) return;
+
+            let match = chartData.relationshipTypes.find(type => GraphInterchange._typeMatches(type, key));
+            if (!match) {
+                const name = String(values.find(value => GraphInterchange._typeKey(value) === key)).trim();
+                match = chartData.addRelationshipType(new RelationshipType(
+                    GraphInterchange._typeId(name),
+                    name,
+                    colors[colorIndex++ % colors.length]
+                ));
+            }
+            ids.set(key, match.id);
+        });
+
+        return ids;
+    }
+}
+
+// Properties named like a built-in field are exported as "property:<name>"
+GraphInterchange.PROPERTY_PREFIX = 'property:';
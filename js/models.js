@@ -11,6 +11,9 @@ class Entity {
         this.properties = properties;
         this.x = 0;
         this.y = 0;
+        this.pinned = false; // Pinned entities keep their position in the layout
+        this.startDate = null; // ISO 8601, null when open-ended
+        this.endDate = null;
     }
 
     _generateId() {
@@ -34,10 +37,25 @@ class Entity {
         this.y = y;
     }
 
-    setPropertiesFromCsv(rowData, columnMapping) {
+    /**
+     * Check whether this entity existed at some point in a time window.
+     * Missing start or end dates are treated as open-ended.
+     * @param {number} from - Window start (ms since epoch)
+     * @param {number} to - Window end (ms since epoch)
+     * @returns {boolean}
+     */
+    isActiveDuring(from, to) {
+        const start = this.startDate ? Date.parse(this.startDate) : -Infinity;
+        const end = this.endDate ? Date.parse(this.endDate) : Infinity;
+        return start <= to && end >= from;
+    }
+
+    setPropertiesFromCsv(rowData, columnMapping, skipEmptyValues = false, propertyNames = {}) {
         for (const [column, value] of Object.entries(rowData)) {
+            if (skipEmptyValues && (value === null || value === undefined || value === '')) continue;
             if (columnMapping.includes(column)) {
-                this.addProperty(column, value);
+                // Columns can name a different property (e.g. prefixed columns of exported files)
+                this.addProperty(propertyNames[column] || column, value);
             }
         }
     }
@@ -50,7 +68,10 @@ class Entity {
             description: this.description,
             properties: this.properties,
             x: this.x,
-            y: this.y
+            y: this.y,
+            pinned: this.pinned,
+            startDate: this.startDate,
+            endDate: this.endDate
         };
     }
 }
@@ -64,6 +85,8 @@ class Relationship {
         this.label = label;
         this.properties = properties;
         this.strength = 1; // Default relationship strength
+        this.startDate = null; // ISO 8601, null when open-ended
+        this.endDate = null;
     }
 
     _generateId() {
@@ -78,12 +101,39 @@ class Relationship {
         delete this.properties[key];
     }
     
+    /**
+     * Copy this relationship, keeping its ID, with different endpoints
+     * @param {string} sourceId - New source entity ID
+     * @param {string} targetId - New target entity ID
+     * @returns {Relationship} - The copy
+     */
+    withEndpoints(sourceId, targetId) {
+        const copy = new Relationship(this.id, sourceId, targetId, this.type, this.label, { ...this.properties });
+        copy.strength = this.strength;
+        copy.startDate = this.startDate;
+        copy.endDate = this.endDate;
+        return copy;
+    }
+
     // Set the relationship strength (for visualization)
     setStrength(value) {
         this.strength = value;
         return this;
     }
 
+    /**
+     * Check whether this relationship existed at some point in a time window.
+     * Missing start or end dates are treated as open-ended.
+     * @param {number} from - Window start (ms since epoch)
+     * @param {number} to - Window end (ms since epoch)
+     * @returns {boolean}
+     */
+    isActiveDuring(from, to) {
+        const start = this.startDate ? Date.parse(this.startDate) : -Infinity;
+        const end = this.endDate ? Date.parse(this.endDate) : Infinity;
+        return start <= to && end >= from;
+    }
+
     toJSON() {
         return {
             id: this.id,
@@ -92,73 +142,770 @@ class Relationship {
             type: this.type,
             label: this.label,
             properties: this.properties,
-            strength: this.strength
+            strength: this.strength,
+            startDate: this.startDate,
+            endDate: this.endDate
         };
     }
 }
 
+/**
+ * Typed property declaration on an EntityType
+ */
+class PropertyDefinition {
+    constructor(name, dataType = 'string', required = false, defaultValue = null, allowedValues = []) {
+        this.name = name;
+        this.dataType = PropertyDefinition.DATA_TYPES.includes(dataType) ? dataType : 'string';
+        this.required = required;
+        this.defaultValue = defaultValue;
+        this.allowedValues = allowedValues;
+    }
+
+    /**
+     * Convert a raw value (e.g. a CSV cell) to this property's data type
+     * @param {*} value - Raw value
+     * @returns {Object} - { value, error } where error is null when valid
+     */
+    coerce(value) {
+        if (value === undefined || value === null || value === '') {
+            if (this.defaultValue !== null && this.defaultValue !== undefined && this.defaultValue !== '') {
+                return this.coerce(this.defaultValue);
+            }
+            return {
+                value: null,
+                error: this.required ? `${this.name} is required` : null
+            };
+        }
+        
+        switch (this.dataType) {
+            case 'number': {
+                const number = typeof value === 'number' ? value : Number(String(value).trim());
+                if (Number.isNaN(number)) {
+                    return { value, error: `${this.name} must be a number` };
+                }
+                return { value: number, error: null };
+            }
+            case 'date': {
+                const text = String(value).trim();
+                // Keep plain dates as they are, normalize everything else to ISO 8601
+                if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+                    return { value: text, error: null };
+                }
+                // Numbers come from typed CSV cells: read a year as text, never epoch milliseconds
+                if (typeof value === 'number' && !/^\d{4}$/.test(text)) {
+                    return { value, error: `${this.name} must be a date` };
+                }
+                const date = value instanceof Date ? value : new Date(text);
+                if (Number.isNaN(date.getTime())) {
+                    return { value, error: `${this.name} must be a date` };
+                }
+                return { value: date.toISOString(), error: null };
+            }
+            case 'boolean': {
+                if (typeof value === 'boolean') {
+                    return { value, error: null };
+                }
+                const text = String(value).trim().toLowerCase();
+                if (['true', 'yes', 'y', '1'].includes(text)) return { value: true, error: null };
+                if (['false', 'no', 'n', '0'].includes(text)) return { value: false, error: null };
+                return { value, error: `${this.name} must be true or false` };
+            }
+            case 'url': {
+                const text = String(value).trim();
+                try {
+                    new URL(text);
+                    return { value: text, error: null };
+                } catch (error) {
+                    return { value, error: `${this.name} must be a valid URL` };
+                }
+            }
+            case 'enum': {
+                const text = String(value).trim();
+                const match = this.allowedValues.find(allowed => String(allowed).toLowerCase() === text.toLowerCase());
+                if (match === undefined) {
+                    return { value, error: `${this.name} must be one of: ${this.allowedValues.join(', ')}` };
+                }
+                return { value: match, error: null };
+            }
+            default:
+                return { value: String(value), error: null };
+        }
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            dataType: this.dataType,
+            required: this.required,
+            defaultValue: this.defaultValue,
+            allowedValues: this.allowedValues
+        };
+    }
+
+    static fromJSON(data) {
+        return new PropertyDefinition(
+            data.name,
+            data.dataType,
+            !!data.required,
+            data.defaultValue !== undefined ? data.defaultValue : null,
+            data.allowedValues || []
+        );
+    }
+}
+
+PropertyDefinition.DATA_TYPES = ['string', 'number', 'date', 'boolean', 'url', 'enum'];
+
 class EntityType {
-    constructor(id, name, icon, color) {
+    constructor(id, name, icon, color, propertyDefinitions = []) {
         this.id = id || this._generateId();
         this.name = name;
         this.icon = icon || 'bi-box';
         this.color = color || '#a29bfe';
+        this.propertyDefinitions = propertyDefinitions;
     }
 
     _generateId() {
         return 'type_' + Math.random().toString(36).substring(2, 9);
     }
 
+    getPropertyDefinition(name) {
+        return this.propertyDefinitions.find(def => def.name.toLowerCase() === String(name).toLowerCase());
+    }
+
+    /**
+     * Coerce and validate an entity's properties against this type's schema.
+     * Properties without a definition are passed through unchanged.
+     * @param {Object} properties - Property bag to check
+     * @returns {Object} - { properties: coerced copy, errors: [{ property, message }] }
+     */
+    validateProperties(properties) {
+        const result = { ...properties };
+        const errors = [];
+        
+        this.propertyDefinitions.forEach(def => {
+            // Match keys case-insensitively, but store under the declared name
+            const key = Object.keys(result).find(k => k.toLowerCase() === def.name.toLowerCase());
+            const raw = key !== undefined ? result[key] : undefined;
+            if (key !== undefined && key !== def.name) {
+                delete result[key];
+            }
+            
+            const { value, error } = def.coerce(raw);
+            if (error) {
+                errors.push({ property: def.name, message: error });
+            }
+            if (value !== null || key !== undefined) {
+                result[def.name] = value;
+            }
+        });
+        
+        return { properties: result, errors };
+    }
+
     toJSON() {
         return {
             id: this.id,
             name: this.name,
             icon: this.icon,
-            color: this.color
+            color: this.color,
+            propertyDefinitions: this.propertyDefinitions.map(def => def.toJSON())
         };
     }
 }
 
-class ChartData {
+/**
+ * Relationship type with its link styling
+ */
+class RelationshipType {
+    constructor(id, name, color = '#999999', width = 1.5, dash = '', arrow = 'triangle', directed = true) {
+        this.id = id || this._generateId();
+        this.name = name;
+        this.color = color;
+        this.width = width;
+        this.dash = dash; // SVG stroke-dasharray, e.g. '6,4'; empty for solid lines
+        this.arrow = RelationshipType.ARROW_STYLES.includes(arrow) ? arrow : 'triangle';
+        this.directed = directed;
+    }
+
+    _generateId() {
+        return 'reltype_' + Math.random().toString(36).substring(2, 9);
+    }
+
+    /**
+     * Whether links of this type are drawn with an arrowhead
+     */
+    hasArrow() {
+        return this.directed && this.arrow !== 'none';
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            color: this.color,
+            width: this.width,
+            dash: this.dash,
+            arrow: this.arrow,
+            directed: this.directed
+        };
+    }
+
+    static fromJSON(data) {
+        return new RelationshipType(
+            data.id,
+            data.name,
+            data.color,
+            data.width,
+            data.dash || '',
+            data.arrow,
+            data.directed !== false
+        );
+    }
+
+    /**
+     * Built-in types every chart starts with
+     * @returns {Array} - New RelationshipType instances
+     */
+    static createDefaults() {
+        return [
+            new RelationshipType('default', 'Default', '#999999', 1.5),
+            new RelationshipType('hierarchical', 'Hierarchical', '#ff9900', 2),
+            new RelationshipType('related', 'Related', '#00aaff', 1.5)
+        ];
+    }
+}
+
+RelationshipType.ARROW_STYLES = ['triangle', 'open', 'circle', 'none'];
+
+/**
+ * Chart data container. Entities and relationships are kept in public arrays
+ * (insertion order) and mirrored in id-keyed maps plus per-entity adjacency
+ * indexes, so lookups and neighbor queries stay fast on large charts.
+ * Code that assigns the arrays directly must call reindex() afterwards.
+ *
+ * Emits typed events for every mutation:
+ * entity:added, entity:updated, entity:removed, relationship:added,
+ * relationship:updated, relationship:removed, type:changed, relationshipType:changed,
+ * data:loaded, batch:started and batch:committed. A coalesced 'changed' event follows each mutation,
+ * or fires once per batch.
+ */
+class ChartData extends EventEmitter {
     constructor() {
+        super();
         this.entities = [];
         this.relationships = [];
         this.entityTypes = [];
+        this.relationshipTypes = RelationshipType.createDefaults();
+        this.lastLayoutType = null; // Last layout applied ('hierarchical', 'force', 'circular' or 'analysis')
+        this.viewTransform = null; // Zoom/pan of the chart view ({ x, y, k }), null if never shown
+        this.extraFields = {}; // Unrecognized top-level fields, written back unchanged
+        this._entityIndex = new Map();
+        this._relationshipIndex = new Map();
+        this._outgoing = new Map(); // entity ID -> Set of relationships
+        this._incoming = new Map(); // entity ID -> Set of relationships
+        this._batchDepth = 0;
+        this._batchLabel = '';
+        this._batchEvents = [];
+    }
+
+    /**
+     * Emit a mutation event followed by 'changed' (deferred while batching)
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     */
+    _emitChange(event, payload) {
+        this.emit(event, payload);
+        
+        if (this._batchDepth > 0) {
+            this._batchEvents.push(event);
+        } else {
+            this.emit('changed', { events: [event] });
+        }
+    }
+
+    /**
+     * Group the following changes so listeners see them as a single update
+     * @param {string} label - Description of the batch (e.g. "Import CSV")
+     */
+    beginBatch(label) {
+        this._batchDepth++;
+        if (this._batchDepth > 1) return;
+        
+        this._batchLabel = label;
+        this._batchEvents = [];
+        this.emit('batch:started', { label });
+    }
+
+    commitBatch() {
+        if (this._batchDepth === 0) return;
+        
+        this._batchDepth--;
+        if (this._batchDepth > 0) return;
+        
+        const label = this._batchLabel;
+        const events = this._batchEvents;
+        this._batchEvents = [];
+        
+        this.emit('batch:committed', { label, events });
+        if (events.length > 0) {
+            this.emit('changed', { events });
+        }
+    }
+
+    /**
+     * Rebuild all lookup indexes from the entity and relationship arrays
+     */
+    reindex() {
+        this._entityIndex = new Map();
+        this._relationshipIndex = new Map();
+        this._outgoing = new Map();
+        this._incoming = new Map();
+        
+        this.entities.forEach(entity => this._entityIndex.set(entity.id, entity));
+        this.relationships.forEach(rel => this._indexRelationship(rel));
+    }
+
+    _indexRelationship(relationship) {
+        this._relationshipIndex.set(relationship.id, relationship);
+        
+        if (!this._outgoing.has(relationship.sourceId)) {
+            this._outgoing.set(relationship.sourceId, new Set());
+        }
+        this._outgoing.get(relationship.sourceId).add(relationship);
+        
+        if (!this._incoming.has(relationship.targetId)) {
+            this._incoming.set(relationship.targetId, new Set());
+        }
+        this._incoming.get(relationship.targetId).add(relationship);
+    }
+
+    _unindexRelationship(relationship) {
+        this._relationshipIndex.delete(relationship.id);
+        this._outgoing.get(relationship.sourceId)?.delete(relationship);
+        this._incoming.get(relationship.targetId)?.delete(relationship);
     }
 
     addEntity(entity) {
         this.entities.push(entity);
+        this._entityIndex.set(entity.id, entity);
+        this._emitChange('entity:added', { entity });
         return entity;
     }
 
     addRelationship(relationship) {
         this.relationships.push(relationship);
+        this._indexRelationship(relationship);
+        this._emitChange('relationship:added', { relationship });
         return relationship;
     }
 
     getEntityById(id) {
-        return this.entities.find(entity => entity.id === id);
+        return this._entityIndex.get(id);
     }
 
     getRelationshipById(id) {
-        return this.relationships.find(rel => rel.id === id);
+        return this._relationshipIndex.get(id);
+    }
+
+    /**
+     * Get relationships whose source is the given entity
+     * @param {string} entityId - Entity ID
+     * @returns {Array} - Outgoing relationships
+     */
+    getOutgoingRelationships(entityId) {
+        return Array.from(this._outgoing.get(entityId) || []);
+    }
+
+    /**
+     * Get relationships whose target is the given entity
+     * @param {string} entityId - Entity ID
+     * @returns {Array} - Incoming relationships
+     */
+    getIncomingRelationships(entityId) {
+        return Array.from(this._incoming.get(entityId) || []);
+    }
+
+    /**
+     * Get all relationships connected to an entity (self-loops appear once)
+     * @param {string} entityId - Entity ID
+     * @returns {Array} - Connected relationships
+     */
+    getRelationshipsForEntity(entityId) {
+        const connected = new Set(this._outgoing.get(entityId) || []);
+        (this._incoming.get(entityId) || []).forEach(rel => connected.add(rel));
+        return Array.from(connected);
+    }
+
+    /**
+     * Get the IDs of all entities directly connected to an entity
+     * @param {string} entityId - Entity ID
+     * @returns {Array} - Neighbor entity IDs
+     */
+    getNeighborIds(entityId) {
+        const neighbors = new Set();
+        (this._outgoing.get(entityId) || []).forEach(rel => neighbors.add(rel.targetId));
+        (this._incoming.get(entityId) || []).forEach(rel => neighbors.add(rel.sourceId));
+        neighbors.delete(entityId);
+        return Array.from(neighbors);
+    }
+
+    /**
+     * Update fields of an existing entity
+     * @param {string} id - Entity ID
+     * @param {Object} changes - Fields to assign (name, type, description, properties, startDate, endDate)
+     * @returns {Entity|undefined} - The updated entity
+     */
+    updateEntity(id, changes) {
+        const entity = this.getEntityById(id);
+        if (!entity) return undefined;
+        
+        const before = {};
+        Object.keys(changes).forEach(key => {
+            before[key] = entity[key];
+        });
+        
+        Object.assign(entity, changes);
+        this._emitChange('entity:updated', { entity, before, after: { ...changes } });
+        return entity;
+    }
+
+    /**
+     * Update fields of an existing relationship
+     * @param {string} id - Relationship ID
+     * @param {Object} changes - Fields to assign (type, label, properties, strength, startDate, endDate)
+     * @returns {Relationship|undefined} - The updated relationship
+     */
+    updateRelationship(id, changes) {
+        const relationship = this.getRelationshipById(id);
+        if (!relationship) return undefined;
+        
+        const before = {};
+        Object.keys(changes).forEach(key => {
+            before[key] = relationship[key];
+        });
+        
+        Object.assign(relationship, changes);
+        this._emitChange('relationship:updated', { relationship, before, after: { ...changes } });
+        return relationship;
     }
 
     removeEntityById(id) {
-        this.entities = this.entities.filter(entity => entity.id !== id);
+        const entity = this.getEntityById(id);
+        if (!entity) return;
+        
+        this.entities.splice(this.entities.indexOf(entity), 1);
+        this._entityIndex.delete(id);
+        
         // Also remove any relationships connected to this entity
-        this.relationships = this.relationships.filter(
-            rel => rel.sourceId !== id && rel.targetId !== id
-        );
+        const removedRelationships = this.getRelationshipsForEntity(id);
+        if (removedRelationships.length > 0) {
+            const removedSet = new Set(removedRelationships);
+            this.relationships = this.relationships.filter(rel => !removedSet.has(rel));
+            removedRelationships.forEach(rel => this._unindexRelationship(rel));
+        }
+        
+        this._emitChange('entity:removed', { entity, relationships: removedRelationships });
     }
 
     removeRelationshipById(id) {
-        this.relationships = this.relationships.filter(rel => rel.id !== id);
+        const relationship = this.getRelationshipById(id);
+        if (!relationship) return;
+        
+        this.relationships.splice(this.relationships.indexOf(relationship), 1);
+        this._unindexRelationship(relationship);
+        this._emitChange('relationship:removed', { relationship });
+    }
+    
+    /**
+     * Find the property keys on which a set of entities disagree
+     * @param {Array} entityIds - Entities to compare
+     * @returns {Array} - Conflicts ({ key, values: [{ entityId, value }] })
+     */
+    getPropertyConflicts(entityIds) {
+        const entities = entityIds.map(id => this.getEntityById(id)).filter(Boolean);
+        const keys = new Set();
+        entities.forEach(entity => Object.keys(entity.properties).forEach(key => keys.add(key)));
+        
+        const conflicts = [];
+        keys.forEach(key => {
+            const values = entities
+                .filter(entity => !this._isEmptyValue(entity.properties[key]))
+                .map(entity => ({ entityId: entity.id, value: entity.properties[key] }));
+            
+            if (new Set(values.map(v => String(v.value))).size > 1) {
+                conflicts.push({ key, values });
+            }
+        });
+        
+        return conflicts;
+    }
+
+    /**
+     * Merge duplicate entities into a surviving entity. Properties are combined
+     * (the survivor wins unless a choice is given for the key), relationships of
+     * the absorbed entities are repointed to the survivor, and the self-loops and
+     * duplicate edges this would create are dropped (existing self-loops are kept). Recorded as a single batch.
+     * @param {string} survivorId - Entity to keep
+     * @param {Array} absorbedIds - Entities to merge into the survivor
+     * @param {Object} propertyChoices - Property key -> ID of the entity whose value to keep
+     * @returns {Object|null} - Summary ({ survivor, absorbedCount, repointedCount, duplicatesRemoved, selfLoopsRemoved })
+     */
+    mergeEntities(survivorId, absorbedIds, propertyChoices = {}) {
+        const survivor = this.getEntityById(survivorId);
+        const absorbed = absorbedIds
+            .filter(id => id !== survivorId)
+            .map(id => this.getEntityById(id))
+            .filter(Boolean);
+        
+        if (!survivor || absorbed.length === 0) return null;
+        
+        const all = [survivor, ...absorbed];
+        const absorbedSet = new Set(absorbed.map(entity => entity.id));
+        
+        // Combine properties: chosen value, else the survivor's, else the first absorbed one
+        const properties = {};
+        const keys = new Set();
+        all.forEach(entity => Object.keys(entity.properties).forEach(key => keys.add(key)));
+        keys.forEach(key => {
+            const chosen = this.getEntityById(propertyChoices[key]);
+            const source = (chosen && all.includes(chosen) && !this._isEmptyValue(chosen.properties[key]))
+                ? chosen
+                : all.find(entity => !this._isEmptyValue(entity.properties[key]));
+            properties[key] = source ? source.properties[key] : survivor.properties[key];
+        });
+        
+        // Fill gaps in the survivor's own fields from the absorbed entities
+        const fill = field => {
+            if (!this._isEmptyValue(survivor[field])) return survivor[field];
+            const donor = absorbed.find(entity => !this._isEmptyValue(entity[field]));
+            return donor ? donor[field] : survivor[field];
+        };
+        
+        // Edges the survivor already has, to detect duplicates
+        const affected = new Set();
+        absorbed.forEach(entity => this.getRelationshipsForEntity(entity.id).forEach(rel => affected.add(rel)));
+        const edgeKeys = new Set(
+            this.getRelationshipsForEntity(survivor.id)
+                .filter(rel => !affected.has(rel))
+                .map(rel => this._edgeKey(rel))
+        );
+        
+        const summary = {
+            survivor,
+            absorbedCount: absorbed.length,
+            repointedCount: 0,
+            duplicatesRemoved: 0,
+            selfLoopsRemoved: 0
+        };
+        const resolve = id => absorbedSet.has(id) ? survivor.id : id;
+        
+        this.beginBatch(`Merge ${all.length} entities into "${survivor.name}"`);
+        try {
+            this.updateEntity(survivor.id, {
+                properties,
+                description: fill('description'),
+                startDate: fill('startDate'),
+                endDate: fill('endDate')
+            });
+            
+            affected.forEach(rel => {
+                this.removeRelationshipById(rel.id);
+                
+                const sourceId = resolve(rel.sourceId);
+                const targetId = resolve(rel.targetId);
+                
+                // Only loops created by the merge are dropped; existing ones are repointed
+                if (sourceId === targetId && rel.sourceId !== rel.targetId) {
+                    summary.selfLoopsRemoved++;
+                    return;
+                }
+                
+                const key = this._edgeKey(rel, sourceId, targetId);
+                if (edgeKeys.has(key)) {
+                    summary.duplicatesRemoved++;
+                    return;
+                }
+                
+                edgeKeys.add(key);
+                this.addRelationship(rel.withEndpoints(sourceId, targetId));
+                summary.repointedCount++;
+            });
+            
+            absorbed.forEach(entity => this.removeEntityById(entity.id));
+        } finally {
+            this.commitBatch();
+        }
+        
+        return summary;
+    }
+
+    /**
+     * Add the entities, relationships and types of another chart to this one.
+     * Incoming entities can be matched to entities already in the chart; a
+     * matched entity fills the gaps in the existing one instead of being added.
+     * Unmatched entities and relationships whose ID is taken get a new ID.
+     * Types are matched by ID, then by name. Recorded as a single batch.
+     * @param {ChartData} incoming - Chart to merge in (its objects are taken over)
+     * @param {Object} options - matchBy: 'id' (default), 'name' (same name and type),
+     *                           'property' (same value of matchProperty) or 'none';
+     *                           matchProperty: property key for 'property'
+     * @returns {Object} - Summary ({ entities: { added, matched, rekeyed },
+     *                     relationships: { added, skipped, rekeyed }, entityTypes: { added, matched },
+     *                     relationshipTypes: { added, matched }, skipped: [{ id, reason }] })
+     */
+    mergeChart(incoming, options = {}) {
+        const { matchBy = 'id', matchProperty = null } = options;
+        const summary = {
+            entities: { added: 0, matched: 0, rekeyed: 0 },
+            relationships: { added: 0, skipped: 0, rekeyed: 0 },
+            entityTypes: { added: 0, matched: 0 },
+            relationshipTypes: { added: 0, matched: 0 },
+            skipped: []
+        };
+
+        // Types: same ID, else same name, else added
+        const mergeTypes = (types, existing, add, counts) => {
+            const ids = new Map();
+            types.forEach(type => {
+                const match = existing().find(t => t.id === type.id) ||
+                    existing().find(t => t.name.toLowerCase() === type.name.toLowerCase());
+                if (match) {
+                    counts.matched++;
+                    ids.set(type.id, match.id);
+                } else {
+                    add(type);
+                    counts.added++;
+                    ids.set(type.id, type.id);
+                }
+            });
+            return ids;
+        };
+
+        // Keys incoming entities are matched on
+        const matchKey = entity => {
+            if (matchBy === 'name') {
+                return `${entity.type}\u0000${String(entity.name).trim().toLowerCase()}`;
+            }
+            if (matchBy === 'property' && matchProperty && !this._isEmptyValue(entity.properties[matchProperty])) {
+                return String(entity.properties[matchProperty]).trim().toLowerCase();
+            }
+            return null;
+        };
+        const matchIndex = new Map();
+        const indexEntity = entity => {
+            const key = matchKey(entity);
+            if (key !== null && !matchIndex.has(key)) matchIndex.set(key, entity);
+        };
+
+        const edgeKeys = new Set(this.relationships.map(rel => this._edgeKey(rel)));
+        const entityIds = new Map();
+
+        this.beginBatch('Merge chart');
+        try {
+            const entityTypeIds = mergeTypes(incoming.entityTypes, () => this.entityTypes,
+                type => this.addEntityType(type), summary.entityTypes);
+            const relationshipTypeIds = mergeTypes(incoming.relationshipTypes, () => this.relationshipTypes,
+                type => this.addRelationshipType(type), summary.relationshipTypes);
+
+            this.entities.forEach(indexEntity);
+
+            incoming.entities.forEach(entity => {
+                entity.type = entityTypeIds.get(entity.type) || entity.type;
+                const match = matchBy === 'id' ? this.getEntityById(entity.id) : matchIndex.get(matchKey(entity));
+
+                if (match) {
+                    // The existing entity wins; the incoming one only fills its gaps
+                    const properties = { ...match.properties };
+                    Object.entries(entity.properties).forEach(([key, value]) => {
+                        if (this._isEmptyValue(properties[key])) properties[key] = value;
+                    });
+                    const changes = { properties };
+                    ['description', 'startDate', 'endDate'].forEach(field => {
+                        if (this._isEmptyValue(match[field]) && !this._isEmptyValue(entity[field])) {
+                            changes[field] = entity[field];
+                        }
+                    });
+                    this.updateEntity(match.id, changes);
+
+                    entityIds.set(entity.id, match.id);
+                    summary.entities.matched++;
+                    return;
+                }
+
+                const originalId = entity.id;
+                if (this.getEntityById(entity.id)) {
+                    entity.id = entity._generateId();
+                    summary.entities.rekeyed++;
+                }
+                this.addEntity(entity);
+                indexEntity(entity);
+                entityIds.set(originalId, entity.id);
+                summary.entities.added++;
+            });
+
+            incoming.relationships.forEach(rel => {
+                const sourceId = entityIds.get(rel.sourceId);
+                const targetId = entityIds.get(rel.targetId);
+                const type = relationshipTypeIds.get(rel.type) || rel.type;
+                const skip = reason => {
+                    summary.relationships.skipped++;
+                    summary.skipped.push({ id: rel.id, reason });
+                };
+
+                if (!sourceId || !targetId) {
+                    skip('an entity it connects is missing');
+                    return;
+                }
+                if (sourceId === targetId && rel.sourceId !== rel.targetId) {
+                    skip('its entities were matched to the same entity');
+                    return;
+                }
+                const key = this._edgeKey(rel, sourceId, targetId, type);
+                if (edgeKeys.has(key)) {
+                    skip('the chart already has this relationship');
+                    return;
+                }
+
+                const relationship = rel.withEndpoints(sourceId, targetId);
+                relationship.type = type;
+                if (this.getRelationshipById(relationship.id)) {
+                    relationship.id = relationship._generateId();
+                    summary.relationships.rekeyed++;
+                }
+                edgeKeys.add(key);
+                this.addRelationship(relationship);
+                summary.relationships.added++;
+            });
+        } finally {
+            this.commitBatch();
+        }
+
+        return summary;
+    }
+
+    _isEmptyValue(value) {
+        return value === undefined || value === null || value === '';
+    }
+
+    /**
+     * Key of a relationship for duplicate detection: relationships are
+     * duplicates when their ends, type, label and properties all match
+     * @param {Relationship} rel - Relationship
+     * @param {string} sourceId - Source to key on instead of rel.sourceId
+     * @param {string} targetId - Target to key on instead of rel.targetId
+     * @param {string} type - Type to key on instead of rel.type
+     * @returns {string}
+     */
+    _edgeKey(rel, sourceId = rel.sourceId, targetId = rel.targetId, type = rel.type) {
+        const properties = Object.keys(rel.properties || {}).sort()
+            .map(key => [key, rel.properties[key]]);
+        return JSON.stringify([sourceId, targetId, type, rel.label || '', properties]);
     }
     
     addEntityType(entityType) {
         // Check if type with same ID already exists
         const existingTypeIndex = this.entityTypes.findIndex(t => t.id === entityType.id);
+        const previous = existingTypeIndex >= 0 ? this.entityTypes[existingTypeIndex] : null;
         
         if (existingTypeIndex >= 0) {
             // Update existing type
@@ -168,6 +915,7 @@ class ChartData {
             this.entityTypes.push(entityType);
         }
 
+        this._emitChange('type:changed', { action: previous ? 'updated' : 'added', entityType, previous });
         return entityType;
     }
 
@@ -186,65 +934,245 @@ class ChartData {
     }
 
     removeEntityType(id) {
+        const entityType = this.getEntityTypeById(id);
+        if (!entityType) return;
+        
         this.entityTypes = this.entityTypes.filter(type => type.id !== id);
+        this._emitChange('type:changed', { action: 'removed', entityType, previous: entityType });
+    }
+
+    /**
+     * Add a relationship type, replacing any existing type with the same ID
+     * @param {RelationshipType} relationshipType - Type to add
+     * @returns {RelationshipType} - The added type
+     */
+    addRelationshipType(relationshipType) {
+        const existingTypeIndex = this.relationshipTypes.findIndex(t => t.id === relationshipType.id);
+        const previous = existingTypeIndex >= 0 ? this.relationshipTypes[existingTypeIndex] : null;
+        
+        if (existingTypeIndex >= 0) {
+            this.relationshipTypes[existingTypeIndex] = relationshipType;
+        } else {
+            this.relationshipTypes.push(relationshipType);
+        }
+        
+        this._emitChange('relationshipType:changed', {
+            action: previous ? 'updated' : 'added',
+            relationshipType,
+            previous
+        });
+        return relationshipType;
+    }
+
+    getRelationshipTypeById(id) {
+        return this.relationshipTypes.find(type => type.id === id);
+    }
+
+    removeRelationshipType(id) {
+        const relationshipType = this.getRelationshipTypeById(id);
+        if (!relationshipType) return;
+        
+        this.relationshipTypes = this.relationshipTypes.filter(type => type.id !== id);
+        this._emitChange('relationshipType:changed', { action: 'removed', relationshipType, previous: relationshipType });
+    }
+
+    /**
+     * Get the earliest and latest start/end dates in the chart
+     * @returns {Object|null} - { min, max } in ms since epoch, or null if nothing is dated
+     */
+    getTimeExtent() {
+        let min = Infinity;
+        let max = -Infinity;
+        
+        [...this.entities, ...this.relationships].forEach(item => {
+            [item.startDate, item.endDate].forEach(date => {
+                const time = date ? Date.parse(date) : NaN;
+                if (!Number.isNaN(time)) {
+                    min = Math.min(min, time);
+                    max = Math.max(max, time);
+                }
+            });
+        });
+        
+        return min <= max ? { min, max } : null;
+    }
+
+    /**
+     * Set start/end dates on an entity or relationship from CSV columns
+     * @param {Entity|Relationship} item - Item to update in place
+     * @param {Object} row - CSV row
+     * @param {string} startDateColumn - Column holding the start date
+     * @param {string} endDateColumn - Column holding the end date
+     * @returns {Array} - Validation errors ({ entityId, entityName, property, message })
+     */
+    applyCsvDates(item, row, startDateColumn, endDateColumn) {
+        const issues = [];
+        
+        [['startDate', startDateColumn], ['endDate', endDateColumn]].forEach(([field, column]) => {
+            if (!column) return;
+            
+            // Reuse the schema date parsing so CSV dates are normalized the same way
+            const { value, error } = new PropertyDefinition(column, 'date').coerce(row[column]);
+            if (error) {
+                issues.push({ entityId: item.id, entityName: item.name || item.label, property: column, message: error });
+            } else {
+                item[field] = value;
+            }
+        });
+        
+        return issues;
+    }
+
+    /**
+     * Set the position and pin of an entity from CSV columns
+     * @param {Entity} entity - Entity to update in place
+     * @param {Object} row - CSV row
+     * @param {string} xColumn - Column holding the x coordinate
+     * @param {string} yColumn - Column holding the y coordinate
+     * @param {string} pinnedColumn - Column holding true for pinned entities
+     */
+    applyCsvLayout(entity, row, xColumn, yColumn, pinnedColumn) {
+        const x = xColumn && !this._isEmptyValue(row[xColumn]) ? Number(row[xColumn]) : NaN;
+        const y = yColumn && !this._isEmptyValue(row[yColumn]) ? Number(row[yColumn]) : NaN;
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+            entity.x = x;
+            entity.y = y;
+        }
+        if (pinnedColumn) {
+            entity.pinned = String(row[pinnedColumn]).toLowerCase() === 'true';
+        }
+    }
+
+    /**
+     * Coerce an entity's properties to its type's schema, filling defaults
+     * @param {Entity} entity - Entity to update in place
+     * @returns {Array} - Validation errors ({ entityId, entityName, property, message })
+     */
+    applyPropertySchema(entity) {
+        const entityType = this.getEntityTypeById(entity.type);
+        if (!entityType || entityType.propertyDefinitions.length === 0) return [];
+        
+        const { properties, errors } = entityType.validateProperties(entity.properties);
+        entity.properties = properties;
+        
+        return errors.map(error => ({
+            entityId: entity.id,
+            entityName: entity.name,
+            ...error
+        }));
     }
 
     toJSON() {
         return {
+            ...this.extraFields,
+            formatVersion: ChartFormat.CURRENT_VERSION,
             entities: this.entities.map(e => e.toJSON()),
             relationships: this.relationships.map(r => r.toJSON()),
-            entityTypes: this.entityTypes.map(t => t.toJSON())
+            entityTypes: this.entityTypes.map(t => t.toJSON()),
+            relationshipTypes: this.relationshipTypes.map(t => t.toJSON()),
+            lastLayoutType: this.lastLayoutType,
+            viewTransform: this.viewTransform
         };
     }
 
+    /**
+     * Load chart JSON in the current format. Files from disk should go
+     * through ChartFormat.upgrade() first (DataManager does this).
+     * @param {Object} data - Chart JSON
+     */
     fromJSON(data) {
         this.entities = data.entities.map(e => {
             const entity = new Entity(e.id, e.type, e.name, e.description, e.properties);
             entity.x = e.x || 0;
             entity.y = e.y || 0;
+            entity.pinned = !!e.pinned;
+            entity.startDate = e.startDate || null;
+            entity.endDate = e.endDate || null;
             return entity;
         });
         
         this.relationships = data.relationships.map(r => {
             const relationship = new Relationship(r.id, r.sourceId, r.targetId, r.type, r.label, r.properties);
             if (r.strength) relationship.strength = r.strength;
+            relationship.startDate = r.startDate || null;
+            relationship.endDate = r.endDate || null;
             return relationship;
         });
         
         // Load entity types if present
         if (data.entityTypes) {
             this.entityTypes = data.entityTypes.map(t => 
-                new EntityType(t.id, t.name, t.icon, t.color)
+                new EntityType(t.id, t.name, t.icon, t.color,
+                    (t.propertyDefinitions || []).map(def => PropertyDefinition.fromJSON(def)))
             );
         }
+        
+        // Charts saved before relationship types existed use the built-in ones
+        this.relationshipTypes = data.relationshipTypes
+            ? data.relationshipTypes.map(t => RelationshipType.fromJSON(t))
+            : RelationshipType.createDefaults();
+        
+        this.lastLayoutType = data.lastLayoutType || null;
+        this.viewTransform = data.viewTransform || null;
+        
+        // Keep fields this version does not know about so saving does not drop them
+        this.extraFields = {};
+        Object.keys(data)
+            .filter(key => !ChartData.JSON_FIELDS.includes(key))
+            .forEach(key => {
+                this.extraFields[key] = data[key];
+            });
+        
+        this.reindex();
+        this._emitChange('data:loaded', {});
     }
 
     /**
      * Create entities from CSV data
      * @param {Array} csvData - Array of objects representing CSV rows
-     * @param {Object} options - Import options
+     * @param {Object} options - Import options (idColumn: entity IDs, kept unless taken;
+     *                           validationIssues collects schema and date errors;
+     *                           skipEmptyValues leaves out properties for empty cells;
+     *                           propertyNames maps columns to other property names;
+     *                           xColumn, yColumn, pinnedColumn: layout as written by the CSV export)
      * @returns {Array} - Created entities
      */
     importEntitiesFromCsv(csvData, options) {
         const {
             idColumn,
             nameColumn,
+            descriptionColumn,
             entityType,
-            includedColumns
+            includedColumns,
+            startDateColumn,
+            endDateColumn,
+            xColumn,
+            yColumn,
+            pinnedColumn,
+            skipEmptyValues = false,
+            propertyNames = {},
+            validationIssues = []
         } = options;
         
         const createdEntities = [];
         
         // Process each row of the CSV
         csvData.forEach(row => {
-            const id = idColumn ? row[idColumn] : null;
+            // Rows with an ID the chart already uses get a new one
+            const id = idColumn && !this.getEntityById(row[idColumn]) ? row[idColumn] : null;
             const name = row[nameColumn] || 'Unnamed Entity';
             
             // Create a new entity
             const entity = new Entity(id, entityType, name);
+            if (descriptionColumn && row[descriptionColumn] !== null && row[descriptionColumn] !== undefined) {
+                entity.description = String(row[descriptionColumn]);
+            }
             
-            // Add all included columns as properties
-            entity.setPropertiesFromCsv(row, includedColumns);
+            // Add all included columns as properties, typed by the entity type's schema
+            entity.setPropertiesFromCsv(row, includedColumns, skipEmptyValues, propertyNames);
+            validationIssues.push(...this.applyPropertySchema(entity));
+            validationIssues.push(...this.applyCsvDates(entity, row, startDateColumn, endDateColumn));
+            this.applyCsvLayout(entity, row, xColumn, yColumn, pinnedColumn);
             
             // Add entity to chart data
             this.addEntity(entity);
@@ -257,13 +1185,18 @@ class ChartData {
     /**
      * Create relationships from CSV data using specified columns
      * @param {Array} entities - Array of created entities
-     * @param {Object} options - Relationship options
+     * @param {Object} options - Relationship options; rows: the CSV rows of the entities, in
+     *                           order, read for startDateColumn / endDateColumn
      */
     createRelationshipsFromCsv(entities, options) {
         const {
             sourceColumn,
             targetColumn,
-            relationType
+            relationType,
+            rows = [],
+            startDateColumn,
+            endDateColumn,
+            validationIssues = []
         } = options;
         
         if (!sourceColumn || !targetColumn) return;
@@ -280,7 +1213,7 @@ class ChartData {
         });
         
         // Create relationships
-        entities.forEach(entity => {
+        entities.forEach((entity, index) => {
             const targetValue = entity.properties[targetColumn];
             
             if (targetValue && entityMap.has(targetValue)) {
@@ -297,12 +1230,255 @@ class ChartData {
                         relationType || 'connected to'
                     );
                     
+                    // Dates come from the row of the source entity
+                    if (rows[index]) {
+                        validationIssues.push(...this.applyCsvDates(relationship, rows[index], startDateColumn, endDateColumn));
+                    }
+                    
                     this.addRelationship(relationship);
                 }
             }
         });
     }
-    
+
+    /**
+     * Create relationships from a link table, where each CSV row is a
+     * relationship (a call, a transaction, an email). The entities at both
+     * ends are matched by name or ID, and created when the chart has none.
+     * @param {Array} csvData - Array of objects representing CSV rows
+     * @param {Object} options - sourceColumn / targetColumn: columns naming the ends;
+     *                           matchBy: 'name' (default) or 'id'; entityType: type of created entities;
+     *                           relationshipType: type name (created if new, default type if empty);
+     *                           labelColumn: column with the relationship label;
+     *                           includedColumns: columns to keep as relationship properties;
+     *                           weightColumn: column with the strength of each row;
+     *                           aggregate: combine rows with the same source, target and label into
+     *                           one relationship with a count (and the sum of weightColumn) as strength;
+     *                           skipEmptyValues, startDateColumn, endDateColumn, validationIssues,
+     *                           propertyNames as for entities
+     * @returns {Object} - { relationships, createdEntities, matchedEntityCount, skippedRows, unstoredAggregates };
+     *                     unstoredAggregates names the aggregate properties ("count", "weight") left out
+     *                     because a column has the same name
+     */
+    importRelationshipsFromCsv(csvData, options) {
+        const {
+            sourceColumn,
+            targetColumn,
+            matchBy = 'name',
+            entityType,
+            relationshipType = '',
+            labelColumn = '',
+            includedColumns = [],
+            startDateColumn,
+            endDateColumn,
+            aggregate = false,
+            weightColumn = '',
+            skipEmptyValues = false,
+            propertyNames = {},
+            validationIssues = []
+        } = options;
+
+        const result = { relationships: [], createdEntities: [], matchedEntityCount: 0, skippedRows: 0, unstoredAggregates: [] };
+
+        const typeId = this._csvRelationshipType(relationshipType);
+        const fieldColumns = [sourceColumn, targetColumn, labelColumn, startDateColumn, endDateColumn, weightColumn];
+        const propertyColumns = includedColumns.filter(column => !fieldColumns.includes(column));
+
+        // Aggregates never replace a column's property of the same name
+        if (aggregate) {
+            const columnProperties = propertyColumns.map(column => propertyNames[column] || column);
+            result.unstoredAggregates = ['count', ...(weightColumn ? ['weight'] : [])]
+                .filter(name => columnProperties.includes(name));
+        }
+
+        // Existing entities by the value the columns hold
+        const endpoints = new Map();
+        const matched = new Set();
+        const created = new Set();
+        const keyOf = value => matchBy === 'id' ? String(value).trim() : String(value).trim().toLowerCase();
+        if (matchBy !== 'id') {
+            this.entities.forEach(entity => {
+                const key = keyOf(entity.name);
+                if (!endpoints.has(key)) endpoints.set(key, entity);
+            });
+        }
+        const endpoint = value => {
+            const key = keyOf(value);
+            let entity = endpoints.get(key) || (matchBy === 'id' ? this.getEntityById(key) : undefined);
+            if (entity) {
+                if (!created.has(entity)) matched.add(entity.id);
+            } else {
+                entity = this.addEntity(new Entity(matchBy === 'id' ? key : null, entityType, String(value).trim()));
+                created.add(entity);
+                result.createdEntities.push(entity);
+            }
+            endpoints.set(key, entity);
+            return entity;
+        };
+
+        // Rows of the same pair share one relationship when aggregating
+        const pairs = new Map();
+
+        csvData.forEach(row => {
+            if (this._isEmptyValue(row[sourceColumn]) || this._isEmptyValue(row[targetColumn])) {
+                result.skippedRows++;
+                return;
+            }
+
+            const source = endpoint(row[sourceColumn]);
+            const target = endpoint(row[targetColumn]);
+            const label = labelColumn && !this._isEmptyValue(row[labelColumn]) ? String(row[labelColumn]) : '';
+            const properties = {};
+            propertyColumns.forEach(column => {
+                if (skipEmptyValues && this._isEmptyValue(row[column])) return;
+                properties[propertyNames[column] || column] = row[column];
+            });
+
+            const relationship = new Relationship(null, source.id, target.id, typeId, label, properties);
+            validationIssues.push(...this.applyCsvDates(relationship, row, startDateColumn, endDateColumn));
+            const weight = weightColumn ? Number(row[weightColumn]) : 1;
+
+            if (!aggregate) {
+                if (weightColumn && Number.isFinite(weight) && weight > 0) {
+                    relationship.strength = weight;
+                }
+                this.addRelationship(relationship);
+                result.relationships.push(relationship);
+                return;
+            }
+
+            const key = `${source.id}\u0000${target.id}\u0000${label}`;
+            if (!pairs.has(key)) {
+                pairs.set(key, { relationship, count: 0, weight: 0, rowRelationships: [] });
+            }
+            const pair = pairs.get(key);
+            pair.count++;
+            pair.weight += Number.isFinite(weight) ? weight : 0;
+            pair.rowRelationships.push(relationship);
+        });
+
+        pairs.forEach(({ relationship, count, weight, rowRelationships }) => {
+            // Keep the values all rows agree on; the dates span all rows
+            Object.keys(relationship.properties).forEach(key => {
+                if (rowRelationships.some(other => String(other.properties[key]) !== String(relationship.properties[key]))) {
+                    delete relationship.properties[key];
+                }
+            });
+            const aggregates = { count, ...(weightColumn ? { weight } : {}) };
+            Object.entries(aggregates).forEach(([name, value]) => {
+                if (!result.unstoredAggregates.includes(name)) {
+                    relationship.properties[name] = value;
+                }
+            });
+            const dates = field => rowRelationships.map(other => other[field]).filter(Boolean).sort();
+            relationship.startDate = dates('startDate')[0] || null;
+            relationship.endDate = dates('endDate').pop() || dates('startDate').pop() || null;
+            if (!endDateColumn && relationship.endDate === relationship.startDate) {
+                relationship.endDate = null;
+            }
+
+            const strength = weightColumn ? weight : count;
+            if (strength > 0) relationship.strength = strength;
+            this.addRelationship(relationship);
+            result.relationships.push(relationship);
+        });
+
+        result.matchedEntityCount = matched.size;
+        return result;
+    }
+
+    /**
+     * Import the rows of an edges file, whose source and target columns hold
+     * the IDs of nodes imported from a separate file, as relationships
+     * @param {Array} csvData - Array of objects representing CSV rows
+     * @param {Map} nodeIds - Entity IDs by the value edges reference them with;
+     *                        other values are looked up as entity IDs in the chart
+     * @param {Object} options - idColumn: column with relationship IDs (kept unless taken);
+     *                           sourceColumn / targetColumn: columns referencing the ends;
+     *                           typeColumn: relationship type names (created if new);
+     *                           labelColumn, strengthColumn: relationship fields;
+     *                           includedColumns: columns to keep as properties;
+     *                           skipEmptyValues, startDateColumn, endDateColumn, validationIssues,
+     *                           propertyNames as for entities
+     * @returns {Object} - { relationships, unresolved: [{ row, column, value }] } with
+     *                     1-based data row numbers of the references without an entity
+     */
+    importEdgesFromCsv(csvData, nodeIds, options) {
+        const {
+            idColumn = '',
+            sourceColumn,
+            targetColumn,
+            typeColumn = '',
+            labelColumn = '',
+            strengthColumn = '',
+            includedColumns = [],
+            startDateColumn,
+            endDateColumn,
+            skipEmptyValues = false,
+            propertyNames = {},
+            validationIssues = []
+        } = options;
+
+        const result = { relationships: [], unresolved: [] };
+        const fieldColumns = [idColumn, sourceColumn, targetColumn, typeColumn, labelColumn,
+            strengthColumn, startDateColumn, endDateColumn];
+        const propertyColumns = includedColumns.filter(column => !fieldColumns.includes(column));
+
+        const resolve = (row, index, column) => {
+            const value = this._isEmptyValue(row[column]) ? '' : String(row[column]).trim();
+            const entityId = nodeIds.has(value) ? nodeIds.get(value) :
+                (this.getEntityById(value) ? value : null);
+            if (entityId === null) {
+                result.unresolved.push({ row: index + 1, column, value });
+            }
+            return entityId;
+        };
+
+        csvData.forEach((row, index) => {
+            const sourceId = resolve(row, index, sourceColumn);
+            const targetId = resolve(row, index, targetColumn);
+            if (sourceId === null || targetId === null) return;
+
+            const id = idColumn && !this._isEmptyValue(row[idColumn]) ? String(row[idColumn]) : null;
+            const typeId = this._csvRelationshipType(typeColumn ? row[typeColumn] : '');
+            const label = labelColumn && !this._isEmptyValue(row[labelColumn]) ? String(row[labelColumn]) : '';
+            const properties = {};
+            propertyColumns.forEach(column => {
+                // Typed rows of exported files leave out their empty cells
+                if (!(column in row) || (skipEmptyValues && this._isEmptyValue(row[column]))) return;
+                properties[propertyNames[column] || column] = row[column];
+            });
+
+            const relationship = new Relationship(id && !this.getRelationshipById(id) ? id : null,
+                sourceId, targetId, typeId, label, properties);
+            const strength = strengthColumn ? Number(row[strengthColumn]) : NaN;
+            if (Number.isFinite(strength) && strength > 0) {
+                relationship.strength = strength;
+            }
+            validationIssues.push(...this.applyCsvDates(relationship, row, startDateColumn, endDateColumn));
+
+            this.addRelationship(relationship);
+            result.relationships.push(relationship);
+        });
+
+        return result;
+    }
+
+    /**
+     * Find the relationship type with a name, creating it if the chart has none
+     * @returns {string} - Relationship type ID
+     */
+    _csvRelationshipType(name) {
+        const typeName = String(name || '').trim();
+        if (!typeName) return 'default';
+
+        const id = typeName.toLowerCase().replace(/[^a-z0-9]/g, '-');
+        const existing = this.relationshipTypes.find(type => type.id === id || type.name.toLowerCase() === typeName.toLowerCase());
+        if (existing) return existing.id;
+
+        return this.addRelationshipType(new RelationshipType(id, typeName, '#e17055')).id;
+    }
+
     /**
      * Create hierarchical relationships based on type and parent references
      * @param {Array} entities - Array of created entities
@@ -370,14 +1546,26 @@ class ChartData {
     /**
      * Import entities from CSV with automatic type detection
      * @param {Array} csvData - CSV data rows
-     * @param {Object} options - Import options including typeColumn
+     * @param {Object} options - Import options including typeColumn (idColumn: entity IDs, kept unless taken;
+     *                           validationIssues collects schema and date errors;
+     *                           propertyNames maps columns to other property names;
+     *                           xColumn, yColumn, pinnedColumn: layout as written by the CSV export)
      */
     importEntitiesWithTypes(csvData, options) {
         const {
             idColumn,
             nameColumn,
+            descriptionColumn,
             typeColumn,
-            includedColumns
+            includedColumns,
+            startDateColumn,
+            endDateColumn,
+            xColumn,
+            yColumn,
+            pinnedColumn,
+            skipEmptyValues = false,
+            propertyNames = {},
+            validationIssues = []
         } = options;
         
         const createdEntities = [];
@@ -392,7 +1580,8 @@ class ChartData {
         
         // Process each row of the CSV
         csvData.forEach(row => {
-            const id = idColumn ? row[idColumn] : null;
+            // Rows with an ID the chart already uses get a new one
+            const id = idColumn && !this.getEntityById(row[idColumn]) ? row[idColumn] : null;
             const name = row[nameColumn] || 'Unnamed Entity';
             
             // Determine entity type from the type column or use default
@@ -401,17 +1590,25 @@ class ChartData {
                 const typeValue = row[typeColumn].toString().trim();
                 const typeId = typeValue.toLowerCase().replace(/[^a-z0-9]/g, '-');
                 
-                // Check if this type exists
-                if (this.entityTypes.some(et => et.id === typeId)) {
-                    entityType = typeId;
+                // Check if this type exists (by ID, or by name for types with other IDs)
+                const existingType = this.entityTypes.find(et => et.id === typeId) ||
+                    this.entityTypes.find(et => et.name.toLowerCase() === typeValue.toLowerCase());
+                if (existingType) {
+                    entityType = existingType.id;
                 }
             }
             
             // Create a new entity
             const entity = new Entity(id, entityType, name);
+            if (descriptionColumn && row[descriptionColumn] !== null && row[descriptionColumn] !== undefined) {
+                entity.description = String(row[descriptionColumn]);
+            }
             
-            // Add all included columns as properties
-            entity.setPropertiesFromCsv(row, includedColumns);
+            // Add all included columns as properties, typed by the entity type's schema
+            entity.setPropertiesFromCsv(row, includedColumns, skipEmptyValues, propertyNames);
+            validationIssues.push(...this.applyPropertySchema(entity));
+            validationIssues.push(...this.applyCsvDates(entity, row, startDateColumn, endDateColumn));
+            this.applyCsvLayout(entity, row, xColumn, yColumn, pinnedColumn);
             
             // Add entity to chart data
             this.addEntity(entity);
@@ -475,3 +1672,14 @@ class ChartData {
         return createdTypes;
     }
 }
+
+// Top-level fields of the chart JSON handled by ChartData itself
+ChartData.JSON_FIELDS = [
+    'formatVersion',
+    'entities',
+    'relationships',
+    'entityTypes',
+    'relationshipTypes',
+    'lastLayoutType',
+    'viewTransform'
+];
@@ -0,0 +1,390 @@
+/**
+ * Neo4j module for LinkChart JS
+ *
+ * Neo4jCypherFormat writes a Cypher script that creates the chart in Neo4j,
+ * either with CREATE (a fresh database) or with MERGE on the entity and
+ * relationship IDs (safe to run again). Neo4jJSONFormat writes the APOC JSON
+ * export format (apoc.export.json) and reads both that format and the JSON
+ * exported by Neo4j Browser.
+ *
+ * Entity types become node labels, relationship labels (or type names)
+ * become relationship types, and properties become node/relationship
+ * properties next to the LinkChart fields (id, name, description, dates).
+ */
+
+class Neo4jCypherFormat {
+    /**
+     * Write a chart as a Cypher script
+     * @param {ChartData} chartData - Chart to export
+     * @param {Object} options - mode: 'create' (default) or 'merge'
+     * @returns {string} - Cypher text
+     */
+    static serialize(chartData, options = {}) {
+        const { mode = 'create' } = options;
+        const lines = [
+            `// ${chartData.entities.length} nodes and ${chartData.relationships.length} relationships exported from LinkChart JS`
+        ];
+        const label = entity => Neo4jFormats.quoteName(Neo4jFormats.nodeLabel(chartData, entity));
+
+        if (mode === 'merge') {
+            lines.push('// Nodes and relationships are matched on their "id" property');
+            chartData.entities.forEach(entity => {
+                const { id, ...properties } = Neo4jFormats.nodeProperties(entity);
+                lines.push(
+                    `MERGE (n:${label(entity)} {id: ${Neo4jCypherFormat.literal(id)}}) ` +
+                    `SET n += ${Neo4jCypherFormat.map(properties)};`
+                );
+            });
+
+            chartData.relationships.forEach(rel => {
+                const source = chartData.getEntityById(rel.sourceId);
+                const target = chartData.getEntityById(rel.targetId);
+                if (!source || !target) return;
+
+                const { id, ...properties } = Neo4jFormats.relationshipProperties(rel);
+                lines.push(
+                    `MATCH (s:${label(source)} {id: ${Neo4jCypherFormat.literal(source.id)}}), ` +
+                    `(t:${label(target)} {id: ${Neo4jCypherFormat.literal(target.id)}}) ` +
+                    `MERGE (s)-[r:${Neo4jFormats.quoteName(Neo4jFormats.relationshipType(chartData, rel))} {id: ${Neo4jCypherFormat.literal(id)}}]->(t) ` +
+                    `SET r += ${Neo4jCypherFormat.map(properties)};`
+                );
+            });
+        } else {
+            // One statement, so the node variables can be used by the relationships
+            const variables = new Map(chartData.entities.map((entity, index) => [entity.id, `n${index}`]));
+
+            chartData.entities.forEach(entity => {
+                lines.push(
+                    `CREATE (${variables.get(entity.id)}:${label(entity)} ` +
+                    `${Neo4jCypherFormat.map(Neo4jFormats.nodeProperties(entity))})`
+                );
+            });
+
+            chartData.relationships.forEach(rel => {
+                if (!variables.has(rel.sourceId) || !variables.has(rel.targetId)) return;
+
+                lines.push(
+                    `CREATE (${variables.get(rel.sourceId)})-` +
+                    `[:${Neo4jFormats.quoteName(Neo4jFormats.relationshipType(chartData, rel))} ` +
+                    `${Neo4jCypherFormat.map(Neo4jFormats.relationshipProperties(rel))}]->` +
+                    `(${variables.get(rel.targetId)})`
+                );
+            });
+            if (lines.length > 1) {
+                lines[lines.length - 1] += ';';
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Write a value as a Cypher literal
+     */
+    static literal(value) {
+        if (value === null || value === undefined) return 'null';
+        if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+        if (typeof value === 'boolean') return String(value);
+        if (Array.isArray(value)) return `[${value.map(item => Neo4jCypherFormat.literal(item)).join(', ')}]`;
+        if (typeof value === 'object') return JSON.stringify(JSON.stringify(value));
+        // JSON string escapes are valid in Cypher string literals
+        return JSON.stringify(String(value));
+    }
+
+    static map(properties) {
+        const entries = Object.entries(properties)
+            .map(([key, value]) => `${Neo4jFormats.quoteName(key)}: ${Neo4jCypherFormat.literal(value)}`);
+        return `{${entries.join(', ')}}`;
+    }
+}
+
+Neo4jCypherFormat.id = 'cypher';
+Neo4jCypherFormat.label = 'Neo4j Cypher';
+Neo4jCypherFormat.extensions = ['.cypher'];
+Neo4jCypherFormat.mimeType = 'text/plain';
+
+class Neo4jJSONFormat {
+    /**
+     * Write a chart in the APOC JSON export format (one JSON object per line)
+     * @param {ChartData} chartData - Chart to export
+     * @returns {string} - JSON lines
+     */
+    static serialize(chartData) {
+        const labels = entity => [Neo4jFormats.nodeLabel(chartData, entity)];
+
+        const nodes = chartData.entities.map(entity => ({
+            type: 'node',
+            id: entity.id,
+            labels: labels(entity),
+            properties: Neo4jFormats.nodeProperties(entity)
+        }));
+
+        const relationships = chartData.relationships
+            .filter(rel => chartData.getEntityById(rel.sourceId) && chartData.getEntityById(rel.targetId))
+            .map(rel => ({
+                type: 'relationship',
+                id: rel.id,
+                label: Neo4jFormats.relationshipType(chartData, rel),
+                properties: Neo4jFormats.relationshipProperties(rel),
+                start: { id: rel.sourceId, labels: labels(chartData.getEntityById(rel.sourceId)) },
+                end: { id: rel.targetId, labels: labels(chartData.getEntityById(rel.targetId)) }
+            }));
+
+        return [...nodes, ...relationships].map(record => JSON.stringify(record)).join('\n') + '\n';
+    }
+
+    /**
+     * Check whether JSON text is a Neo4j export rather than a LinkChart chart
+     * @param {string} text - File contents
+     * @returns {boolean}
+     */
+    static detect(text) {
+        try {
+            const { nodes, relationships } = Neo4jJSONFormat._read(text);
+            return nodes.length + relationships.length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Summarize a Neo4j export so the user can choose the type sources
+     * @param {string} text - APOC JSON (lines or array) or Neo4j Browser JSON
+     * @returns {Object} - { nodeCount, edgeCount, nodeAttributes, edgeAttributes,
+     *                     entityTypeAttribute, relationshipTypeAttribute }
+     */
+    static inspect(text) {
+        const { nodes, relationships } = Neo4jJSONFormat._read(text);
+        const keys = items => Array.from(new Set(items.flatMap(item => Object.keys(item.properties))));
+
+        return {
+            nodeCount: nodes.length,
+            edgeCount: relationships.length,
+            nodeAttributes: [Neo4jJSONFormat.LABEL_ATTRIBUTE, ...keys(nodes)],
+            edgeAttributes: [Neo4jJSONFormat.TYPE_ATTRIBUTE, ...keys(relationships)],
+            entityTypeAttribute: Neo4jJSONFormat.LABEL_ATTRIBUTE,
+            relationshipTypeAttribute: Neo4jJSONFormat.TYPE_ATTRIBUTE
+        };
+    }
+
+    /**
+     * Read a Neo4j export into chart data
+     * @param {string} text - APOC JSON (lines or array) or Neo4j Browser JSON
+     * @param {Object} options - entityTypeAttribute: property holding the entity type, or
+     *                           LABEL_ATTRIBUTE for the first node label (default);
+     *                           relationshipTypeAttribute: property, or TYPE_ATTRIBUTE for
+     *                           the relationship type (default)
+     * @returns {ChartData}
+     * @throws {ChartFormatError} - If the file is not a Neo4j export
+     */
+    static parse(text, options = {}) {
+        const {
+            entityTypeAttribute = Neo4jJSONFormat.LABEL_ATTRIBUTE,
+            relationshipTypeAttribute = Neo4jJSONFormat.TYPE_ATTRIBUTE
+        } = options;
+        const { nodes, relationships } = Neo4jJSONFormat._read(text);
+        if (nodes.length === 0) {
+            throw new ChartFormatError('The file contains no Neo4j nodes.');
+        }
+
+        // Nodes exported by LinkChart keep their entity IDs
+        const entityIds = new Map();
+        const usedIds = new Set();
+        nodes.forEach(node => {
+            const ownId = node.properties.id;
+            const id = ownId !== undefined && ownId !== null && !usedIds.has(String(ownId)) ? String(ownId) : `neo4j_${node.id}`;
+            usedIds.add(id);
+            entityIds.set(node.id, id);
+        });
+
+        const nodeFields = ['id', 'name', 'description', 'startDate', 'endDate'];
+        const relationshipFields = ['id', 'strength', 'startDate', 'endDate'];
+        const rest = (properties, fields) => {
+            const result = { ...properties };
+            fields.filter(Boolean).forEach(field => delete result[field]);
+            return result;
+        };
+
+        const graph = {
+            nodes: nodes.map(node => ({
+                id: entityIds.get(node.id),
+                label: node.properties.name !== undefined ? node.properties.name
+                    : node.properties.title !== undefined ? node.properties.title
+                    : node.id,
+                type: entityTypeAttribute === Neo4jJSONFormat.LABEL_ATTRIBUTE
+                    ? node.labels[0]
+                    : entityTypeAttribute ? node.properties[entityTypeAttribute] : null,
+                description: node.properties.description,
+                startDate: node.properties.startDate,
+                endDate: node.properties.endDate,
+                properties: rest(node.properties, [...nodeFields, entityTypeAttribute])
+            })),
+            edges: relationships.map(rel => ({
+                id: rel.properties.id !== undefined ? rel.properties.id : `neo4j_rel_${rel.id}`,
+                source: entityIds.has(rel.start) ? entityIds.get(rel.start) : `neo4j_${rel.start}`,
+                target: entityIds.has(rel.end) ? entityIds.get(rel.end) : `neo4j_${rel.end}`,
+                label: String(rel.type || '').toLowerCase().replace(/_/g, ' '),
+                type: relationshipTypeAttribute === Neo4jJSONFormat.TYPE_ATTRIBUTE
+                    ? rel.type
+                    : relationshipTypeAttribute ? rel.properties[relationshipTypeAttribute] : null,
+                strength: Number(rel.properties.strength),
+                startDate: rel.properties.startDate,
+                endDate: rel.properties.endDate,
+                properties: rest(rel.properties, [...relationshipFields, relationshipTypeAttribute])
+            }))
+        };
+
+        return GraphInterchange.buildChart(graph);
+    }
+
+    /**
+     * Collect nodes and relationships from any of the supported layouts
+     * @returns {Object} - { nodes: [{ id, labels, properties }],
+     *                     relationships: [{ id, type, start, end, properties }] }
+     */
+    static _read(text) {
+        const trimmed = text.trim();
+        let records;
+        if (trimmed.startsWith('[')) {
+            records = JSON.parse(trimmed);
+        } else {
+            // APOC writes one JSON object per line
+            records = trimmed.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+        }
+        if (!Array.isArray(records)) {
+            throw new ChartFormatError('The file is not a Neo4j JSON export.');
+        }
+
+        const nodes = new Map();
+        const relationships = new Map();
+        const idOf = item => String(item.elementId !== undefined ? item.elementId
+            : item.identity !== undefined ? Neo4jJSONFormat._integer(item.identity)
+            : item.id);
+
+        const addNode = item => {
+            const id = idOf(item);
+            if (!nodes.has(id)) {
+                nodes.set(id, { id, labels: item.labels || [], properties: item.properties || {} });
+            }
+        };
+        const addRelationship = (item, type, start, end) => {
+            const id = idOf(item);
+            if (!relationships.has(id)) {
+                relationships.set(id, { id, type, start, end, properties: item.properties || {} });
+            }
+        };
+
+        // Browser results hold nodes, relationships and paths in named columns
+        const visit = value => {
+            if (!value || typeof value !== 'object') return;
+            if (Array.isArray(value)) {
+                value.forEach(visit);
+            } else if (value.type === 'node' && value.labels) {
+                addNode(value);
+            } else if (value.type === 'relationship' && value.start && value.end) {
+                const endpointId = endpoint => typeof endpoint === 'object' ? idOf(endpoint) : String(endpoint);
+                addRelationship(value, value.label || value.relationshipType, endpointId(value.start), endpointId(value.end));
+            } else if (value.labels && value.properties && (value.identity !== undefined || value.elementId !== undefined)) {
+                addNode(value);
+            } else if (value.start !== undefined && value.end !== undefined && value.type && value.properties) {
+                if (value.segments) {
+                    value.segments.forEach(visit);
+                    return;
+                }
+                const endpointId = key => String(value[`${key}NodeElementId`] !== undefined
+                    ? value[`${key}NodeElementId`]
+                    : Neo4jJSONFormat._integer(value[key]));
+                addRelationship(value, value.type, endpointId('start'), endpointId('end'));
+            } else if (value.segments) {
+                value.segments.forEach(visit);
+            } else {
+                Object.values(value).forEach(visit);
+            }
+        };
+        records.forEach(visit);
+
+        return { nodes: Array.from(nodes.values()), relationships: Array.from(relationships.values()) };
+    }
+
+    /**
+     * Neo4j drivers serialize integers as { low, high }
+     */
+    static _integer(value) {
+        if (value && typeof value === 'object' && 'low' in value) {
+            return value.high ? value.high * 4294967296 + (value.low >>> 0) : value.low;
+        }
+        return value;
+    }
+}
+
+Neo4jJSONFormat.id = 'neo4j';
+Neo4jJSONFormat.label = 'Neo4j JSON (APOC)';
+Neo4jJSONFormat.extensions = ['.json', '.jsonl'];
+Neo4jJSONFormat.mimeType = 'application/json';
+
+// Pseudo attributes offered as type sources on import
+Neo4jJSONFormat.LABEL_ATTRIBUTE = ':label';
+Neo4jJSONFormat.TYPE_ATTRIBUTE = ':type';
+
+/**
+ * Mapping between LinkChart items and Neo4j nodes/relationships shared by
+ * the Cypher and JSON formats
+ */
+class Neo4jFormats {
+    static nodeLabel(chartData, entity) {
+        const entityType = chartData.getEntityTypeById(entity.type);
+        return entityType ? entityType.name : (entity.type || 'Entity');
+    }
+
+    /**
+     * Neo4j relationship type: the relationship label (or its type name) in UPPER_SNAKE_CASE
+     */
+    static relationshipType(chartData, rel) {
+        const relationshipType = chartData.getRelationshipTypeById(rel.type);
+        const name = rel.label || (relationshipType ? relationshipType.name : rel.type) || 'RELATED_TO';
+        return String(name).trim().replace(/[\s-]+/g, '_').toUpperCase() || 'RELATED_TO';
+    }
+
+    /**
+     * Node properties: the entity's properties plus its fields (fields win on name clashes)
+     */
+    static nodeProperties(entity) {
+        return Neo4jFormats._clean({
+            ...entity.properties,
+            id: entity.id,
+            name: entity.name,
+            description: entity.description,
+            startDate: entity.startDate,
+            endDate: entity.endDate
+        });
+    }
+
+    static relationshipProperties(rel) {
+        return Neo4jFormats._clean({
+            ...rel.properties,
+            id: rel.id,
+            strength: rel.strength,
+            startDate: rel.startDate,
+            endDate: rel.endDate
+        });
+    }
+
+    /**
+     * Quote a label, type or property name with backticks unless it is a plain identifier
+     */
+    static quoteName(name) {
+        const text = String(name);
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(text) ? text : '`' + text.replace(/`/g, '``') + '`';
+    }
+
+    // Neo4j has no null properties
+    static _clean(properties) {
+        const result = {};
+        Object.entries(properties).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+}
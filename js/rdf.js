@@ -0,0 +1,313 @@
+/**
+ * RDF module for LinkChart JS
+ *
+ * Writes charts as RDF for knowledge graphs, in Turtle or JSON-LD. Entities
+ * become resources under the base IRI, typed by a class for their entity
+ * type; their properties become literals whose datatype follows the property
+ * schema or the value, and relationships become triples whose predicate is
+ * derived from the relationship label. Classes and predicates live in a
+ * vocabulary under the base IRI, unless a name is already an IRI or a
+ * prefixed name of the prefix map (e.g. "schema:email").
+ */
+
+class RDFFormats {
+    /**
+     * Describe a chart as RDF statements
+     * @param {ChartData} chartData - Chart to export
+     * @param {Object} options - baseIRI: IRI the entity and vocabulary IRIs are made from;
+     *                           prefixes: { prefix: namespace IRI } for compact names
+     * @returns {Object} - { baseIRI, prefixes, subjects: Map of subject IRI -> [{ predicate, object }] }.
+     *                     Objects are { iri } or { value, datatype }.
+     */
+    static statements(chartData, options = {}) {
+        // Entity and vocabulary IRIs are appended to the base
+        let baseIRI = (options.baseIRI || RDFFormats.DEFAULT_BASE_IRI).trim();
+        if (!/[/#]$/.test(baseIRI)) baseIRI += '/';
+        const vocabulary = baseIRI + 'vocab/';
+        const prefixes = {
+            ...RDFFormats.STANDARD_PREFIXES,
+            ...(Object.values(options.prefixes || {}).includes(vocabulary) ? {} : { [RDFFormats.VOCABULARY_PREFIX]: vocabulary }),
+            ...options.prefixes
+        };
+
+        const term = (name, localName) => RDFFormats._expand(name, prefixes) || vocabulary + localName(name);
+        const entityIRI = id => `${baseIRI}entity/${encodeURIComponent(id)}`;
+        const subjects = new Map();
+        const add = (subject, predicate, object) => {
+            if (!subjects.has(subject)) subjects.set(subject, []);
+            subjects.get(subject).push({ predicate, object });
+        };
+
+        const RDF = RDFFormats.STANDARD_PREFIXES.rdf;
+        const RDFS = RDFFormats.STANDARD_PREFIXES.rdfs;
+
+        // Classes of the entity types in use
+        const classes = new Map();
+        chartData.entityTypes
+            .filter(type => chartData.entities.some(entity => entity.type === type.id))
+            .forEach(type => {
+                const classIRI = term(type.name, RDFFormats._className);
+                classes.set(type.id, classIRI);
+                add(classIRI, RDF + 'type', { iri: RDFS + 'Class' });
+                add(classIRI, RDFS + 'label', { value: type.name });
+            });
+
+        chartData.entities.forEach(entity => {
+            const subject = entityIRI(entity.id);
+            const entityType = chartData.getEntityTypeById(entity.type);
+            add(subject, RDF + 'type', { iri: classes.get(entity.type) || term(entity.type || 'Entity', RDFFormats._className) });
+            add(subject, RDFS + 'label', { value: entity.name });
+            if (entity.description) add(subject, RDFS + 'comment', { value: entity.description });
+            if (entity.startDate) add(subject, vocabulary + 'startDate', RDFFormats.literal(entity.startDate, 'date'));
+            if (entity.endDate) add(subject, vocabulary + 'endDate', RDFFormats.literal(entity.endDate, 'date'));
+
+            Object.entries(entity.properties || {}).forEach(([name, value]) => {
+                const definition = entityType && entityType.getPropertyDefinition(name);
+                const predicate = term(name, RDFFormats._predicateName);
+                (Array.isArray(value) ? value : [value])
+                    .filter(item => item !== undefined && item !== null && item !== '')
+                    .forEach(item => add(subject, predicate, RDFFormats.literal(item, definition ? definition.dataType : null)));
+            });
+        });
+
+        chartData.relationships
+            .filter(rel => chartData.getEntityById(rel.sourceId) && chartData.getEntityById(rel.targetId))
+            .forEach(rel => {
+                const relationshipType = chartData.getRelationshipTypeById(rel.type);
+                const name = rel.label || (relationshipType && relationshipType.id !== 'default' ? relationshipType.name : '') || 'related to';
+                add(entityIRI(rel.sourceId), term(name, RDFFormats._predicateName), { iri: entityIRI(rel.targetId) });
+            });
+
+        return { baseIRI, prefixes, subjects };
+    }
+
+    /**
+     * Make a typed literal of a property value
+     * @param {*} value - Property value
+     * @param {string} dataType - PropertyDefinition data type, or null to infer it from the value
+     * @returns {Object} - { value: lexical form, datatype: IRI or null }
+     */
+    static literal(value, dataType = null) {
+        const XSD = RDFFormats.STANDARD_PREFIXES.xsd;
+        if (typeof value === 'boolean') return { value: String(value), datatype: XSD + 'boolean' };
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return { value: String(value), datatype: XSD + (Number.isInteger(value) ? 'integer' : 'double') };
+        }
+        if (typeof value === 'object') return { value: JSON.stringify(value), datatype: null };
+
+        const text = String(value);
+        if (dataType === 'url') return { value: text, datatype: XSD + 'anyURI' };
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return { value: text, datatype: XSD + 'date' };
+        if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/.test(text)) {
+            return { value: text, datatype: XSD + 'dateTime' };
+        }
+        return { value: text, datatype: null };
+    }
+
+    /**
+     * Read a prefix map typed one prefix per line, as "prefix: IRI" or
+     * "@prefix prefix: <IRI> ."
+     * @param {string} text - Prefix lines
+     * @returns {Object} - { prefix: namespace IRI }
+     * @throws {Error} - If a line is not a prefix declaration
+     */
+    static parsePrefixes(text) {
+        const prefixes = {};
+        String(text || '').split(/\r?\n/).forEach((line, index) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const match = /^(?:@prefix\s+)?([A-Za-z][\w-]*)?:\s*<?([^<>\s]+?)>?\s*\.?$/.exec(trimmed);
+            if (!match || !/^[a-z][a-z0-9+.-]*:/i.test(match[2])) {
+                throw new Error(`Line ${index + 1} is not a prefix and an IRI: ${trimmed}`);
+            }
+            prefixes[match[1] || ''] = match[2];
+        });
+        return prefixes;
+    }
+
+    /**
+     * Shorten an IRI with the prefix map
+     * @returns {string|null} - Prefixed name, or null if no prefix fits
+     */
+    static compact(iri, prefixes) {
+        let best = null;
+        Object.entries(prefixes).forEach(([prefix, namespace]) => {
+            if (!iri.startsWith(namespace) || (best && best.namespace.length >= namespace.length)) return;
+            const localName = iri.slice(namespace.length);
+            if (/^([A-Za-z0-9_]([\w.-]*[\w-])?)?$/.test(localName)) {
+                best = { prefix, namespace, localName };
+            }
+        });
+        return best ? `${best.prefix}:${best.localName}` : null;
+    }
+
+    // Names that are IRIs or use a declared prefix are taken as they are
+    static _expand(name, prefixes) {
+        const text = String(name).trim();
+        if (/^https?:\/\/\S+$/.test(text)) return text;
+
+        const match = /^([A-Za-z][\w-]*):(\S+)$/.exec(text);
+        return match && Object.prototype.hasOwnProperty.call(prefixes, match[1]) ? prefixes[match[1]] + match[2] : null;
+    }
+
+    // "threat actor" -> "ThreatActor"
+    static _className(name) {
+        const words = RDFFormats._words(name);
+        return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('') || 'Entity';
+    }
+
+    // "works for" -> "worksFor"
+    static _predicateName(name) {
+        const words = RDFFormats._words(name);
+        const camel = words.map((word, index) => index === 0
+            ? word.charAt(0).toLowerCase() + word.slice(1)
+            : word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        if (!camel) return 'relatedTo';
+        return /^[0-9]/.test(camel) ? `p${camel}` : camel;
+    }
+
+    static _words(name) {
+        return String(name).split(/[^A-Za-z0-9]+/).filter(Boolean);
+    }
+}
+
+RDFFormats.DEFAULT_BASE_IRI = 'http://example.org/linkchart/';
+
+// Prefix added for the chart vocabulary unless the prefix map declares it
+RDFFormats.VOCABULARY_PREFIX = 'lc';
+
+RDFFormats.STANDARD_PREFIXES = {
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#'
+};
+
+class TurtleFormat {
+    /**
+     * Write a chart as Turtle
+     * @param {ChartData} chartData - Chart to export
+     * @param {Object} options - baseIRI and prefixes, see RDFFormats.statements()
+     * @returns {string} - Turtle text
+     */
+    static serialize(chartData, options = {}) {
+        const { baseIRI, prefixes, subjects } = RDFFormats.statements(chartData, options);
+        const RDF_TYPE = RDFFormats.STANDARD_PREFIXES.rdf + 'type';
+        const XSD = RDFFormats.STANDARD_PREFIXES.xsd;
+
+        const iri = value => RDFFormats.compact(value, prefixes) ||
+            `<${TurtleFormat._escapeIRI(value.startsWith(baseIRI) ? value.slice(baseIRI.length) : value)}>`;
+        const object = term => {
+            if (term.iri) return iri(term.iri);
+            const text = TurtleFormat.quote(term.value);
+            if (term.datatype === XSD + 'integer' && /^-?\d+$/.test(term.value)) return term.value;
+            if (term.datatype === XSD + 'boolean') return term.value;
+            return term.datatype ? `${text}^^${iri(term.datatype)}` : text;
+        };
+
+        const lines = [`@base <${TurtleFormat._escapeIRI(baseIRI)}> .`];
+        Object.entries(prefixes).forEach(([prefix, namespace]) => {
+            lines.push(`@prefix ${prefix}: <${TurtleFormat._escapeIRI(namespace)}> .`);
+        });
+
+        subjects.forEach((statements, subject) => {
+            // Objects of the same predicate are listed after it, separated by commas
+            const byPredicate = new Map();
+            statements.forEach(({ predicate, object: value }) => {
+                if (!byPredicate.has(predicate)) byPredicate.set(predicate, []);
+                byPredicate.get(predicate).push(object(value));
+            });
+
+            const predicates = Array.from(byPredicate, ([predicate, objects]) =>
+                `${predicate === RDF_TYPE ? 'a' : iri(predicate)} ${objects.join(', ')}`);
+            lines.push('', `${iri(subject)}\n    ${predicates.join(' ;\n    ')} .`);
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Quote a string literal
+     */
+    static quote(value) {
+        return '"' + String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')
+            .replace(/\t/g, '\\t') + '"';
+    }
+
+    // Characters IRIs cannot hold in Turtle
+    static _escapeIRI(value) {
+        return String(value).replace(/[\x00-\x20<>"{}|^`\\]/g, char => encodeURIComponent(char));
+    }
+}
+
+TurtleFormat.id = 'turtle';
+TurtleFormat.label = 'RDF Turtle';
+TurtleFormat.extensions = ['.ttl'];
+TurtleFormat.mimeType = 'text/turtle';
+
+class JSONLDFormat {
+    /**
+     * Write a chart as a JSON-LD document with the prefix map as its context
+     * @param {ChartData} chartData - Chart to export
+     * @param {Object} options - baseIRI and prefixes, see RDFFormats.statements()
+     * @returns {string} - JSON-LD text
+     */
+    static serialize(chartData, options = {}) {
+        const { baseIRI, prefixes, subjects } = RDFFormats.statements(chartData, options);
+        const RDF_TYPE = RDFFormats.STANDARD_PREFIXES.rdf + 'type';
+        const XSD = RDFFormats.STANDARD_PREFIXES.xsd;
+
+        // JSON-LD has no empty prefix; it is the vocabulary
+        const context = { '@base': baseIRI };
+        Object.entries(prefixes).forEach(([prefix, namespace]) => {
+            context[prefix || '@vocab'] = namespace;
+        });
+        const name = iri => {
+            const compact = RDFFormats.compact(iri, prefixes);
+            if (!compact) return iri;
+            return compact.startsWith(':') ? compact.slice(1) : compact;
+        };
+        const reference = iri => {
+            const compact = RDFFormats.compact(iri, prefixes);
+            if (compact && !compact.startsWith(':')) return compact;
+            return iri.startsWith(baseIRI) ? iri.slice(baseIRI.length) : iri;
+        };
+
+        const graph = Array.from(subjects, ([subject, statements]) => {
+            const node = { '@id': reference(subject) };
+            statements.forEach(({ predicate, object }) => {
+                const key = predicate === RDF_TYPE ? '@type' : name(predicate);
+                let value;
+                if (key === '@type') {
+                    value = name(object.iri);
+                } else if (object.iri) {
+                    value = { '@id': reference(object.iri) };
+                } else if (object.datatype === XSD + 'integer' || object.datatype === XSD + 'double') {
+                    value = Number(object.value);
+                } else if (object.datatype === XSD + 'boolean') {
+                    value = object.value === 'true';
+                } else {
+                    value = object.datatype ? { '@value': object.value, '@type': name(object.datatype) } : object.value;
+                }
+
+                if (!(key in node)) {
+                    node[key] = value;
+                } else {
+                    node[key] = [].concat(node[key], value);
+                }
+            });
+            return node;
+        });
+
+        return JSON.stringify({ '@context': context, '@graph': graph }, null, 2) + '\n';
+    }
+}
+
+JSONLDFormat.id = 'jsonld';
+JSONLDFormat.label = 'JSON-LD';
+JSONLDFormat.extensions = ['.jsonld'];
+JSONLDFormat.mimeType = 'application/ld+json';
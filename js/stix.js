@@ -0,0 +1,513 @@
+/**
+ * STIX module for LinkChart JS
+ *
+ * Reads and writes STIX 2.1 bundles of threat intelligence. Domain and
+ * cyber-observable objects (threat actors, malware, indicators, IP addresses,
+ * ...) become entities typed by their STIX type; relationship objects become
+ * relationships labelled with their relationship type, and sightings become
+ * relationships from the sighted object to where it was seen. The other STIX
+ * properties of an object are kept as properties, so a chart read from a
+ * bundle is written back with the same objects.
+ */
+
+class STIXFormat {
+    /**
+     * Write a chart as a STIX 2.1 bundle
+     * @param {ChartData} chartData - Chart to export
+     * @returns {string} - Bundle JSON
+     */
+    static serialize(chartData) {
+        const now = new Date().toISOString();
+        const objects = [];
+
+        // Entities keep their STIX IDs; others get one matching their object type
+        const stixIds = new Map();
+        const stixTypes = new Map();
+        const entityObjects = chartData.entities.map(entity => {
+            const type = STIXFormat._objectType(chartData, entity);
+            const id = STIXFormat._id(type, entity.id);
+            stixIds.set(entity.id, id);
+            stixTypes.set(entity.id, type);
+            return { entity, type, id };
+        });
+
+        entityObjects.forEach(({ entity, type, id }) => {
+            const properties = { ...STIXFormat.DEFAULT_PROPERTIES[type], ...STIXFormat._properties(entity.properties) };
+            const object = { type, spec_version: '2.1', id };
+
+            if (STIXFormat.OBSERVABLE_TYPES.includes(type)) {
+                // Observables have no name or dates; simple ones are their value
+                if (STIXFormat.VALUE_TYPES.includes(type)) {
+                    object.value = properties.value !== undefined ? properties.value : entity.name;
+                } else if (properties.name === undefined) {
+                    object.name = entity.name;
+                }
+            } else {
+                const [startField, endField] = STIXFormat.DATE_FIELDS[type] || STIXFormat.DATE_FIELDS.default;
+                Object.assign(object, {
+                    created: properties.created || now,
+                    modified: properties.modified || now,
+                    name: entity.name
+                });
+                if (entity.description) object.description = entity.description;
+                if (entity.startDate && startField) object[startField] = STIXFormat._timestamp(entity.startDate);
+                if (entity.endDate && endField) object[endField] = STIXFormat._timestamp(entity.endDate);
+            }
+
+            objects.push(STIXFormat._object(object, properties));
+        });
+
+        chartData.relationships
+            .filter(rel => stixIds.has(rel.sourceId) && stixIds.has(rel.targetId))
+            .forEach(rel => {
+                const properties = STIXFormat._properties(rel.properties);
+                // Only domain objects can be sighted, and only at identities or locations
+                const sighting = rel.type === STIXFormat.SIGHTING_TYPE &&
+                    STIXFormat.DOMAIN_TYPES.includes(stixTypes.get(rel.sourceId)) &&
+                    STIXFormat.SIGHTED_AT_TYPES.includes(stixTypes.get(rel.targetId));
+                const type = sighting ? 'sighting' : 'relationship';
+                const object = {
+                    type,
+                    spec_version: '2.1',
+                    id: STIXFormat._id(type, rel.id),
+                    created: properties.created || now,
+                    modified: properties.modified || now
+                };
+
+                if (sighting) {
+                    Object.assign(object, {
+                        sighting_of_ref: stixIds.get(rel.sourceId),
+                        where_sighted_refs: [stixIds.get(rel.targetId)]
+                    });
+                    if (rel.startDate) object.first_seen = STIXFormat._timestamp(rel.startDate);
+                    if (rel.endDate) object.last_seen = STIXFormat._timestamp(rel.endDate);
+                } else {
+                    Object.assign(object, {
+                        relationship_type: STIXFormat._relationshipType(chartData, rel),
+                        source_ref: stixIds.get(rel.sourceId),
+                        target_ref: stixIds.get(rel.targetId)
+                    });
+                    if (rel.startDate) object.start_time = STIXFormat._timestamp(rel.startDate);
+                    if (rel.endDate) object.stop_time = STIXFormat._timestamp(rel.endDate);
+                }
+                if (rel.strength !== 1) {
+                    object[STIXFormat.STRENGTH_PROPERTY] = rel.strength;
+                }
+
+                objects.push(STIXFormat._object(object, properties));
+            });
+
+        const bundle = { type: 'bundle', id: `bundle--${STIXFormat._uuid()}`, objects };
+        return JSON.stringify(bundle, null, 2) + '\n';
+    }
+
+    /**
+     * Check whether a JSON file is a STIX bundle
+     * @param {string} text - File contents
+     * @returns {boolean}
+     */
+    static detect(text) {
+        try {
+            const bundle = JSON.parse(text);
+            return !!bundle && bundle.type === 'bundle' && Array.isArray(bundle.objects);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Summarize a bundle so the user can choose the type sources
+     * @param {string} text - Bundle JSON
+     * @returns {Object} - { nodeCount, edgeCount, nodeAttributes, edgeAttributes,
+     *                     entityTypeAttribute, relationshipTypeAttribute }
+     */
+    static inspect(text) {
+        const { entities, relationships, sightings } = STIXFormat._read(text);
+        const keys = (objects, fields) => Array.from(new Set(objects.flatMap(object => Object.keys(object))))
+            .filter(key => !fields.includes(key));
+
+        return {
+            nodeCount: entities.length,
+            edgeCount: relationships.length + sightings.reduce((count, sighting) => count + STIXFormat._sightedRefs(sighting).length, 0),
+            nodeAttributes: [STIXFormat.TYPE_ATTRIBUTE, ...keys(entities, STIXFormat.OBJECT_FIELDS)],
+            edgeAttributes: [STIXFormat.TYPE_ATTRIBUTE, ...keys([...relationships, ...sightings], STIXFormat.OBJECT_FIELDS)],
+            entityTypeAttribute: STIXFormat.TYPE_ATTRIBUTE,
+            relationshipTypeAttribute: STIXFormat.TYPE_ATTRIBUTE
+        };
+    }
+
+    /**
+     * Read a STIX bundle into chart data
+     * @param {string} text - Bundle JSON
+     * @param {Object} options - entityTypeAttribute: property holding the entity type, or
+     *                           TYPE_ATTRIBUTE for the STIX object type (default);
+     *                           relationshipTypeAttribute: property, or TYPE_ATTRIBUTE for the
+     *                           relationship type (default); null for no types
+     * @returns {ChartData}
+     * @throws {ChartFormatError} - If the file is not a STIX bundle
+     */
+    static parse(text, options = {}) {
+        const {
+            entityTypeAttribute = STIXFormat.TYPE_ATTRIBUTE,
+            relationshipTypeAttribute = STIXFormat.TYPE_ATTRIBUTE
+        } = options;
+        const { entities, relationships, sightings } = STIXFormat._read(text);
+        if (entities.length === 0) {
+            throw new ChartFormatError('The bundle contains no STIX domain or observable objects.');
+        }
+
+        const typeOf = (object, typeAttribute, stixType) => typeAttribute === STIXFormat.TYPE_ATTRIBUTE
+            ? stixType
+            : typeAttribute ? STIXFormat._text(object[typeAttribute]) : null;
+        const rest = (object, fields) => {
+            const result = { ...object };
+            fields.filter(Boolean).forEach(field => delete result[field]);
+
+            // Properties STIX cannot name were written as one custom property
+            const custom = result[STIXFormat.PROPERTIES_PROPERTY];
+            delete result[STIXFormat.PROPERTIES_PROPERTY];
+            return custom && typeof custom === 'object' ? { ...result, ...custom } : result;
+        };
+
+        const ids = new Set(entities.map(object => object.id));
+        const nodes = entities.map(object => {
+            const observable = STIXFormat.OBSERVABLE_TYPES.includes(object.type);
+            const [startField, endField] = observable
+                ? [null, null]
+                : STIXFormat.DATE_FIELDS[object.type] || STIXFormat.DATE_FIELDS.default;
+            const label = [object.name, object.value, object.display_name, object.path, object.key, object.number]
+                .find(value => value !== undefined && value !== null && value !== '');
+
+            // Observables keep their name and value as properties, as they have no name field
+            const fields = [...STIXFormat.OBJECT_FIELDS, startField, endField, entityTypeAttribute];
+            if (!observable) fields.push('name', 'description');
+            return {
+                id: object.id,
+                label: label !== undefined ? label : object.id,
+                type: typeOf(object, entityTypeAttribute, STIXFormat.typeName(object.type)),
+                description: observable ? null : object.description,
+                startDate: startField ? object[startField] : null,
+                endDate: endField ? object[endField] : null,
+                properties: rest(object, fields)
+            };
+        });
+
+        const relationshipFields = [...STIXFormat.OBJECT_FIELDS, STIXFormat.STRENGTH_PROPERTY, relationshipTypeAttribute];
+        const edges = relationships
+            .filter(object => ids.has(object.source_ref) && ids.has(object.target_ref))
+            .map(object => ({
+                id: object.id,
+                source: object.source_ref,
+                target: object.target_ref,
+                label: String(object.relationship_type || '').replace(/-/g, ' '),
+                type: typeOf(object, relationshipTypeAttribute, object.relationship_type),
+                strength: Number(object[STIXFormat.STRENGTH_PROPERTY]),
+                startDate: object.start_time,
+                endDate: object.stop_time,
+                properties: rest(object, [...relationshipFields, 'relationship_type', 'source_ref', 'target_ref', 'start_time', 'stop_time'])
+            }));
+
+        // A sighting at several places becomes one relationship per place
+        sightings.filter(object => ids.has(object.sighting_of_ref)).forEach(object => {
+            const refs = STIXFormat._sightedRefs(object).filter(ref => ids.has(ref));
+            refs.forEach((ref, index) => edges.push({
+                id: index === 0 ? object.id : `${object.id}_${index}`,
+                source: object.sighting_of_ref,
+                target: ref,
+                label: 'sighted at',
+                type: typeOf(object, relationshipTypeAttribute, STIXFormat.SIGHTING_TYPE),
+                strength: Number(object[STIXFormat.STRENGTH_PROPERTY]),
+                startDate: object.first_seen,
+                endDate: object.last_seen,
+                properties: rest(object, [...relationshipFields, 'sighting_of_ref', 'where_sighted_refs', 'first_seen', 'last_seen'])
+            }));
+        });
+
+        // Types created by the import take the icon and color of their STIX type
+        const chartData = GraphInterchange.buildChart({ nodes, edges });
+        chartData.entityTypes.forEach(type => {
+            const stixType = STIXFormat.objectType(type);
+            if (STIXFormat.ICONS[stixType]) type.icon = STIXFormat.ICONS[stixType];
+            if (STIXFormat.COLORS[stixType]) type.color = STIXFormat.COLORS[stixType];
+        });
+        const sightingType = chartData.getRelationshipTypeById(STIXFormat.SIGHTING_TYPE);
+        if (sightingType) sightingType.dash = true;
+
+        return chartData;
+    }
+
+    /**
+     * Entity type name of a STIX object type ("threat-actor" -> "Threat Actor")
+     * @param {string} stixType - STIX object type
+     * @returns {string}
+     */
+    static typeName(stixType) {
+        if (STIXFormat.TYPE_NAMES[stixType]) return STIXFormat.TYPE_NAMES[stixType];
+        return String(stixType).split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+
+    /**
+     * STIX object type of an entity type, or null if it is not one
+     * @param {EntityType} entityType - Entity type
+     * @returns {string|null}
+     */
+    static objectType(entityType) {
+        const key = GraphInterchange._typeKey(entityType.name);
+        const named = Object.keys(STIXFormat.TYPE_NAMES).find(stixType => STIXFormat.TYPE_NAMES[stixType].toLowerCase() === key);
+        if (named) return named;
+
+        const slug = GraphInterchange._typeId(entityType.name);
+        return [...STIXFormat.DOMAIN_TYPES, ...STIXFormat.OBSERVABLE_TYPES].includes(slug) ? slug : null;
+    }
+
+    /**
+     * Collect the objects of a bundle that become entities, relationships and sightings
+     */
+    static _read(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new ChartFormatError('The file is not valid JSON.', [error.message]);
+        }
+        if (!bundle || bundle.type !== 'bundle' || !Array.isArray(bundle.objects)) {
+            throw new ChartFormatError('The file is not a STIX bundle.');
+        }
+
+        const objects = bundle.objects.filter(object => object && typeof object.type === 'string' && typeof object.id === 'string');
+        return {
+            entities: objects.filter(object => !STIXFormat.META_TYPES.includes(object.type) &&
+                object.type !== 'relationship' && object.type !== 'sighting'),
+            relationships: objects.filter(object => object.type === 'relationship'),
+            sightings: objects.filter(object => object.type === 'sighting')
+        };
+    }
+
+    static _sightedRefs(sighting) {
+        const refs = sighting.where_sighted_refs || sighting.observed_data_refs || [];
+        return Array.isArray(refs) ? refs : [];
+    }
+
+    // STIX object type of an entity; types STIX does not know become custom objects
+    static _objectType(chartData, entity) {
+        const entityType = chartData.getEntityTypeById(entity.type);
+        const stixType = entityType ? STIXFormat.objectType(entityType) : null;
+        if (stixType && STIXFormat._hasRequired(stixType, entity)) return stixType;
+
+        const slug = GraphInterchange._typeId(entityType ? entityType.name : entity.type || 'entity')
+            .replace(/-+/g, '-').replace(/^-|-$/g, '');
+        return `x-${slug || 'entity'}`;
+    }
+
+    // Objects missing a property STIX requires, without a default, cannot keep their type
+    static _hasRequired(stixType, entity) {
+        const [startField, endField] = STIXFormat.DATE_FIELDS[stixType] || [];
+        const defaults = STIXFormat.DEFAULT_PROPERTIES[stixType] || {};
+        return (STIXFormat.REQUIRED_PROPERTIES[stixType] || []).every(property =>
+            property in defaults ||
+            (entity.properties[property] !== undefined && entity.properties[property] !== null && entity.properties[property] !== '') ||
+            (property === startField && entity.startDate) ||
+            (property === endField && entity.endDate));
+    }
+
+    static _relationshipType(chartData, rel) {
+        const relationshipType = chartData.getRelationshipTypeById(rel.type);
+        const name = rel.label || (relationshipType && relationshipType.id !== 'default' ? relationshipType.name : '') || 'related-to';
+        return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'related-to';
+    }
+
+    static _id(type, id) {
+        const match = /^([a-z0-9-]+)--([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/.exec(String(id));
+        return match && match[1] === type ? String(id) : `${type}--${STIXFormat._uuid()}`;
+    }
+
+    static _uuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.random() * 16 | 0;
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    }
+
+    /**
+     * Properties with STIX names are written as they are; the others are kept
+     * together in one custom property
+     */
+    static _properties(properties) {
+        const result = {};
+        const custom = {};
+        Object.entries(properties || {}).forEach(([name, value]) => {
+            if (value === undefined || value === null || value === '') return;
+            if (STIXFormat.OBJECT_FIELDS.includes(name)) return;
+            if (/^[a-z0-9_]{3,250}$/.test(name)) {
+                result[name] = value;
+            } else {
+                custom[name] = value;
+            }
+        });
+        if (Object.keys(custom).length > 0) {
+            result[STIXFormat.PROPERTIES_PROPERTY] = custom;
+        }
+        return result;
+    }
+
+    // STIX timestamps are UTC with a time
+    static _timestamp(date) {
+        const time = new Date(/T/.test(date) ? date : `${date}T00:00:00Z`);
+        return Number.isNaN(time.getTime()) ? date : time.toISOString();
+    }
+
+    static _text(value) {
+        return value === undefined || value === null || typeof value === 'object' ? null : String(value);
+    }
+
+    // Common properties first, then the others; STIX has no null or empty properties
+    static _object(object, properties) {
+        const result = {};
+        Object.entries({ ...object, ...properties, ...object }).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)) {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+}
+
+STIXFormat.id = 'stix';
+STIXFormat.label = 'STIX 2.1 bundle';
+STIXFormat.extensions = ['.json'];
+STIXFormat.mimeType = 'application/json';
+
+// Pseudo attribute offered as type source on import: the STIX object or relationship type
+STIXFormat.TYPE_ATTRIBUTE = ':stix type';
+
+// Relationship type of imported sightings
+STIXFormat.SIGHTING_TYPE = 'sighting';
+
+// Custom properties for what STIX has no place for
+STIXFormat.STRENGTH_PROPERTY = 'x_linkchart_strength';
+STIXFormat.PROPERTIES_PROPERTY = 'x_linkchart_properties';
+
+// Common properties of every object, written from the entity or relationship itself
+STIXFormat.OBJECT_FIELDS = ['type', 'id', 'spec_version'];
+
+STIXFormat.DOMAIN_TYPES = [
+    'attack-pattern', 'campaign', 'course-of-action', 'grouping', 'identity', 'incident', 'indicator',
+    'infrastructure', 'intrusion-set', 'location', 'malware', 'malware-analysis', 'note', 'observed-data',
+    'opinion', 'report', 'threat-actor', 'tool', 'vulnerability'
+];
+
+STIXFormat.OBSERVABLE_TYPES = [
+    'artifact', 'autonomous-system', 'directory', 'domain-name', 'email-addr', 'email-message', 'file',
+    'ipv4-addr', 'ipv6-addr', 'mac-addr', 'mutex', 'network-traffic', 'process', 'software', 'url',
+    'user-account', 'windows-registry-key', 'x509-certificate'
+];
+
+// Observables whose value is their name in the chart
+STIXFormat.VALUE_TYPES = ['domain-name', 'email-addr', 'ipv4-addr', 'ipv6-addr', 'mac-addr', 'url'];
+
+// Objects about the bundle rather than the threat
+STIXFormat.META_TYPES = ['marking-definition', 'extension-definition', 'language-content'];
+
+// Properties holding the start and end date of an object
+STIXFormat.DATE_FIELDS = {
+    default: ['first_seen', 'last_seen'],
+    campaign: ['first_seen', 'last_seen'],
+    indicator: ['valid_from', 'valid_until'],
+    'observed-data': ['first_observed', 'last_observed'],
+    report: ['published', null],
+    'attack-pattern': [null, null],
+    'course-of-action': [null, null],
+    grouping: [null, null],
+    identity: [null, null],
+    location: [null, null],
+    'malware-analysis': [null, null],
+    note: [null, null],
+    opinion: [null, null],
+    tool: [null, null],
+    vulnerability: [null, null]
+};
+
+// Properties without which an object is not valid STIX (besides the common ones)
+STIXFormat.REQUIRED_PROPERTIES = {
+    grouping: ['context', 'object_refs'],
+    indicator: ['pattern', 'pattern_type', 'valid_from'],
+    malware: ['is_family'],
+    'malware-analysis': ['product'],
+    note: ['content', 'object_refs'],
+    'observed-data': ['first_observed', 'last_observed', 'number_observed', 'object_refs'],
+    opinion: ['opinion', 'object_refs'],
+    report: ['published', 'object_refs'],
+    location: ['region'],
+    'autonomous-system': ['number'],
+    'network-traffic': ['protocols'],
+    'windows-registry-key': ['key'],
+    'email-message': ['is_multipart'],
+    directory: ['path'],
+    mutex: ['name'],
+    'user-account': ['user_id']
+};
+
+// Values of required properties the chart has no place for
+STIXFormat.DEFAULT_PROPERTIES = {
+    malware: { is_family: false }
+};
+
+// Objects a sighting can be sighted at; other sightings are written as relationships
+STIXFormat.SIGHTED_AT_TYPES = ['identity', 'location'];
+
+STIXFormat.TYPE_NAMES = {
+    'ipv4-addr': 'IPv4 Address',
+    'ipv6-addr': 'IPv6 Address',
+    'email-addr': 'Email Address',
+    'mac-addr': 'MAC Address',
+    url: 'URL',
+    'x509-certificate': 'X.509 Certificate'
+};
+
+STIXFormat.ICONS = {
+    'attack-pattern': 'bi-crosshair',
+    campaign: 'bi-megaphone',
+    'course-of-action': 'bi-shield-check',
+    grouping: 'bi-collection',
+    identity: 'bi-person-vcard',
+    incident: 'bi-exclamation-octagon',
+    indicator: 'bi-flag',
+    infrastructure: 'bi-hdd-network',
+    'intrusion-set': 'bi-diagram-3',
+    location: 'bi-geo-alt',
+    malware: 'bi-bug',
+    'malware-analysis': 'bi-clipboard-data',
+    note: 'bi-sticky',
+    'observed-data': 'bi-eye',
+    opinion: 'bi-chat-quote',
+    report: 'bi-file-earmark-text',
+    'threat-actor': 'bi-incognito',
+    tool: 'bi-tools',
+    vulnerability: 'bi-unlock',
+    'domain-name': 'bi-globe',
+    'email-addr': 'bi-envelope',
+    file: 'bi-file-earmark-binary',
+    'ipv4-addr': 'bi-router',
+    'ipv6-addr': 'bi-router',
+    'mac-addr': 'bi-ethernet',
+    process: 'bi-cpu',
+    software: 'bi-window',
+    url: 'bi-link-45deg',
+    'user-account': 'bi-person-circle'
+};
+
+STIXFormat.COLORS = {
+    'threat-actor': '#d63031',
+    'intrusion-set': '#e84393',
+    campaign: '#fd79a8',
+    malware: '#e17055',
+    tool: '#fab1a0',
+    'attack-pattern': '#6c5ce7',
+    indicator: '#fdcb6e',
+    infrastructure: '#0984e3',
+    identity: '#00b894',
+    vulnerability: '#a29bfe',
+    'course-of-action': '#55efc4',
+    report: '#636e72'
+};
@@ -0,0 +1,177 @@
+/**
+ * Chart storage module for LinkChart JS
+ *
+ * ChartStore keeps the workspace's charts in IndexedDB. Chart metadata (name,
+ * timestamps, counts) and chart contents live in separate object stores so the
+ * chart list can be shown without reading every chart. Snapshots (checkpoints
+ * of a chart) are split the same way. The sessions store holds autosaved
+ * working copies for crash recovery.
+ */
+
+class ChartStore {
+    constructor(dbName = 'linkchartjs', version = 3) {
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+    }
+
+    /**
+     * Open the database, creating the object stores on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        if (!window.indexedDB) {
+            return Promise.reject(new Error('This browser does not support IndexedDB, so charts cannot be stored.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('charts')) {
+                    db.createObjectStore('charts', { keyPath: 'id' })
+                        .createIndex('modifiedAt', 'modifiedAt');
+                }
+                if (!db.objectStoreNames.contains('chartContents')) {
+                    db.createObjectStore('chartContents', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    db.createObjectStore('snapshots', { keyPath: 'id' })
+                        .createIndex('chartId', 'chartId');
+                }
+                if (!db.objectStoreNames.contains('snapshotContents')) {
+                    db.createObjectStore('snapshotContents', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the metadata of all charts, most recently modified first
+     * @returns {Promise<Array>} - Chart metadata records
+     */
+    async listCharts() {
+        const charts = await this._run(['charts'], 'readonly', tx => tx.objectStore('charts').getAll());
+        return charts.sort((a, b) => b.modifiedAt - a.modifiedAt);
+    }
+
+    async getChartMeta(id) {
+        return this._run(['charts'], 'readonly', tx => tx.objectStore('charts').get(id));
+    }
+
+    /**
+     * Get a chart's stored JSON text
+     * @param {string} id - Chart ID
+     * @returns {Promise<string|undefined>}
+     */
+    async getChartContents(id) {
+        const record = await this._run(['chartContents'], 'readonly', tx => tx.objectStore('chartContents').get(id));
+        return record ? record.json : undefined;
+    }
+
+    /**
+     * Store a chart's metadata and, if given, its contents in one transaction
+     * @param {Object} meta - Chart metadata ({ id, name, createdAt, modifiedAt, ... })
+     * @param {string} json - Chart JSON text, or null to only update the metadata
+     */
+    async putChart(meta, json = null) {
+        return this._run(['charts', 'chartContents'], 'readwrite', tx => {
+            if (json !== null) {
+                tx.objectStore('chartContents').put({ id: meta.id, json });
+            }
+            return tx.objectStore('charts').put(meta);
+        });
+    }
+
+    async deleteChart(id) {
+        return this._run(['charts', 'chartContents'], 'readwrite', tx => {
+            tx.objectStore('chartContents').delete(id);
+            return tx.objectStore('charts').delete(id);
+        });
+    }
+
+    /**
+     * Get the metadata of a chart's snapshots, newest first
+     * @param {string} chartId - Chart ID
+     * @returns {Promise<Array>} - Snapshot metadata records
+     */
+    async listSnapshots(chartId) {
+        const snapshots = await this._run(['snapshots'], 'readonly', tx =>
+            tx.objectStore('snapshots').index('chartId').getAll(chartId)
+        );
+        return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async getSnapshotMeta(id) {
+        return this._run(['snapshots'], 'readonly', tx => tx.objectStore('snapshots').get(id));
+    }
+
+    async getSnapshotContents(id) {
+        const record = await this._run(['snapshotContents'], 'readonly', tx => tx.objectStore('snapshotContents').get(id));
+        return record ? record.json : undefined;
+    }
+
+    async putSnapshot(meta, json = null) {
+        return this._run(['snapshots', 'snapshotContents'], 'readwrite', tx => {
+            if (json !== null) {
+                tx.objectStore('snapshotContents').put({ id: meta.id, json });
+            }
+            return tx.objectStore('snapshots').put(meta);
+        });
+    }
+
+    async deleteSnapshots(ids) {
+        return this._run(['snapshots', 'snapshotContents'], 'readwrite', tx => {
+            ids.forEach(id => {
+                tx.objectStore('snapshotContents').delete(id);
+                tx.objectStore('snapshots').delete(id);
+            });
+        });
+    }
+
+    async getSession(id) {
+        return this._run(['sessions'], 'readonly', tx => tx.objectStore('sessions').get(id));
+    }
+
+    /**
+     * Store an autosaved session, replacing any earlier one with the same ID
+     * @param {Object} session - Session record ({ id, savedAt, json, ... })
+     */
+    async putSession(session) {
+        return this._run(['sessions'], 'readwrite', tx => tx.objectStore('sessions').put(session));
+    }
+
+    async deleteSession(id) {
+        return this._run(['sessions'], 'readwrite', tx => tx.objectStore('sessions').delete(id));
+    }
+
+    /**
+     * Run requests in a transaction and resolve with the result of the
+     * returned request once the transaction has completed
+     */
+    async _run(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const request = callback(tx);
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Storage transaction was aborted'));
+        });
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * Timeline module for LinkChart JS
+ *
+ * TimelineControl shows a time window slider under the chart whenever the
+ * data has start/end dates. While enabled it limits the chart to entities and
+ * relationships valid during the window, and it can play the window forward
+ * to show the graph evolving over time.
+ */
+
+class TimelineControl {
+    constructor(chart) {
+        this.chart = chart;
+        this.extent = null;
+        this.enabled = false;
+        this.playTimer = null;
+        this.steps = 100; // Slider resolution
+        this.playInterval = 100; // ms per animation step
+    }
+
+    init() {
+        this.panel = document.getElementById('timeline-panel');
+        this.fromSlider = document.getElementById('timeline-from');
+        this.toSlider = document.getElementById('timeline-to');
+        this.label = document.getElementById('timeline-label');
+        this.playButton = document.getElementById('timeline-play');
+        this.enabledToggle = document.getElementById('timeline-enabled');
+
+        this.fromSlider.max = this.steps;
+        this.toSlider.max = this.steps;
+        this.toSlider.value = this.steps;
+
+        // Keep the window start before its end
+        this.fromSlider.addEventListener('input', () => {
+            if (+this.fromSlider.value > +this.toSlider.value) {
+                this.toSlider.value = this.fromSlider.value;
+            }
+            this.stop();
+            this.setEnabled(true);
+        });
+
+        this.toSlider.addEventListener('input', () => {
+            if (+this.toSlider.value < +this.fromSlider.value) {
+                this.fromSlider.value = this.toSlider.value;
+            }
+            this.stop();
+            this.setEnabled(true);
+        });
+
+        this.enabledToggle.addEventListener('change', () => {
+            this.stop();
+            this.setEnabled(this.enabledToggle.checked);
+        });
+
+        this.playButton.addEventListener('click', () => {
+            if (this.playTimer) {
+                this.stop();
+            } else {
+                this.play();
+            }
+        });
+
+        this.chart.onDataEvent('changed', () => this.refresh());
+        this.chart.on('data:replaced', () => {
+            // The chart drops its time filter with the old data
+            this.stop();
+            this.enabled = false;
+            this.enabledToggle.checked = false;
+            this.fromSlider.value = 0;
+            this.toSlider.value = this.steps;
+            this.refresh();
+        });
+
+        this.refresh();
+    }
+
+    /**
+     * Show or hide the timeline depending on whether the data has dates
+     */
+    refresh() {
+        this.extent = this.chart.data.getTimeExtent();
+
+        const visualizationArea = this.panel.closest('.visualization-area');
+        const wasVisible = visualizationArea.classList.contains('has-timeline');
+        visualizationArea.classList.toggle('has-timeline', !!this.extent);
+        if (wasVisible !== !!this.extent) {
+            this.chart.handleResize();
+        }
+
+        if (!this.extent) {
+            this.stop();
+            this.setEnabled(false);
+            return;
+        }
+
+        this.panel.classList.toggle('disabled', !this.enabled);
+        this.updateLabel();
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled && !!this.extent;
+        this.enabledToggle.checked = this.enabled;
+        this.panel.classList.toggle('disabled', !this.enabled);
+
+        if (this.enabled) {
+            this.applyWindow();
+        } else {
+            this.chart.clearTimeFilter();
+            this.updateLabel();
+        }
+    }
+
+    /**
+     * Convert a slider position to a timestamp within the data's time extent
+     * @param {number} step - Slider position (0..steps)
+     * @returns {number} - ms since epoch
+     */
+    stepToTime(step) {
+        return this.extent.min + (this.extent.max - this.extent.min) * (step / this.steps);
+    }
+
+    /**
+     * Filter the chart to the window selected by the sliders
+     */
+    applyWindow() {
+        if (!this.extent) return;
+
+        this.chart.setTimeFilter(
+            this.stepToTime(+this.fromSlider.value),
+            this.stepToTime(+this.toSlider.value)
+        );
+        this.updateLabel();
+    }
+
+    updateLabel() {
+        if (!this.extent) {
+            this.label.textContent = '';
+            return;
+        }
+
+        const format = time => new Date(time).toLocaleDateString();
+        const from = this.enabled ? this.stepToTime(+this.fromSlider.value) : this.extent.min;
+        const to = this.enabled ? this.stepToTime(+this.toSlider.value) : this.extent.max;
+        this.label.textContent = `${format(from)} – ${format(to)}`;
+    }
+
+    /**
+     * Animate the window forward. A window covering the whole range grows from
+     * the start (cumulative view); a narrower window slides along keeping its width.
+     */
+    play() {
+        if (!this.extent) return;
+
+        let from = +this.fromSlider.value;
+        let to = +this.toSlider.value;
+        const width = to - from;
+        const cumulative = width >= this.steps;
+
+        // Rewind when starting from the end
+        if (cumulative) {
+            from = 0;
+            to = 0;
+        } else if (to >= this.steps) {
+            from = 0;
+            to = width;
+        }
+
+        this.fromSlider.value = from;
+        this.toSlider.value = to;
+        this.setEnabled(true);
+
+        this.playButton.innerHTML = '<i class="bi bi-pause-fill"></i>';
+        this.playButton.title = 'Pause';
+
+        this.playTimer = setInterval(() => {
+            if (+this.toSlider.value >= this.steps) {
+                this.stop();
+                return;
+            }
+
+            this.toSlider.value = +this.toSlider.value + 1;
+            if (!cumulative) {
+                this.fromSlider.value = +this.fromSlider.value + 1;
+            }
+            this.applyWindow();
+        }, this.playInterval);
+    }
+
+    stop() {
+        if (!this.playTimer) return;
+
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        this.playButton.innerHTML = '<i class="bi bi-play-fill"></i>';
+        this.playButton.title = 'Play';
+    }
+}
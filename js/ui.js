@@ -10,13 +10,20 @@ class UiManager {
         this.relationshipSource = null;
         this.entityModal = null;
         this.editingEntityId = null;
+        this.mergeModal = null;
+        this.mergeSourceId = null;
+        this.mergeSelection = new Set();
+        this.chartUpgradeNote = ''; // Status bar note for a chart opened from an older format
+        this.selectedRelationshipId = null; // Relationship shown in the properties panel
     }
 
     init() {
         this.initDragAndDrop();
         this.initChartControls();
         this.initEntityModal();
+        this.initMergeModal();
         this.setupEntitySelectionHandler();
+        this.setupDataEventHandlers();
         
         // Check if we have entity types, if not, create default ones
         if (this.chart.data.entityTypes.length === 0) {
@@ -85,48 +92,163 @@ class UiManager {
 
         // File operations
         document.getElementById('new-chart').addEventListener('click', () => {
-            if (confirm('Create a new chart? All unsaved changes will be lost.')) {
-                this.chart.updateData(new ChartData());
-                this.updateStatusBar('New chart created');
-            }
+            this.createNewChart();
         });
 
         document.getElementById('save-chart').addEventListener('click', () => {
-            dataManager.saveChart(this.chart.data);
-            this.updateStatusBar('Chart saved');
+            this.saveCurrentChart();
         });
 
-        document.getElementById('load-chart').addEventListener('click', async () => {
-            const data = await dataManager.loadChart();
-            if (data) {
-                this.chart.updateData(data);
-                this.updateStatusBar('Chart loaded');
-                this.chart.fitView();
+        // The Open button lists the most recent charts of the workspace
+        document.getElementById('load-chart').addEventListener('show.bs.dropdown', () => {
+            this.populateRecentCharts();
+        });
+
+        document.getElementById('import-chart').addEventListener('click', () => {
+            document.getElementById('import-chart-file').click();
+        });
+
+        document.getElementById('import-chart-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file || !this.confirmDiscardChanges()) return;
+            
+            try {
+                const text = await dataManager.readFile(file);
+                
+                // Files of other graph tools ask for import options first
+                const graphFormat = dataManager.detectGraphFormat(file.name, text);
+                if (graphFormat) {
+                    this.showGraphImportModal(graphFormat, file.name, text);
+                    return;
+                }
+                
+                this.chartUpgradeNote = '';
+                const data = await dataManager.parseChart(text);
+                if (!data) return;
+                
+                // Opened files become charts of the workspace
+                await dataManager.createChart(file.name.replace(/\.json$/i, ''), data);
+                this.chart.openData(data);
+                this.updateStatusBar(`Opened ${file.name}${this.chartUpgradeNote}`);
+            } catch (error) {
+                this.reportChartLoadError(error, file.name);
             }
         });
 
-        document.getElementById('export-chart').addEventListener('click', () => {
+        this.mergeImportModal = new bootstrap.Modal(document.getElementById('mergeImportModal'));
+        document.getElementById('merge-chart').addEventListener('click', () => {
+            document.getElementById('merge-chart-file').click();
+        });
+        document.getElementById('merge-chart-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                const data = await dataManager.readChartForMerge(file);
+                if (data) {
+                    this.showMergeImportModal(data, file.name);
+                }
+            } catch (error) {
+                this.reportChartLoadError(error, file.name);
+            }
+        });
+        document.getElementById('merge-import-match').addEventListener('change', (e) => {
+            document.getElementById('merge-import-property-group').style.display =
+                e.target.value === 'property' ? '' : 'none';
+        });
+        document.getElementById('confirm-merge-import').addEventListener('click', () => {
+            this.performMergeImport();
+        });
+
+        document.getElementById('export-chart').addEventListener('click', (e) => {
+            e.preventDefault();
             dataManager.exportChart(this.chart.data);
             this.updateStatusBar('Chart exported');
         });
         
+        document.querySelectorAll('[data-export-format]').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                const format = dataManager.graphFormats[item.getAttribute('data-export-format')];
+                const mode = item.getAttribute('data-export-mode');
+                if (mode === 'selection' && !this.chart.selectedEntity) {
+                    alert('Select an entity first.');
+                    return;
+                }
+                
+                const options = {
+                    selectedEntityId: this.chart.selectedEntity ? this.chart.selectedEntity.id : null
+                };
+                if (mode) {
+                    options.mode = mode;
+                }
+                if (dataManager.exportGraph(this.chart.data, format.id, options)) {
+                    this.updateStatusBar(`Exported ${format.label}`);
+                } else {
+                    alert(`The chart could not be exported as ${format.label}.`);
+                }
+            });
+        });
+        
+        this.imageExportModal = new bootstrap.Modal(document.getElementById('imageExportModal'));
+        document.getElementById('export-image').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.imageExportModal.show();
+        });
+        document.querySelectorAll('input[name="image-export-format"]').forEach(input => {
+            input.addEventListener('change', () => {
+                document.getElementById('image-export-scale').disabled =
+                    document.getElementById('image-export-svg').checked;
+            });
+        });
+        document.getElementById('confirm-image-export').addEventListener('click', () => {
+            this.performImageExport();
+        });
+        
+        this.csvExportModal = new bootstrap.Modal(document.getElementById('csvExportModal'));
+        document.getElementById('export-csv').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showCsvExportModal();
+        });
+        document.getElementById('confirm-csv-export').addEventListener('click', () => {
+            this.performCsvExport();
+        });
+        
+        this.rdfExportModal = new bootstrap.Modal(document.getElementById('rdfExportModal'));
+        document.getElementById('export-rdf').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.rdfExportModal.show();
+        });
+        document.getElementById('confirm-rdf-export').addEventListener('click', () => {
+            this.performRdfExport();
+        });
+        
+        this.graphImportModal = new bootstrap.Modal(document.getElementById('graphImportModal'));
+        document.getElementById('confirm-graph-import').addEventListener('click', () => {
+            this.performGraphImport();
+        });
+        
         // Add layout control handlers
         document.getElementById('hierarchical-layout')?.addEventListener('click', () => {
+            this.chart.data.lastLayoutType = 'hierarchical';
             this.chart.optimizeHierarchicalLayout();
             this.updateStatusBar('Applied hierarchical layout');
         });
         
         document.getElementById('force-layout')?.addEventListener('click', () => {
-            // Reset all fixed positions and restart simulation
-            this.chart.nodes.forEach(node => {
-                node.fx = null;
-                node.fy = null;
-            });
+            this.chart.data.lastLayoutType = 'force';
+            
+            // Reset all fixed positions (including pins) and restart simulation
+            this.chart.unpinAll();
             this.chart.simulation.alpha(0.5).restart();
             this.updateStatusBar('Applied force-directed layout');
         });
         
         document.getElementById('circular-layout')?.addEventListener('click', () => {
+            this.chart.data.lastLayoutType = 'circular';
+            
             // Position nodes in a circle
             const center = {
                 x: this.chart.width / 2,
@@ -145,10 +267,7 @@ class UiManager {
                 node.fy = node.y;
                 
                 // Schedule unpinning after layout stabilizes
-                setTimeout(() => {
-                    node.fx = null;
-                    node.fy = null;
-                }, 1500);
+                setTimeout(() => this.chart.releaseNode(node), 1500);
             });
             
             this.chart.simulation.alpha(0.3).restart();
@@ -157,6 +276,7 @@ class UiManager {
         
         // Add Analysis button handler
         document.getElementById('analyze-chart').addEventListener('click', () => {
+            document.querySelector('.app-container').classList.remove('has-new-data');
             this.performAnalysis();
         });
         
@@ -175,66 +295,1064 @@ class UiManager {
         });
     }
 
-    initEntityModal() {
-        this.entityModal = new bootstrap.Modal(document.getElementById('entityModal'));
+    initEntityModal() {
+        this.entityModal = new bootstrap.Modal(document.getElementById('entityModal'));
+        
+        document.getElementById('save-entity').addEventListener('click', () => {
+            this.saveEntityFromModal();
+        });
+        
+        // Reset form when modal is hidden
+        document.getElementById('entityModal').addEventListener('hidden.bs.modal', () => {
+            document.getElementById('entity-form').reset();
+            this.editingEntityId = null;
+        });
+    }
+
+    /**
+     * Wire up the chart workspace (recent charts menu and chart list)
+     */
+    initWorkspaceControls() {
+        this.workspaceModal = new bootstrap.Modal(document.getElementById('workspaceModal'));
+        
+        document.getElementById('workspace-new-chart').addEventListener('click', () => {
+            this.workspaceModal.hide();
+            this.createNewChart();
+        });
+        
+        dataManager.onCurrentChartChange = () => this.updateChartName();
+        dataManager.onChartUpgraded = (fromVersion) => {
+            this.chartUpgradeNote = ` (upgraded from format ${fromVersion})`;
+        };
+        this.updateChartName();
+        
+        this.initSnapshotControls();
+    }
+
+    initSnapshotControls() {
+        this.snapshotsModal = new bootstrap.Modal(document.getElementById('snapshotsModal'));
+        
+        document.getElementById('snapshots').addEventListener('click', () => {
+            this.showSnapshotsModal();
+        });
+        
+        document.getElementById('take-snapshot').addEventListener('click', () => {
+            this.takeSnapshot();
+        });
+        
+        document.getElementById('snapshot-name').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.takeSnapshot();
+            }
+        });
+    }
+
+    async showSnapshotsModal() {
+        document.getElementById('snapshot-name').value = '';
+        await this.renderSnapshotList();
+        this.snapshotsModal.show();
+    }
+
+    async renderSnapshotList() {
+        const list = document.getElementById('snapshot-list');
+        const current = dataManager.getCurrentChart();
+        const { maxNamed, maxAutomatic, maxAutomaticAge } = dataManager.snapshotRetention;
+        
+        document.getElementById('take-snapshot').disabled = !current;
+        document.getElementById('snapshot-retention-note').textContent =
+            `Up to ${maxNamed} named snapshots and ${maxAutomatic} automatic checkpoints ` +
+            `(at most ${Math.round(maxAutomaticAge / 86400000)} days old) are kept per chart. ` +
+            'Rename an automatic checkpoint to keep it.';
+        
+        if (!current) {
+            list.innerHTML = '<tr><td colspan="5" class="text-muted">Save the chart to take snapshots</td></tr>';
+            return;
+        }
+        
+        const snapshots = await dataManager.listSnapshots();
+        if (snapshots.length === 0) {
+            list.innerHTML = '<tr><td colspan="5" class="text-muted">No snapshots of this chart yet</td></tr>';
+            return;
+        }
+        
+        list.innerHTML = snapshots.map(snapshot => `
+            <tr data-snapshot-id="${this.escapeHTML(snapshot.id)}">
+                <td>
+                    ${this.escapeHTML(snapshot.name)}
+                    ${snapshot.automatic ? '<span class="badge bg-secondary ms-1">auto</span>' : ''}
+                </td>
+                <td>${this.formatTimestamp(snapshot.createdAt)}</td>
+                <td>${snapshot.entityCount}</td>
+                <td>${snapshot.relationshipCount}</td>
+                <td class="text-end text-nowrap">
+                    <button class="btn btn-sm btn-outline-primary snapshot-restore" title="Restore into this chart"><i class="bi bi-arrow-counterclockwise"></i></button>
+                    <button class="btn btn-sm btn-outline-primary snapshot-restore-new" title="Restore as a new chart"><i class="bi bi-file-earmark-plus"></i></button>
+                    <button class="btn btn-sm btn-outline-secondary snapshot-rename" title="Rename"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-sm btn-outline-danger snapshot-delete" title="Delete"><i class="bi bi-trash"></i></button>
+                </td>
+            </tr>
+        `).join('');
+        
+        list.querySelectorAll('tr[data-snapshot-id]').forEach(row => {
+            const snapshot = snapshots.find(s => s.id === row.getAttribute('data-snapshot-id'));
+            
+            row.querySelector('.snapshot-restore').addEventListener('click', () => this.restoreSnapshot(snapshot));
+            row.querySelector('.snapshot-restore-new').addEventListener('click', () => this.restoreSnapshotAsNewChart(snapshot));
+            
+            row.querySelector('.snapshot-rename').addEventListener('click', async () => {
+                const name = prompt('Rename snapshot:', snapshot.name);
+                if (!name || !name.trim()) return;
+                
+                try {
+                    await dataManager.renameSnapshot(snapshot.id, name.trim());
+                    this.renderSnapshotList();
+                } catch (error) {
+                    console.error('Error renaming snapshot:', error);
+                    alert(`The snapshot could not be renamed:\n${error.message}`);
+                }
+            });
+            
+            row.querySelector('.snapshot-delete').addEventListener('click', async () => {
+                if (!confirm(`Delete snapshot "${snapshot.name}"?`)) return;
+                
+                try {
+                    await dataManager.deleteSnapshot(snapshot.id);
+                    this.renderSnapshotList();
+                } catch (error) {
+                    console.error('Error deleting snapshot:', error);
+                    alert(`The snapshot could not be deleted:\n${error.message}`);
+                }
+            });
+        });
+    }
+
+    async takeSnapshot() {
+        const nameInput = document.getElementById('snapshot-name');
+        const name = nameInput.value.trim() || `Snapshot ${new Date().toLocaleString()}`;
+        
+        try {
+            await dataManager.createSnapshot(this.chart.data, name);
+            nameInput.value = '';
+            this.updateStatusBar(`Took snapshot "${name}"`);
+            this.renderSnapshotList();
+        } catch (error) {
+            console.error('Error taking snapshot:', error);
+            alert(`The snapshot could not be taken:\n${error.message}`);
+        }
+    }
+
+    /**
+     * Checkpoint the chart before a larger change (merge, import). Charts
+     * that were never saved have no snapshots, so nothing is stored for them.
+     * @param {string} name - Snapshot name describing the upcoming change
+     */
+    async takeAutomaticSnapshot(name) {
+        if (!dataManager.getCurrentChart()) return;
+        
+        try {
+            await dataManager.createSnapshot(this.chart.data, name, true);
+        } catch (error) {
+            console.error('Error taking automatic snapshot:', error);
+        }
+    }
+
+    async restoreSnapshot(snapshot) {
+        if (!confirm(`Replace the chart with snapshot "${snapshot.name}"? The current state is kept as an automatic snapshot.`)) {
+            return;
+        }
+        
+        try {
+            const data = await dataManager.restoreSnapshot(snapshot.id, this.chart.data);
+            if (!data) return;
+            
+            this.snapshotsModal.hide();
+            this.chart.openData(data);
+            this.updateStatusBar(`Restored snapshot "${snapshot.name}"`);
+        } catch (error) {
+            this.reportChartLoadError(error, `snapshot "${snapshot.name}"`);
+        }
+    }
+
+    async restoreSnapshotAsNewChart(snapshot) {
+        if (!this.confirmDiscardChanges()) return;
+        
+        const current = dataManager.getCurrentChart();
+        const name = prompt('Name of the new chart:', `${current ? current.name : 'Chart'} - ${snapshot.name}`);
+        if (name === null) return;
+        
+        try {
+            const data = await dataManager.restoreSnapshotAsNewChart(snapshot.id, name.trim() || 'Untitled chart');
+            if (!data) return;
+            
+            this.snapshotsModal.hide();
+            this.chart.openData(data);
+            this.updateStatusBar(`Created "${dataManager.getCurrentChart().name}" from snapshot "${snapshot.name}"`);
+        } catch (error) {
+            this.reportChartLoadError(error, `snapshot "${snapshot.name}"`);
+        }
+    }
+
+    updateChartName() {
+        const current = dataManager.getCurrentChart();
+        const nameElement = document.getElementById('current-chart-name');
+        nameElement.textContent = current ? current.name : 'Unsaved chart';
+        nameElement.classList.toggle('unsaved', !current);
+    }
+
+    /**
+     * Show the autosave state and keep the page title in sync with it
+     * @param {AutosaveManager} autosave - Tracks unsaved changes
+     */
+    initAutosaveControls(autosave) {
+        this.autosave = autosave;
+        this.baseTitle = document.title;
+        
+        autosave.onChange = () => this.updateUnsavedIndicator();
+        this.updateUnsavedIndicator();
+    }
+
+    updateUnsavedIndicator() {
+        const dirty = this.autosave.hasUnsavedChanges();
+        const indicator = document.getElementById('unsaved-indicator');
+        
+        indicator.hidden = !dirty;
+        indicator.title = this.autosave.lastAutosaveAt
+            ? `Unsaved changes (backed up ${new Date(this.autosave.lastAutosaveAt).toLocaleTimeString()})`
+            : 'Unsaved changes';
+        document.title = dirty ? `* ${this.baseTitle}` : this.baseTitle;
+    }
+
+    /**
+     * Ask before replacing a chart that has unsaved changes
+     * @returns {boolean} - True if it is fine to continue
+     */
+    confirmDiscardChanges() {
+        if (!this.autosave || !this.autosave.hasUnsavedChanges()) return true;
+        
+        const current = dataManager.getCurrentChart();
+        const chartLabel = current ? `"${current.name}"` : 'the current chart';
+        return confirm(`Discard the unsaved changes to ${chartLabel}?`);
+    }
+
+    async createNewChart() {
+        if (!this.confirmDiscardChanges()) return;
+        
+        const name = prompt('Name of the new chart:', 'Untitled chart');
+        if (name === null) return;
+        
+        try {
+            const chartData = new ChartData();
+            await dataManager.createChart(name.trim() || 'Untitled chart', chartData);
+            this.chart.updateData(chartData);
+            this.updateStatusBar(`Created chart "${dataManager.getCurrentChart().name}"`);
+        } catch (error) {
+            console.error('Error creating chart:', error);
+            alert(`The chart could not be created:\n${error.message}`);
+        }
+    }
+
+    async saveCurrentChart() {
+        let name;
+        if (!dataManager.getCurrentChart()) {
+            name = prompt('Save chart as:', 'Untitled chart');
+            if (name === null) return;
+        }
+        
+        try {
+            const meta = await dataManager.saveChart(this.chart.data, (name || '').trim() || undefined);
+            this.updateStatusBar(`Saved "${meta.name}"`);
+        } catch (error) {
+            console.error('Error saving chart:', error);
+            alert(`The chart could not be saved:\n${error.message}`);
+        }
+    }
+
+    /**
+     * Open a chart of the workspace in the visualization
+     * @param {string} id - Chart ID
+     */
+    async openChart(id) {
+        if (!this.confirmDiscardChanges()) return;
+        
+        try {
+            this.chartUpgradeNote = '';
+            const data = await dataManager.loadChart(id);
+            if (data) {
+                this.chart.openData(data);
+                this.updateStatusBar(`Opened "${dataManager.getCurrentChart().name}"${this.chartUpgradeNote}`);
+            }
+        } catch (error) {
+            this.reportChartLoadError(error);
+        }
+    }
+
+    /**
+     * Ask how to merge a chart file into the open chart
+     * @param {ChartData} data - Chart read from the file
+     * @param {string} fileName - Name of the chosen file
+     */
+    showMergeImportModal(data, fileName) {
+        this.pendingMergeImport = { data, fileName };
+        const collisions = data.entities.filter(entity => this.chart.data.getEntityById(entity.id)).length;
+        
+        document.getElementById('merge-import-summary').textContent =
+            `${fileName}: ${data.entities.length} entities, ${data.relationships.length} relationships. ` +
+            `${collisions} entity IDs are already in this chart.`;
+        
+        // Properties both charts have are the useful ones to match on
+        const keys = chartData => new Set(chartData.entities.flatMap(entity => Object.keys(entity.properties)));
+        const currentKeys = keys(this.chart.data);
+        const sharedKeys = Array.from(keys(data)).filter(key => currentKeys.has(key)).sort();
+        document.getElementById('merge-import-property').innerHTML = sharedKeys.map(key =>
+            `<option value="${this.escapeHTML(key)}">${this.escapeHTML(key)}</option>`
+        ).join('');
+        document.querySelector('#merge-import-match option[value="property"]').disabled = sharedKeys.length === 0;
+        
+        const match = document.getElementById('merge-import-match');
+        if (match.value === 'property' && sharedKeys.length === 0) {
+            match.value = 'id';
+        }
+        document.getElementById('merge-import-property-group').style.display = match.value === 'property' ? '' : 'none';
+        document.getElementById('merge-import-options').style.display = '';
+        document.getElementById('merge-import-report').style.display = 'none';
+        document.getElementById('confirm-merge-import').style.display = '';
+        document.getElementById('merge-import-close').textContent = 'Cancel';
+        
+        this.mergeImportModal.show();
+    }
+
+    /**
+     * Merge the pending chart file and show what was added, matched and skipped
+     */
+    async performMergeImport() {
+        const { data, fileName } = this.pendingMergeImport;
+        const options = {
+            matchBy: document.getElementById('merge-import-match').value,
+            matchProperty: document.getElementById('merge-import-property').value || null
+        };
+        
+        let summary;
+        try {
+            await this.takeAutomaticSnapshot(`Before merging ${fileName}`);
+            summary = this.chart.data.mergeChart(data, options);
+        } catch (error) {
+            console.error('Error merging chart:', error);
+            this.mergeImportModal.hide();
+            this.updateStatusBar(`Could not merge ${fileName}`);
+            alert(`${fileName} could not be merged into the chart:\n${error.message}`);
+            return;
+        } finally {
+            this.pendingMergeImport = null;
+        }
+        this.chart.fitView();
+        
+        const row = (label, counts) => `
+            <tr>
+                <td>${label}</td>
+                <td>${counts.added}</td>
+                <td>${counts.matched !== undefined ? counts.matched : '-'}</td>
+                <td>${counts.skipped !== undefined ? counts.skipped : '-'}</td>
+            </tr>
+        `;
+        const notes = [];
+        if (summary.entities.rekeyed > 0) {
+            notes.push(`${summary.entities.rekeyed} added entities got a new ID because theirs was taken.`);
+        }
+        if (summary.relationships.rekeyed > 0) {
+            notes.push(`${summary.relationships.rekeyed} added relationships got a new ID because theirs was taken.`);
+        }
+        
+        document.getElementById('merge-import-report').innerHTML = `
+            <table class="table table-sm">
+                <thead>
+                    <tr><th></th><th>Added</th><th>Matched</th><th>Skipped</th></tr>
+                </thead>
+                <tbody>
+                    ${row('Entities', summary.entities)}
+                    ${row('Relationships', summary.relationships)}
+                    ${row('Entity types', summary.entityTypes)}
+                    ${row('Relationship types', summary.relationshipTypes)}
+                </tbody>
+            </table>
+            ${notes.map(note => `<p class="small mb-1">${note}</p>`).join('')}
+            ${summary.skipped.length > 0 ? `
+                <p class="small mb-1">Skipped relationships:</p>
+                <ul class="small">
+                    ${summary.skipped.map(item => `<li>${this.escapeHTML(item.id)}: ${item.reason}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+        document.getElementById('merge-import-options').style.display = 'none';
+        document.getElementById('merge-import-report').style.display = '';
+        document.getElementById('confirm-merge-import').style.display = 'none';
+        document.getElementById('merge-import-close').textContent = 'Close';
+        
+        this.updateStatusBar(
+            `Merged ${fileName}: ${summary.entities.added} entities added, ${summary.entities.matched} matched, ` +
+            `${summary.relationships.added} relationships added, ${summary.relationships.skipped} skipped`
+        );
+    }
+
+    /**
+     * Ask how to import a graph file of another tool
+     * @param {Object} format - Format from dataManager.graphFormats
+     * @param {string} fileName - Name of the chosen file
+     * @param {string} text - File contents
+     */
+    showGraphImportModal(format, fileName, text) {
+        let summary;
+        try {
+            summary = format.inspect(text);
+        } catch (error) {
+            this.reportChartLoadError(error, fileName);
+            return;
+        }
+        
+        this.pendingGraphImport = { format, text, fileName };
+        
+        document.getElementById('graph-import-title').textContent = `Import ${format.label}`;
+        document.getElementById('graph-import-summary').textContent =
+            `${fileName}: ${summary.nodeCount} nodes, ${summary.edgeCount} edges`;
+        document.getElementById('graph-import-name').value = fileName.replace(/\.[^.]+$/, '');
+        
+        // Formats may suggest the type attributes; otherwise one named "type" is preselected
+        const fillSelect = (id, attributes, suggested) => {
+            const select = document.getElementById(id);
+            const preferred = suggested || attributes.find(name => name.toLowerCase() === 'type');
+            select.innerHTML = '<option value="">(none)</option>' + attributes.map(name =>
+                `<option value="${this.escapeHTML(name)}" ${name === preferred ? 'selected' : ''}>${this.escapeHTML(name)}</option>`
+            ).join('');
+        };
+        fillSelect('graph-import-entity-type', summary.nodeAttributes, summary.entityTypeAttribute);
+        fillSelect('graph-import-relationship-type', summary.edgeAttributes, summary.relationshipTypeAttribute);
+        
+        this.graphImportModal.show();
+    }
+
+    async performGraphImport() {
+        const { format, text, fileName } = this.pendingGraphImport;
+        const name = document.getElementById('graph-import-name').value.trim() || fileName;
+        const options = {
+            entityTypeAttribute: document.getElementById('graph-import-entity-type').value || null,
+            relationshipTypeAttribute: document.getElementById('graph-import-relationship-type').value || null
+        };
+        
+        this.graphImportModal.hide();
+        try {
+            const data = await dataManager.importGraph(format, text, options);
+            if (!data) return;
+            
+            await dataManager.createChart(name, data);
+            this.chart.openData(data);
+            this.updateStatusBar(
+                `Imported ${fileName}: ${data.entities.length} entities, ${data.relationships.length} relationships`
+            );
+        } catch (error) {
+            this.reportChartLoadError(error, fileName);
+        } finally {
+            this.pendingGraphImport = null;
+        }
+    }
+
+    /**
+     * Export the chart as an SVG or PNG image with the options of the image export dialog
+     */
+    async performImageExport() {
+        const isSVG = document.getElementById('image-export-svg').checked;
+        const options = {
+            area: document.getElementById('image-export-area').value,
+            legend: document.getElementById('image-export-legend').checked
+        };
+        
+        this.imageExportModal.hide();
+        try {
+            const image = ChartImageExporter.buildSVG(this.chart, options);
+            if (isSVG) {
+                dataManager.downloadFile(image.svg, 'image/svg+xml', '.svg');
+            } else {
+                const scale = Number(document.getElementById('image-export-scale').value);
+                dataManager.downloadFile(await ChartImageExporter.toPNG(image, scale), 'image/png', '.png');
+            }
+            this.updateStatusBar(`Exported ${isSVG ? 'SVG' : 'PNG'} image`);
+        } catch (error) {
+            console.error('Error exporting image:', error);
+            alert(`The image could not be exported: ${error.message}`);
+        }
+    }
+
+    /**
+     * Offer the entity types and columns of the chart for CSV export
+     */
+    showCsvExportModal() {
+        const data = this.chart.data;
+        const columns = CsvExport.availableColumns(data);
+        const checkboxes = (containerId, items, required = []) => {
+            document.getElementById(containerId).innerHTML = items.map(({ value, label }, index) => `
+                <div class="col-md-4 col-sm-6">
+                    <div class="form-check">
+                        <input class="form-check-input" type="checkbox" id="${containerId}-${index}"
+                            value="${this.escapeHTML(value)}" checked ${required.includes(value) ? 'disabled' : ''}>
+                        <label class="form-check-label" for="${containerId}-${index}">${this.escapeHTML(label)}</label>
+                    </div>
+                </div>
+            `).join('');
+        };
+        
+        // Only types that have entities are worth filtering on
+        const usedTypes = data.entityTypes.filter(type => data.entities.some(entity => entity.type === type.id));
+        checkboxes('csv-export-types', usedTypes.map(type => ({
+            value: type.id,
+            label: `${type.name} (${data.entities.filter(entity => entity.type === type.id).length})`
+        })));
+        checkboxes('csv-export-entity-columns', columns.entities.map(name => ({ value: name, label: name })), ['id']);
+        checkboxes('csv-export-relationship-columns', columns.relationships.map(name => ({ value: name, label: name })),
+            ['id', 'source', 'target']);
+        
+        this.csvExportModal.show();
+    }
+
+    async performCsvExport() {
+        const checked = containerId => Array.from(
+            document.querySelectorAll(`#${containerId} input:checked`), input => input.value
+        );
+        const typeInputs = document.querySelectorAll('#csv-export-types input');
+        const options = {
+            // Entities of types without a checkbox are exported with "all types"
+            entityTypes: checked('csv-export-types').length === typeInputs.length ? null : checked('csv-export-types'),
+            entityColumns: checked('csv-export-entity-columns'),
+            relationshipColumns: checked('csv-export-relationship-columns')
+        };
+        
+        this.csvExportModal.hide();
+        try {
+            const { blob, entityCount, relationshipCount } = await CsvExport.createZip(this.chart.data, options);
+            dataManager.downloadFile(blob, 'application/zip', '.zip');
+            this.updateStatusBar(`Exported ${entityCount} entities and ${relationshipCount} relationships as CSV`);
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            alert(`The CSV files could not be exported: ${error.message}`);
+        }
+    }
+
+    /**
+     * Export the chart as Turtle or JSON-LD with the base IRI and prefixes of the RDF export dialog
+     */
+    performRdfExport() {
+        const formatId = document.querySelector('input[name="rdf-export-format"]:checked').value;
+        const format = dataManager.graphFormats[formatId];
+        const baseIRI = document.getElementById('rdf-export-base').value.trim();
+        if (baseIRI && !/^[a-z][a-z0-9+.-]*:\S+$/i.test(baseIRI)) {
+            alert('The base IRI must be absolute, e.g. http://example.org/linkchart/');
+            return;
+        }
+        let prefixes;
+        try {
+            prefixes = RDFFormats.parsePrefixes(document.getElementById('rdf-export-prefixes').value);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        
+        this.rdfExportModal.hide();
+        const options = { baseIRI: baseIRI || undefined, prefixes };
+        if (dataManager.exportGraph(this.chart.data, formatId, options)) {
+            this.updateStatusBar(`Exported ${format.label}`);
+        } else {
+            alert(`The chart could not be exported as ${format.label}.`);
+        }
+    }
+
+    async populateRecentCharts() {
+        const menu = document.getElementById('recent-charts-menu');
+        const maxRecent = 8;
+        
+        let charts = [];
+        try {
+            charts = await dataManager.listCharts();
+        } catch (error) {
+            console.error('Error listing charts:', error);
+        }
+        
+        const current = dataManager.getCurrentChart();
+        let html = '<li><h6 class="dropdown-header">Recent charts</h6></li>';
+        
+        if (charts.length === 0) {
+            html += '<li><span class="dropdown-item-text text-muted small">No saved charts yet</span></li>';
+        }
+        
+        charts.slice(0, maxRecent).forEach(meta => {
+            html += `
+                <li>
+                    <a class="dropdown-item recent-chart ${current && current.id === meta.id ? 'active' : ''}" href="#" data-chart-id="${this.escapeHTML(meta.id)}">
+                        <div>${this.escapeHTML(meta.name)}</div>
+                        <small class="text-muted">${this.formatTimestamp(meta.modifiedAt)}</small>
+                    </a>
+                </li>
+            `;
+        });
+        
+        html += `
+            <li><hr class="dropdown-divider"></li>
+            <li><a class="dropdown-item" href="#" id="manage-charts"><i class="bi bi-collection"></i> All Charts...</a></li>
+        `;
+        menu.innerHTML = html;
+        
+        menu.querySelectorAll('.recent-chart').forEach(item => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openChart(item.getAttribute('data-chart-id'));
+            });
+        });
+        
+        document.getElementById('manage-charts').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showWorkspaceModal();
+        });
+    }
+
+    async showWorkspaceModal() {
+        await this.renderWorkspaceList();
+        this.workspaceModal.show();
+    }
+
+    async renderWorkspaceList() {
+        const list = document.getElementById('workspace-chart-list');
+        const charts = await dataManager.listCharts();
+        const current = dataManager.getCurrentChart();
+        
+        if (charts.length === 0) {
+            list.innerHTML = '<tr><td colspan="5" class="text-muted">No saved charts yet</td></tr>';
+            return;
+        }
+        
+        list.innerHTML = charts.map(meta => `
+            <tr data-chart-id="${this.escapeHTML(meta.id)}" class="${current && current.id === meta.id ? 'table-active' : ''}">
+                <td>${this.escapeHTML(meta.name)}</td>
+                <td>${meta.entityCount}</td>
+                <td>${meta.relationshipCount}</td>
+                <td>${this.formatTimestamp(meta.modifiedAt)}</td>
+                <td class="text-end text-nowrap">
+                    <button class="btn btn-sm btn-outline-primary workspace-open" title="Open"><i class="bi bi-folder2-open"></i></button>
+                    <button class="btn btn-sm btn-outline-secondary workspace-rename" title="Rename"><i class="bi bi-pencil"></i></button>
+                    <button class="btn btn-sm btn-outline-secondary workspace-duplicate" title="Duplicate"><i class="bi bi-files"></i></button>
+                    <button class="btn btn-sm btn-outline-danger workspace-delete" title="Delete"><i class="bi bi-trash"></i></button>
+                </td>
+            </tr>
+        `).join('');
+        
+        list.querySelectorAll('tr[data-chart-id]').forEach(row => {
+            const id = row.getAttribute('data-chart-id');
+            const meta = charts.find(chart => chart.id === id);
+            
+            row.querySelector('.workspace-open').addEventListener('click', async () => {
+                this.workspaceModal.hide();
+                await this.openChart(id);
+            });
+            
+            row.querySelector('.workspace-rename').addEventListener('click', async () => {
+                const name = prompt('Rename chart:', meta.name);
+                if (!name || !name.trim()) return;
+                
+                try {
+                    await dataManager.renameChart(id, name.trim());
+                    this.renderWorkspaceList();
+                } catch (error) {
+                    console.error('Error renaming chart:', error);
+                    alert(`The chart could not be renamed:\n${error.message}`);
+                }
+            });
+            
+            row.querySelector('.workspace-duplicate').addEventListener('click', async () => {
+                try {
+                    const copy = await dataManager.duplicateChart(id);
+                    if (copy) {
+                        this.updateStatusBar(`Created "${copy.name}"`);
+                    }
+                    this.renderWorkspaceList();
+                } catch (error) {
+                    console.error('Error duplicating chart:', error);
+                    alert(`The chart could not be duplicated:\n${error.message}`);
+                }
+            });
+            
+            row.querySelector('.workspace-delete').addEventListener('click', async () => {
+                if (!confirm(`Delete chart "${meta.name}"? This cannot be undone.`)) return;
+                
+                try {
+                    await dataManager.deleteChart(id);
+                    this.updateStatusBar(`Deleted "${meta.name}"`);
+                    this.renderWorkspaceList();
+                } catch (error) {
+                    console.error('Error deleting chart:', error);
+                    alert(`The chart could not be deleted:\n${error.message}`);
+                }
+            });
+        });
+    }
+
+    formatTimestamp(timestamp) {
+        return new Date(timestamp).toLocaleString();
+    }
+
+    initMergeModal() {
+        this.mergeModal = new bootstrap.Modal(document.getElementById('mergeEntitiesModal'));
+        
+        document.getElementById('merge-filter').addEventListener('input', () => {
+            this.renderMergeCandidates();
+        });
+        
+        document.getElementById('merge-survivor').addEventListener('change', () => {
+            this.renderMergeConflicts();
+        });
+        
+        document.getElementById('confirm-merge').addEventListener('click', () => {
+            this.performMerge();
+        });
+    }
+
+    /**
+     * Show the merge dialog for an entity and its possible duplicates
+     * @param {Entity} entity - Entity the merge was started from
+     */
+    showMergeModal(entity) {
+        this.mergeSourceId = entity.id;
+        this.mergeSelection = new Set();
+        document.getElementById('merge-filter').value = '';
+        
+        this.renderMergeCandidates();
+        this.updateMergeSelection();
+        this.mergeModal.show();
+    }
+
+    renderMergeCandidates() {
+        const container = document.getElementById('merge-candidates');
+        const source = this.chart.data.getEntityById(this.mergeSourceId);
+        if (!source) return;
+        
+        const normalize = name => String(name || '').trim().toLowerCase();
+        const sourceName = normalize(source.name);
+        const filter = normalize(document.getElementById('merge-filter').value);
+        const maxShown = 200;
+        
+        // Same-named entities first, then alphabetical
+        const candidates = this.chart.data.entities
+            .filter(entity => entity.id !== source.id)
+            .filter(entity => !filter || normalize(entity.name).includes(filter) || this.mergeSelection.has(entity.id))
+            .sort((a, b) => {
+                const aSame = normalize(a.name) === sourceName ? 0 : 1;
+                const bSame = normalize(b.name) === sourceName ? 0 : 1;
+                return aSame - bSame || normalize(a.name).localeCompare(normalize(b.name));
+            });
+        
+        if (candidates.length === 0) {
+            container.innerHTML = '<p class="text-muted small mb-0">No other entities</p>';
+            return;
+        }
+        
+        container.innerHTML = candidates.slice(0, maxShown).map(entity => {
+            const entityType = this.chart.data.getEntityTypeById(entity.type);
+            return `
+                <div class="form-check">
+                    <input class="form-check-input merge-candidate" type="checkbox" value="${this.escapeHTML(entity.id)}"
+                           id="merge-candidate-${this.escapeHTML(entity.id)}" ${this.mergeSelection.has(entity.id) ? 'checked' : ''}>
+                    <label class="form-check-label" for="merge-candidate-${this.escapeHTML(entity.id)}">
+                        ${this.escapeHTML(entity.name)}
+                        <span class="text-muted small">${this.escapeHTML(entityType ? entityType.name : entity.type)}</span>
+                    </label>
+                </div>
+            `;
+        }).join('') + (candidates.length > maxShown
+            ? `<p class="text-muted small mb-0">${candidates.length - maxShown} more, refine the filter to see them</p>`
+            : '');
+        
+        container.querySelectorAll('.merge-candidate').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                if (checkbox.checked) {
+                    this.mergeSelection.add(checkbox.value);
+                } else {
+                    this.mergeSelection.delete(checkbox.value);
+                }
+                this.updateMergeSelection();
+            });
+        });
+    }
+
+    /**
+     * Refresh the survivor choice and conflicts after the selection changed
+     */
+    updateMergeSelection() {
+        const survivorSelect = document.getElementById('merge-survivor');
+        const previousSurvivor = survivorSelect.value || this.mergeSourceId;
+        const ids = [this.mergeSourceId, ...this.mergeSelection];
+        
+        survivorSelect.innerHTML = '';
+        ids.forEach(id => {
+            const entity = this.chart.data.getEntityById(id);
+            if (!entity) return;
+            
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${entity.name} (${Object.keys(entity.properties).length} properties, ${this.chart.data.getRelationshipsForEntity(id).length} links)`;
+            survivorSelect.appendChild(option);
+        });
+        survivorSelect.value = ids.includes(previousSurvivor) ? previousSurvivor : this.mergeSourceId;
         
-        document.getElementById('save-entity').addEventListener('click', () => {
-            this.saveEntityFromModal();
+        document.getElementById('confirm-merge').disabled = this.mergeSelection.size === 0;
+        this.renderMergeConflicts();
+    }
+
+    /**
+     * Show one choice per property key whose values differ
+     */
+    renderMergeConflicts() {
+        const container = document.getElementById('merge-conflicts');
+        const survivorId = document.getElementById('merge-survivor').value;
+        const ids = [this.mergeSourceId, ...this.mergeSelection];
+        const conflicts = this.mergeSelection.size > 0 ? this.chart.data.getPropertyConflicts(ids) : [];
+        
+        if (conflicts.length === 0) {
+            container.innerHTML = this.mergeSelection.size > 0
+                ? '<p class="text-muted small">No conflicting properties</p>'
+                : '';
+            return;
+        }
+        
+        let html = '<div class="property-category mb-2">Conflicting properties</div>';
+        html += '<table class="table table-sm merge-conflicts-table"><tbody>';
+        
+        conflicts.forEach((conflict, index) => {
+            // Default to the survivor's value when it has one
+            const defaultId = conflict.values.some(v => v.entityId === survivorId)
+                ? survivorId
+                : conflict.values[0].entityId;
+            
+            html += `<tr><th>${this.escapeHTML(conflict.key)}</th><td>`;
+            conflict.values.forEach(({ entityId, value }) => {
+                const entity = this.chart.data.getEntityById(entityId);
+                html += `
+                    <div class="form-check">
+                        <input class="form-check-input" type="radio" name="merge-conflict-${index}"
+                               data-property="${this.escapeHTML(conflict.key)}" value="${this.escapeHTML(entityId)}"
+                               ${entityId === defaultId ? 'checked' : ''}>
+                        <label class="form-check-label">
+                            ${this.escapeHTML(String(value))}
+                            <span class="text-muted small">from ${this.escapeHTML(entity.name)}</span>
+                        </label>
+                    </div>
+                `;
+            });
+            html += '</td></tr>';
         });
         
-        // Reset form when modal is hidden
-        document.getElementById('entityModal').addEventListener('hidden.bs.modal', () => {
-            document.getElementById('entity-form').reset();
-            this.editingEntityId = null;
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    }
+
+    performMerge() {
+        const survivorId = document.getElementById('merge-survivor').value;
+        const ids = [this.mergeSourceId, ...this.mergeSelection];
+        const absorbedIds = ids.filter(id => id !== survivorId);
+        
+        const propertyChoices = {};
+        document.querySelectorAll('#merge-conflicts input[type="radio"]:checked').forEach(radio => {
+            propertyChoices[radio.getAttribute('data-property')] = radio.value;
         });
+        
+        const survivor = this.chart.data.getEntityById(survivorId);
+        this.takeAutomaticSnapshot(`Before merging into ${survivor.name}`);
+        
+        const summary = this.chart.data.mergeEntities(survivorId, absorbedIds, propertyChoices);
+        this.mergeModal.hide();
+        
+        if (!summary) return;
+        
+        this.updateStatusBar(
+            `Merged ${summary.absorbedCount + 1} entities into ${summary.survivor.name}: ` +
+            `${summary.repointedCount} relationships moved, ` +
+            `${summary.duplicatesRemoved} duplicates and ${summary.selfLoopsRemoved} self-loops removed`
+        );
     }
 
     showEntityModal(entityType = null, entity = null) {
         const form = document.getElementById('entity-form');
         form.reset();
         
+        this.populateEntityTypeSelect();
+        const typeSelect = document.getElementById('entity-type');
+        
         if (entity) {
             // Edit mode
             this.editingEntityId = entity.id;
             document.getElementById('entity-name').value = entity.name;
-            document.getElementById('entity-type').value = entity.type;
+            typeSelect.value = entity.type;
             document.getElementById('entity-description').value = entity.description;
+            document.getElementById('entity-start-date').value = entity.startDate ? entity.startDate.slice(0, 10) : '';
+            document.getElementById('entity-end-date').value = entity.endDate ? entity.endDate.slice(0, 10) : '';
         } else {
             // Create mode
             this.editingEntityId = null;
             if (entityType) {
-                document.getElementById('entity-type').value = entityType;
+                typeSelect.value = entityType;
             }
         }
         
+        const properties = entity ? entity.properties : {};
+        this.renderSchemaFields(typeSelect.value, properties);
+        typeSelect.onchange = () => this.renderSchemaFields(typeSelect.value, {
+            ...properties,
+            ...this.collectSchemaValues()
+        });
+        
         this.entityModal.show();
     }
 
-    saveEntityFromModal() {
-        const form = document.getElementById('entity-form');
+    /**
+     * Fill the entity modal's type dropdown with the chart's entity types
+     */
+    populateEntityTypeSelect() {
+        const typeSelect = document.getElementById('entity-type');
+        typeSelect.innerHTML = '';
+        
+        this.chart.data.entityTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.id;
+            option.textContent = type.name;
+            typeSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Render inputs for the property definitions of an entity type
+     * @param {string} typeId - Entity type ID
+     * @param {Object} properties - Current property values
+     */
+    renderSchemaFields(typeId, properties = {}) {
+        const container = document.getElementById('entity-schema-properties');
+        const entityType = this.chart.data.getEntityTypeById(typeId);
+        
+        if (!entityType || entityType.propertyDefinitions.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        let html = '<div class="property-category mb-2">Properties</div>';
         
+        entityType.propertyDefinitions.forEach((def, index) => {
+            const inputId = `schema-property-${index}`;
+            const key = Object.keys(properties).find(k => k.toLowerCase() === def.name.toLowerCase());
+            const current = key !== undefined ? properties[key] : def.defaultValue;
+            const value = current === null || current === undefined ? '' : current;
+            const dataAttrs = `id="${inputId}" data-property="${this.escapeHTML(def.name)}"`;
+            
+            let input;
+            switch (def.dataType) {
+                case 'boolean':
+                    input = `
+                        <select class="form-select schema-property" ${dataAttrs}>
+                            <option value=""></option>
+                            <option value="true" ${value === true || value === 'true' ? 'selected' : ''}>Yes</option>
+                            <option value="false" ${value === false || value === 'false' ? 'selected' : ''}>No</option>
+                        </select>
+                    `;
+                    break;
+                case 'enum':
+                    input = `
+                        <select class="form-select schema-property" ${dataAttrs}>
+                            <option value=""></option>
+                            ${def.allowedValues.map(allowed => `
+                                <option value="${this.escapeHTML(String(allowed))}" ${String(allowed) === String(value) ? 'selected' : ''}>
+                                    ${this.escapeHTML(String(allowed))}
+                                </option>
+                            `).join('')}
+                        </select>
+                    `;
+                    break;
+                default: {
+                    const inputType = { number: 'number', date: 'date', url: 'url' }[def.dataType] || 'text';
+                    const inputValue = def.dataType === 'date' ? String(value).slice(0, 10) : value;
+                    input = `<input type="${inputType}" class="form-control schema-property" ${dataAttrs} value="${this.escapeHTML(String(inputValue))}">`;
+                }
+            }
+            
+            html += `
+                <div class="mb-3">
+                    <label for="${inputId}" class="form-label">
+                        ${this.escapeHTML(def.name)}${def.required ? ' <span class="text-danger">*</span>' : ''}
+                    </label>
+                    ${input}
+                </div>
+            `;
+        });
+        
+        container.innerHTML = html;
+    }
+
+    /**
+     * Read the schema property inputs of the entity modal
+     * @returns {Object} - Raw values keyed by property name
+     */
+    collectSchemaValues() {
+        const values = {};
+        document.querySelectorAll('#entity-schema-properties .schema-property').forEach(input => {
+            values[input.getAttribute('data-property')] = input.value;
+        });
+        return values;
+    }
+
+    saveEntityFromModal() {
         const name = document.getElementById('entity-name').value;
         const type = document.getElementById('entity-type').value;
         const description = document.getElementById('entity-description').value;
+        let startDate = document.getElementById('entity-start-date').value || null;
+        let endDate = document.getElementById('entity-end-date').value || null;
         
         if (!name) {
             alert('Entity name is required.');
             return;
         }
         
+        if (startDate && endDate && startDate > endDate) {
+            alert('"Valid From" must not be after "Valid Until".');
+            return;
+        }
+        
+        const existing = this.editingEntityId ? this.chart.data.getEntityById(this.editingEntityId) : null;
+        
+        // The date inputs only show the day; keep imported timestamps on the same day intact
+        if (existing && existing.startDate && existing.startDate.slice(0, 10) === startDate) {
+            startDate = existing.startDate;
+        }
+        if (existing && existing.endDate && existing.endDate.slice(0, 10) === endDate) {
+            endDate = existing.endDate;
+        }
+        
+        // Validate properties against the type's schema
+        let properties = { ...(existing ? existing.properties : {}), ...this.collectSchemaValues() };
+        const entityType = this.chart.data.getEntityTypeById(type);
+        
+        if (entityType) {
+            const result = entityType.validateProperties(properties);
+            if (result.errors.length > 0) {
+                alert('Please fix the following properties:\n' + result.errors.map(e => `- ${e.message}`).join('\n'));
+                return;
+            }
+            properties = result.properties;
+        }
+        
         if (this.editingEntityId) {
             // Update existing entity
-            const entity = this.chart.data.getEntityById(this.editingEntityId);
+            const entity = this.chart.data.updateEntity(this.editingEntityId, {
+                name, type, description, properties, startDate, endDate
+            });
             if (entity) {
-                entity.name = name;
-                entity.type = type;
-                entity.description = description;
-                this.chart.render();
                 this.updateStatusBar(`Updated entity: ${name}`);
             }
         } else {
             // Create new entity
-            const newEntity = new Entity(null, type, name, description);
+            const newEntity = new Entity(null, type, name, description, properties);
+            newEntity.startDate = startDate;
+            newEntity.endDate = endDate;
             this.chart.addNewEntityAtCenter(newEntity);
             this.updateStatusBar(`Created new ${type}: ${name}`);
         }
@@ -243,6 +1361,8 @@ class UiManager {
     }
 
     setupEntitySelectionHandler() {
+        this.chart.onRelationshipSelected = (relationship) => this.updateRelationshipPanel(relationship);
+        
         this.chart.onEntitySelected = (entity) => {
             this.updatePropertiesPanel(entity);
             
@@ -268,6 +1388,49 @@ class UiManager {
         };
     }
 
+    /**
+     * Keep the palette and properties panel in sync with the chart data
+     */
+    setupDataEventHandlers() {
+        this.chart.onDataEvent('type:changed', () => this.updateEntityPalette());
+        
+        this.chart.onDataEvent('entity:updated', ({ entity }) => {
+            if (this.chart.selectedEntity && this.chart.selectedEntity.id === entity.id) {
+                this.updatePropertiesPanel(entity);
+            }
+        });
+        
+        this.chart.onDataEvent('relationship:updated', ({ relationship }) => {
+            if (this.selectedRelationshipId === relationship.id) {
+                this.updateRelationshipPanel(relationship);
+            }
+        });
+        
+        this.chart.onDataEvent('relationship:removed', ({ relationship }) => {
+            if (this.selectedRelationshipId === relationship.id) {
+                this.updatePropertiesPanel(null);
+            }
+        });
+        
+        this.chart.onDataEvent('entity:removed', ({ entity }) => {
+            if (this.chart.selectedEntity && this.chart.selectedEntity.id === entity.id) {
+                this.chart.selectedEntity = null;
+                this.updatePropertiesPanel(null);
+            }
+        });
+        
+        // Cached analysis results no longer match the data
+        this.chart.onDataEvent('changed', () => {
+            this.analyzer = null;
+        });
+        
+        this.chart.on('data:replaced', () => {
+            this.analyzer = null;
+            this.updateEntityPalette();
+            this.updatePropertiesPanel(null);
+        });
+    }
+
     updateEntityPalette() {
         const entityTypes = this.chart.data.entityTypes;
         const entityPalette = document.querySelector('.entity-types');
@@ -284,6 +1447,7 @@ class UiManager {
             
             typeElement.innerHTML = `
                 <i class="bi ${type.icon}" style="color:${type.color}"></i> ${type.name}
+                <i class="bi bi-pencil entity-type-edit" title="Edit type"></i>
             `;
             
             // Set up drag behavior
@@ -293,6 +1457,11 @@ class UiManager {
                 e.dataTransfer.effectAllowed = 'copy';
             });
             
+            typeElement.querySelector('.entity-type-edit').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.showEntityTypeModal(type);
+            });
+            
             entityPalette.appendChild(typeElement);
         });
         
@@ -301,39 +1470,250 @@ class UiManager {
         createTypeElement.className = 'entity-type-create';
         createTypeElement.innerHTML = '<i class="bi bi-plus-circle"></i> Create New Type';
         createTypeElement.addEventListener('click', () => {
-            // Show entity type creation modal
-            const entityTypeModal = new bootstrap.Modal(document.getElementById('entityTypeModal'));
-            entityTypeModal.show();
-            
-            // Set up save handler
-            document.getElementById('save-entity-type').onclick = () => {
-                const typeName = document.getElementById('type-name').value.trim();
-                const typeIcon = document.getElementById('type-icon').value;
-                const typeColor = document.getElementById('type-color').value;
-                
-                if (!typeName) {
-                    alert('Type name is required');
-                    return;
-                }
-                
-                // Generate ID from name
-                const typeId = typeName.toLowerCase().replace(/[^a-z0-9]/g, '-');
-                
-                // Create and add the new type
-                const entityType = new EntityType(typeId, typeName, typeIcon, typeColor);
-                this.chart.data.addEntityType(entityType);
-                
-                // Update the UI
-                this.updateEntityPalette();
-                
-                // Close the modal
-                entityTypeModal.hide();
-            };
+            this.showEntityTypeModal();
         });
         
         entityPalette.appendChild(createTypeElement);
     }
     
+    /**
+     * Show the entity type modal to create a type or edit an existing one
+     * @param {EntityType} entityType - Type to edit, or null to create
+     */
+    showEntityTypeModal(entityType = null) {
+        const entityTypeModal = bootstrap.Modal.getOrCreateInstance(document.getElementById('entityTypeModal'));
+        
+        document.getElementById('entity-type-form').reset();
+        document.querySelector('#entityTypeModal .modal-title').textContent =
+            entityType ? 'Edit Entity Type' : 'Create Entity Type';
+        document.getElementById('type-name').value = entityType ? entityType.name : '';
+        document.getElementById('type-icon').value = entityType ? entityType.icon : 'bi-box';
+        document.getElementById('type-icon-preview').className = `bi ${entityType ? entityType.icon : 'bi-box'}`;
+        document.getElementById('type-color').value = entityType ? entityType.color : '#a29bfe';
+        
+        const definitionsContainer = document.getElementById('type-property-definitions');
+        definitionsContainer.innerHTML = '';
+        (entityType ? entityType.propertyDefinitions : []).forEach(def => this.addPropertyDefinitionRow(def));
+        
+        document.getElementById('add-property-definition').onclick = () => this.addPropertyDefinitionRow();
+        
+        // Set up save handler
+        document.getElementById('save-entity-type').onclick = () => {
+            const typeName = document.getElementById('type-name').value.trim();
+            const typeIcon = document.getElementById('type-icon').value;
+            const typeColor = document.getElementById('type-color').value;
+            
+            if (!typeName) {
+                alert('Type name is required');
+                return;
+            }
+            
+            const propertyDefinitions = this.collectPropertyDefinitions();
+            if (!propertyDefinitions) return;
+            
+            // Keep the ID when editing, otherwise generate it from the name
+            const typeId = entityType ? entityType.id : typeName.toLowerCase().replace(/[^a-z0-9]/g, '-');
+            
+            // Create or replace the type
+            this.chart.data.addEntityType(new EntityType(typeId, typeName, typeIcon, typeColor, propertyDefinitions));
+            
+            // Close the modal
+            entityTypeModal.hide();
+        };
+        
+        entityTypeModal.show();
+    }
+    
+    /**
+     * Append an editable property definition row to the entity type modal
+     * @param {PropertyDefinition} def - Definition to show, or null for a blank row
+     */
+    addPropertyDefinitionRow(def = null) {
+        const row = document.createElement('div');
+        row.className = 'property-definition-row row g-2 mb-2 align-items-center';
+        
+        const typeOptions = PropertyDefinition.DATA_TYPES.map(dataType => 
+            `<option value="${dataType}" ${def && def.dataType === dataType ? 'selected' : ''}>${dataType}</option>`
+        ).join('');
+        const defaultValue = def && def.defaultValue !== null ? def.defaultValue : '';
+        const allowedValues = def ? def.allowedValues.join(', ') : '';
+        
+        row.innerHTML = `
+            <div class="col-3">
+                <input type="text" class="form-control form-control-sm def-name" placeholder="Name" value="${this.escapeHTML(def ? def.name : '')}">
+            </div>
+            <div class="col-2">
+                <select class="form-select form-select-sm def-type">${typeOptions}</select>
+            </div>
+            <div class="col-2">
+                <input type="text" class="form-control form-control-sm def-default" placeholder="Default" value="${this.escapeHTML(String(defaultValue))}">
+            </div>
+            <div class="col-3">
+                <input type="text" class="form-control form-control-sm def-allowed" placeholder="Allowed values (a, b, c)" value="${this.escapeHTML(allowedValues)}">
+            </div>
+            <div class="col-1 form-check">
+                <input type="checkbox" class="form-check-input def-required" title="Required" ${def && def.required ? 'checked' : ''}>
+            </div>
+            <div class="col-1">
+                <button type="button" class="btn btn-sm btn-link text-danger def-remove" title="Remove"><i class="bi bi-x-lg"></i></button>
+            </div>
+        `;
+        
+        // Allowed values only apply to enums
+        const typeSelect = row.querySelector('.def-type');
+        const allowedInput = row.querySelector('.def-allowed');
+        const updateAllowedState = () => {
+            allowedInput.disabled = typeSelect.value !== 'enum';
+        };
+        typeSelect.addEventListener('change', updateAllowedState);
+        updateAllowedState();
+        
+        row.querySelector('.def-remove').addEventListener('click', () => row.remove());
+        
+        document.getElementById('type-property-definitions').appendChild(row);
+    }
+    
+    /**
+     * Read and validate the property definition rows of the entity type modal
+     * @returns {Array|null} - Property definitions, or null if invalid
+     */
+    collectPropertyDefinitions() {
+        const definitions = [];
+        const names = new Set();
+        
+        for (const row of document.querySelectorAll('#type-property-definitions .property-definition-row')) {
+            const name = row.querySelector('.def-name').value.trim();
+            if (!name) continue;
+            
+            if (names.has(name.toLowerCase())) {
+                alert(`Property "${name}" is defined more than once`);
+                return null;
+            }
+            names.add(name.toLowerCase());
+            
+            const dataType = row.querySelector('.def-type').value;
+            const allowedValues = dataType === 'enum'
+                ? row.querySelector('.def-allowed').value.split(',').map(v => v.trim()).filter(v => v)
+                : [];
+            
+            if (dataType === 'enum' && allowedValues.length === 0) {
+                alert(`Property "${name}" needs at least one allowed value`);
+                return null;
+            }
+            
+            const def = new PropertyDefinition(
+                name,
+                dataType,
+                row.querySelector('.def-required').checked,
+                null,
+                allowedValues
+            );
+            
+            // Store the default in the property's own type
+            const rawDefault = row.querySelector('.def-default').value.trim();
+            if (rawDefault) {
+                const { value, error } = def.coerce(rawDefault);
+                if (error) {
+                    alert(`Invalid default value: ${error}`);
+                    return null;
+                }
+                def.defaultValue = value;
+            }
+            
+            definitions.push(def);
+        }
+        
+        return definitions;
+    }
+    
+    /**
+     * Wire up undo/redo buttons, keyboard shortcuts and the history list
+     * @param {HistoryManager} historyManager - History to control
+     */
+    initHistoryControls(historyManager) {
+        this.historyManager = historyManager;
+
+        document.getElementById('undo-action').addEventListener('click', () => this.undo());
+        document.getElementById('redo-action').addEventListener('click', () => this.redo());
+
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+
+            // Leave text editing shortcuts to form fields
+            const tagName = e.target.tagName;
+            if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || e.target.isContentEditable) {
+                return;
+            }
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && e.shiftKey) {
+                e.preventDefault();
+                this.redo();
+            } else if (key === 'z') {
+                e.preventDefault();
+                this.undo();
+            } else if (key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        historyManager.onChange = () => this.updateHistoryPanel();
+
+        this.updateHistoryPanel();
+    }
+
+    undo() {
+        const entry = this.historyManager?.undo();
+        if (entry) {
+            this.updateStatusBar(`Undo: ${entry.label}`);
+        }
+    }
+
+    redo() {
+        const entry = this.historyManager?.redo();
+        if (entry) {
+            this.updateStatusBar(`Redo: ${entry.label}`);
+        }
+    }
+
+    /**
+     * Render the history list and refresh undo/redo button state
+     */
+    updateHistoryPanel() {
+        if (!this.historyManager) return;
+
+        document.getElementById('undo-action').disabled = !this.historyManager.canUndo();
+        document.getElementById('redo-action').disabled = !this.historyManager.canRedo();
+
+        const historyList = document.getElementById('history-list');
+        const entries = this.historyManager.getEntries();
+
+        if (entries.length === 0) {
+            historyList.innerHTML = '<li class="text-muted">No changes yet</li>';
+            return;
+        }
+
+        historyList.innerHTML = '';
+
+        // Most recent first
+        entries.slice().reverse().forEach((entry, reverseIndex) => {
+            const position = entries.length - reverseIndex;
+            const item = document.createElement('li');
+            item.className = 'history-entry' + (entry.applied ? '' : ' undone');
+            item.title = new Date(entry.timestamp).toLocaleTimeString();
+            item.textContent = entry.label;
+
+            item.addEventListener('click', () => {
+                // Clicking an entry restores the state right after it
+                this.historyManager.goTo(position);
+                this.updateStatusBar(`Restored state after: ${entry.label}`);
+            });
+
+            historyList.appendChild(item);
+        });
+    }
+
     // Add icon preview functionality for the entity type modal
     initEntityTypeModal() {
         const typeIconInput = document.getElementById('type-icon');
@@ -347,6 +1727,7 @@ class UiManager {
     // Enhanced properties panel to better display complex issue data
     updatePropertiesPanel(entity) {
         const propertiesPanel = document.getElementById('entity-properties');
+        this.selectedRelationshipId = null;
         
         if (!entity) {
             propertiesPanel.innerHTML = '<p class="text-muted">Select an entity to view properties</p>';
@@ -474,9 +1855,12 @@ class UiManager {
                 <button class="btn btn-sm btn-outline-danger me-2" id="delete-entity">
                     <i class="bi bi-trash"></i> Delete
                 </button>
-                <button class="btn btn-sm btn-outline-success" id="create-relationship">
+                <button class="btn btn-sm btn-outline-success me-2" id="create-relationship">
                     <i class="bi bi-link"></i> Link
                 </button>
+                <button class="btn btn-sm btn-outline-secondary" id="merge-entity">
+                    <i class="bi bi-union"></i> Merge
+                </button>
             </div>
         `;
         
@@ -516,8 +1900,6 @@ class UiManager {
         document.getElementById('delete-entity').addEventListener('click', () => {
             if (confirm(`Delete entity "${entity.name}"?`)) {
                 this.chart.data.removeEntityById(entity.id);
-                this.chart.render();
-                this.updatePropertiesPanel(null);
                 this.updateStatusBar(`Deleted entity: ${entity.name}`);
             }
         });
@@ -525,6 +1907,107 @@ class UiManager {
         document.getElementById('create-relationship').addEventListener('click', () => {
             this.startRelationshipCreation(entity);
         });
+        
+        document.getElementById('merge-entity').addEventListener('click', () => {
+            this.showMergeModal(entity);
+        });
+    }
+    
+    /**
+     * Show a relationship in the properties panel, with its label and dates editable
+     * @param {Relationship|null} relationship - Selected relationship, null to clear the panel
+     */
+    updateRelationshipPanel(relationship) {
+        if (!relationship) {
+            this.updatePropertiesPanel(null);
+            return;
+        }
+        
+        const data = this.chart.data;
+        const source = data.getEntityById(relationship.sourceId);
+        const target = data.getEntityById(relationship.targetId);
+        const relationshipType = data.getRelationshipTypeById(relationship.type);
+        
+        let html = `
+            <h6>
+                <i class="bi bi-arrow-right"></i>
+                ${this.escapeHTML(source ? source.name : relationship.sourceId)} &rarr;
+                ${this.escapeHTML(target ? target.name : relationship.targetId)}
+            </h6>
+            ${this.createPropertyHTML('Type', relationshipType ? relationshipType.name : relationship.type)}
+            <div class="mb-2">
+                <label for="relationship-edit-label" class="form-label property-label">Label</label>
+                <input type="text" class="form-control form-control-sm" id="relationship-edit-label" value="${this.escapeHTML(relationship.label || '')}">
+            </div>
+            <div class="row">
+                <div class="col-6 mb-2">
+                    <label for="relationship-edit-start-date" class="form-label property-label">Valid From</label>
+                    <input type="date" class="form-control form-control-sm" id="relationship-edit-start-date" value="${relationship.startDate ? relationship.startDate.slice(0, 10) : ''}">
+                </div>
+                <div class="col-6 mb-2">
+                    <label for="relationship-edit-end-date" class="form-label property-label">Valid Until</label>
+                    <input type="date" class="form-control form-control-sm" id="relationship-edit-end-date" value="${relationship.endDate ? relationship.endDate.slice(0, 10) : ''}">
+                </div>
+            </div>
+        `;
+        
+        const properties = Object.entries(relationship.properties || {});
+        if (properties.length > 0) {
+            html += '<hr>';
+            properties.forEach(([key, value]) => {
+                html += this.createPropertyHTML(this.escapeHTML(key), value);
+            });
+        }
+        
+        html += `
+            <div class="mt-3">
+                <button class="btn btn-sm btn-outline-primary me-2" id="save-relationship">
+                    <i class="bi bi-check"></i> Save
+                </button>
+                <button class="btn btn-sm btn-outline-danger" id="delete-relationship">
+                    <i class="bi bi-trash"></i> Delete
+                </button>
+            </div>
+        `;
+        
+        document.getElementById('entity-properties').innerHTML = html;
+        this.selectedRelationshipId = relationship.id;
+        
+        document.getElementById('save-relationship').addEventListener('click', () => {
+            this.saveRelationshipFromPanel(relationship.id);
+        });
+        
+        document.getElementById('delete-relationship').addEventListener('click', () => {
+            if (confirm('Delete this relationship?')) {
+                data.removeRelationshipById(relationship.id);
+                this.updateStatusBar('Deleted relationship');
+            }
+        });
+    }
+    
+    saveRelationshipFromPanel(id) {
+        const existing = this.chart.data.getRelationshipById(id);
+        if (!existing) return;
+        
+        const label = document.getElementById('relationship-edit-label').value.trim();
+        let startDate = document.getElementById('relationship-edit-start-date').value || null;
+        let endDate = document.getElementById('relationship-edit-end-date').value || null;
+        
+        if (startDate && endDate && startDate > endDate) {
+            alert('"Valid From" must not be after "Valid Until".');
+            return;
+        }
+        
+        // The date inputs only show the day; keep imported timestamps on the same day intact
+        if (existing.startDate && existing.startDate.slice(0, 10) === startDate) {
+            startDate = existing.startDate;
+        }
+        if (existing.endDate && existing.endDate.slice(0, 10) === endDate) {
+            endDate = existing.endDate;
+        }
+        
+        this.chart.data.updateRelationship(id, { label, startDate, endDate });
+        this.updateStatusBar('Updated relationship');
     }
     
     /**
@@ -777,10 +2260,16 @@ class UiManager {
                 .sort((a, b) => b[1] - a[1]) // Sort by count (descending)
                 .forEach(([type, count]) => {
                     const percentage = ((count / metrics.relationshipCount) * 100).toFixed(1);
+                    const relationshipType = this.chart.data.getRelationshipTypeById(type);
+                    const typeName = relationshipType ? relationshipType.name : type;
+                    const color = relationshipType ? relationshipType.color : '#999999';
                     
                     html += `
                         <tr>
-                            <td>${type}</td>
+                            <td>
+                                <span class="relationship-type-swatch" style="border-top-color: ${color}; border-top-style: ${relationshipType && relationshipType.dash ? 'dashed' : 'solid'};"></span>
+                                ${typeName}
+                            </td>
                             <td>${count}</td>
                             <td>
                                 <div class="progress">
@@ -1051,7 +2540,7 @@ class UiManager {
      */
     highlightHierarchy(rootId) {
         // Find the node and its relationships
-        const rootNode = this.chart.nodes.find(n => n.id === rootId);
+        const rootNode = this.chart.getNodeById(rootId);
         if (!rootNode) return;
         
         // Remove any existing highlights
@@ -1088,7 +2577,7 @@ class UiManager {
      */
     highlightHub(hubId) {
         // Find the hub node and its relationships
-        const hubNode = this.chart.nodes.find(n => n.id === hubId);
+        const hubNode = this.chart.getNodeById(hubId);
         if (!hubNode) return;
         
         // Remove any existing highlights
@@ -1154,7 +2643,7 @@ class UiManager {
      * Focus on a specific entity
      */
     focusOnEntity(entityId) {
-        const node = this.chart.nodes.find(n => n.id === entityId);
+        const node = this.chart.getNodeById(entityId);
         if (!node) return;
         
         // Simulate clicking on the node to select it
@@ -1207,7 +2696,7 @@ class UiManager {
         if (!nodeIds || nodeIds.length === 0) return;
         
         // Find the nodes
-        const nodes = this.chart.nodes.filter(node => nodeIds.includes(node.id));
+        const nodes = nodeIds.map(id => this.chart.getNodeById(id)).filter(Boolean);
         
         if (nodes.length === 0) return;
         
@@ -1265,6 +2754,7 @@ class UiManager {
         
         // Apply the optimal layout
         this.analyzer.applyOptimalLayout(this.chart);
+        this.chart.data.lastLayoutType = 'analysis';
         
         this.updateStatusBar('Applied optimal layout based on analysis');
     }
@@ -1281,10 +2771,12 @@ class UiManager {
     }
     
     createPropertyHTML(label, value) {
+        // Imported properties can hold lists and objects (e.g. STIX kill chain phases)
+        const text = value !== null && typeof value === 'object' ? GraphInterchange.formatValue(value) : value;
         return `
             <div class="property-item">
                 <div class="property-label">${label}</div>
-                <div class="property-value">${this.escapeHTML(value)}</div>
+                <div class="property-value">${this.escapeHTML(text)}</div>
             </div>
         `;
     }
@@ -1309,6 +2801,73 @@ class UiManager {
         this.updateStatusBar('Select a target entity to create a relationship');
     }
 
+    /**
+     * Show the integrity problems of a chart being opened
+     * @param {Array} problems - Problems from IntegrityValidator.analyze
+     * @returns {Promise<boolean>} - True to open the chart with the repairs applied
+     */
+    showIntegrityReport(problems) {
+        const modalElement = document.getElementById('integrityReportModal');
+        const modal = bootstrap.Modal.getOrCreateInstance(modalElement);
+        const maxShown = 500;
+        
+        const counts = IntegrityValidator.countByKind(problems);
+        const labels = {
+            'duplicate-entity-id': 'duplicate entity IDs',
+            'duplicate-relationship-id': 'duplicate relationship IDs',
+            'dangling-relationship': 'relationships to missing entities',
+            'unknown-entity-type': 'undefined entity types',
+            'unknown-relationship-type': 'undefined relationship types',
+            'duplicate-type-id': 'duplicate type IDs'
+        };
+        const summary = Object.entries(counts)
+            .map(([kind, count]) => `${count} ${labels[kind] || kind}`)
+            .join(', ');
+        
+        document.getElementById('integrity-summary').textContent =
+            `This chart has ${problems.length} integrity problems (${summary}). ` +
+            'It can be opened with the repairs below; the original file is not changed.';
+        
+        document.getElementById('integrity-problems').innerHTML = problems.slice(0, maxShown).map(problem => `
+            <tr>
+                <td>${this.escapeHTML(problem.message)}</td>
+                <td class="text-muted">${this.escapeHTML(problem.repair)}</td>
+            </tr>
+        `).join('') + (problems.length > maxShown
+            ? `<tr><td colspan="2" class="text-muted">...and ${problems.length - maxShown} more</td></tr>`
+            : '');
+        
+        return new Promise(resolve => {
+            let repair = false;
+            
+            document.getElementById('integrity-repair').onclick = () => {
+                repair = true;
+                modal.hide();
+            };
+            document.getElementById('integrity-cancel').onclick = () => modal.hide();
+            
+            modalElement.addEventListener('hidden.bs.modal', () => {
+                this.updateStatusBar(repair
+                    ? `Repaired ${problems.length} integrity problems`
+                    : 'Opening the chart was cancelled');
+                resolve(repair);
+            }, { once: true });
+            
+            modal.show();
+        });
+    }
+
+    /**
+     * Tell the user why a chart could not be opened
+     * @param {Error} error - Error from DataManager.loadChart/importChart
+     * @param {string} fileName - Name of the file, if any
+     */
+    reportChartLoadError(error, fileName = '') {
+        console.error('Error opening chart:', error);
+        this.updateStatusBar(fileName ? `Could not open ${fileName}` : 'Could not open the saved chart');
+        alert(ChartFormat.describeError(error));
+    }
+
     updateStatusBar(message) {
         const statusBar = document.querySelector('.status-bar');
         if (statusBar) {